@@ -0,0 +1,226 @@
+/**
+ * Bitform 3D Viewer — Persistent Model Cache
+ *
+ * Stores downloaded model bytes in IndexedDB so repeated loads of the
+ * same model (same URL + version) skip the network. Entries are keyed by
+ * URL plus an explicit version or the server's ETag / Last-Modified, and
+ * evicted least-recently-used once the size limit is exceeded.
+ */
+
+// ============================================
+// State
+// ============================================
+const DB_NAME = 'bitform-visor';
+const DB_VERSION = 1;
+// Metadata and bytes live in separate stores so listing and eviction
+// never pull hundreds of MB of model data into memory
+const META_STORE = 'entries';
+const DATA_STORE = 'data';
+
+let dbPromise = null;
+let enabled = typeof indexedDB !== 'undefined';
+let sizeLimit = 500 * 1024 * 1024; // 500 MB
+
+// ============================================
+// Settings
+// ============================================
+
+/**
+ * Configure the cache
+ * @param {Object} options - { enabled: boolean, limitMB: number }
+ */
+export function configureModelCache({ enabled: isEnabled, limitMB } = {}) {
+    if (isEnabled !== undefined) enabled = isEnabled && typeof indexedDB !== 'undefined';
+    if (limitMB > 0) sizeLimit = limitMB * 1024 * 1024;
+}
+
+export function isModelCacheEnabled() {
+    return enabled;
+}
+
+// ============================================
+// Cache Keys
+// ============================================
+
+/**
+ * Build the cache key for a URL.
+ * With an explicit version no request is made; otherwise a HEAD request
+ * reads ETag / Last-Modified. Returns null when the model cannot be
+ * validated (blob: URLs, no validator headers): it is then never cached.
+ * @param {string} url - Model URL
+ * @param {Object} [options] - { version, signal }
+ * @returns {Promise<string|null>}
+ */
+export async function getModelCacheKey(url, { version, signal } = {}) {
+    if (!enabled || !url || url.startsWith('blob:') || url.startsWith('data:')) return null;
+
+    if (version) return `${url}::v=${version}`;
+
+    try {
+        const response = await fetch(url, { method: 'HEAD', signal });
+        if (!response.ok) return null;
+
+        const validator = response.headers.get('ETag') || response.headers.get('Last-Modified');
+        return validator ? `${url}::${validator}` : null;
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        // HEAD not allowed (CORS, 405...): fall back to a plain download
+        return null;
+    }
+}
+
+// ============================================
+// Read / Write
+// ============================================
+
+/**
+ * Read cached bytes and mark the entry as recently used
+ * @param {string} key - Key from getModelCacheKey
+ * @returns {Promise<Uint8Array|null>}
+ */
+export async function getCachedModel(key) {
+    if (!enabled || !key) return null;
+
+    try {
+        const db = await openDb();
+        const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+        const entry = await request(tx.objectStore(META_STORE).get(key));
+        const data = await request(tx.objectStore(DATA_STORE).get(key));
+        if (!entry || !data) return null;
+
+        entry.lastAccess = Date.now();
+        await request(tx.objectStore(META_STORE).put(entry));
+
+        console.log(`[Cache] Hit: ${entry.url}`);
+        return new Uint8Array(data);
+    } catch (e) {
+        console.warn('[Cache] Read failed:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Store downloaded bytes, replacing older versions of the same URL
+ * @param {string} key - Key from getModelCacheKey
+ * @param {string} url - Model URL
+ * @param {Uint8Array} data - Raw downloaded bytes
+ */
+export async function putCachedModel(key, url, data) {
+    if (!enabled || !key) return;
+
+    // Never let one model flush the whole cache
+    if (data.byteLength > sizeLimit) {
+        console.log(`[Cache] Skipped (larger than limit): ${url}`);
+        return;
+    }
+
+    try {
+        const db = await openDb();
+        const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+        const meta = tx.objectStore(META_STORE);
+        const bytes = tx.objectStore(DATA_STORE);
+
+        // Older versions of the same URL are obsolete
+        const entries = await request(meta.getAll());
+        for (const old of entries) {
+            if (old.url === url && old.key !== key) {
+                meta.delete(old.key);
+                bytes.delete(old.key);
+            }
+        }
+
+        const now = Date.now();
+        bytes.put(data.slice().buffer, key);
+        await request(meta.put({ key, url, size: data.byteLength, createdAt: now, lastAccess: now }));
+
+        await evict(db);
+        console.log(`[Cache] Stored: ${url}`);
+    } catch (e) {
+        // Quota errors must never break loading
+        console.warn('[Cache] Write failed:', e.message);
+    }
+}
+
+/**
+ * Remove every cached model
+ */
+export async function clearModelCache() {
+    if (typeof indexedDB === 'undefined') return;
+
+    const db = await openDb();
+    const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    tx.objectStore(DATA_STORE).clear();
+    await request(tx.objectStore(META_STORE).clear());
+    console.log('[Cache] Cleared');
+}
+
+/**
+ * Summary of the cache contents
+ * @returns {Promise<{ enabled, limit, totalSize, entries: Object[] }>}
+ */
+export async function getModelCacheStatus() {
+    const status = { enabled, limit: sizeLimit, totalSize: 0, entries: [] };
+    if (typeof indexedDB === 'undefined') return status;
+
+    try {
+        const db = await openDb();
+        const entries = await request(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+
+        status.entries = entries.sort((a, b) => b.lastAccess - a.lastAccess);
+        status.totalSize = status.entries.reduce((sum, e) => sum + e.size, 0);
+    } catch (e) {
+        console.warn('[Cache] Status failed:', e.message);
+    }
+
+    return status;
+}
+
+// ============================================
+// Internals
+// ============================================
+
+/**
+ * Delete least recently used entries until the cache fits the limit
+ */
+async function evict(db) {
+    const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    const entries = await request(tx.objectStore(META_STORE).getAll());
+
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+
+    for (const entry of entries) {
+        if (total <= sizeLimit) break;
+        tx.objectStore(META_STORE).delete(entry.key);
+        tx.objectStore(DATA_STORE).delete(entry.key);
+        total -= entry.size;
+        console.log(`[Cache] Evicted: ${entry.url}`);
+    }
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(META_STORE, { keyPath: 'key' });
+                req.result.createObjectStore(DATA_STORE);
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // Allow a retry after a failed open (e.g. blocked in private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Promisify an IDBRequest
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
@@ -6,6 +6,9 @@
  */
 
 import * as THREE from 'three';
+import { getModelsBoundingBox } from './viewer.js';
+import { requestRender } from './rendering.js';
+import { formatLength } from './units.js';
 
 // ============================================
 // State
@@ -67,23 +70,23 @@ export function initClipper(viewer) {
 }
 
 // ============================================
-// Update bounding box ranges from loaded model
+// Update bounding box ranges from the visible models
 // ============================================
+
+/**
+ * Fit the slider ranges to the visible models. Nothing changes while their
+ * box stays the same; otherwise active cuts keep their position (clamped to
+ * the new range) and inactive planes open fully.
+ * @returns {boolean} Whether the ranges changed (rebuild the panel then)
+ */
 export function updateClipperRanges(viewer) {
-    if (!isInitialized) return;
+    if (!isInitialized) return false;
 
-    const { world, fragmentsManager } = viewer || viewerRef;
-    const globalBox = new THREE.Box3();
-    let hasContent = false;
+    const { world } = viewer || viewerRef;
 
-    // Gather bounding box from all objects in the scene
-    fragmentsManager.groups.forEach((group) => {
-        const box = new THREE.Box3().setFromObject(group);
-        if (!box.isEmpty()) {
-            globalBox.union(box);
-            hasContent = true;
-        }
-    });
+    // Follow the model registry: only visible models define the ranges
+    const globalBox = getModelsBoundingBox(viewer || viewerRef);
+    let hasContent = !globalBox.isEmpty();
 
     if (!hasContent) {
         const sceneBox = new THREE.Box3().setFromObject(world.scene.three);
@@ -93,36 +96,39 @@ export function updateClipperRanges(viewer) {
         }
     }
 
-    if (!hasContent) return;
+    if (!hasContent) return false;
 
     const min = globalBox.min;
     const max = globalBox.max;
     const padding = 0.5; // Small padding beyond the model
 
-    ranges.x = { min: min.x - padding, max: max.x + padding };
-    ranges.y = { min: min.y - padding, max: max.y + padding };
-    ranges.z = { min: min.z - padding, max: max.z + padding };
-
-    // Update slider ranges in the UI
-    for (const axis of AXES) {
-        const slider = document.getElementById(`clip-slider-${axis.key}`);
-        if (slider) {
-            const r = ranges[axis.key];
-            slider.min = r.min;
-            slider.max = r.max;
-            slider.step = ((r.max - r.min) / 200).toFixed(4);
-            slider.value = r.max; // Start fully open
-        }
-        const valEl = document.getElementById(`clip-val-${axis.key}`);
-        if (valEl) valEl.textContent = ranges[axis.key].max.toFixed(1);
+    const next = {
+        x: { min: min.x - padding, max: max.x + padding },
+        y: { min: min.y - padding, max: max.y + padding },
+        z: { min: min.z - padding, max: max.z + padding },
+    };
+    if (AXES.every(a => next[a.key].min === ranges[a.key].min && next[a.key].max === ranges[a.key].max)) {
+        return false;
     }
+    ranges = next;
 
-    // Reset planes to fully open
+    // Active cuts stay where they are, within the new box; the rest open fully
     for (const axis of AXES) {
-        clipPlanes[axis.key].constant = ranges[axis.key].max;
+        const r = getSliderRange(axis.key);
+        const plane = clipPlanes[axis.key];
+        plane.constant = activeAxes[axis.key]
+            ? Math.min(Math.max(plane.constant, r.min), r.max)
+            : r.max;
+
+        if (planeHelpers[axis.key]) {
+            planeHelpers[axis.key].size = getMaxModelSize() * 1.5;
+            planeHelpers[axis.key].updateMatrixWorld(true);
+        }
     }
+    if (isClipperActive()) requestRender(viewerRef);
 
     console.log('[Clipper] Ranges updated:', ranges);
+    return true;
 }
 
 // ============================================
@@ -156,6 +162,7 @@ export function toggleAxis(axisKey, enable) {
             planeHelpers[axisKey].visible = false;
         }
     }
+    requestRender(viewerRef);
 }
 
 // ============================================
@@ -170,6 +177,7 @@ export function setClipPosition(axisKey, value) {
     if (planeHelpers[axisKey]) {
         planeHelpers[axisKey].updateMatrixWorld(true);
     }
+    requestRender(viewerRef);
 }
 
 // ============================================
@@ -198,6 +206,7 @@ function applyClipping() {
             });
         }
     });
+    requestRender(viewerRef);
 }
 
 // ============================================
@@ -206,7 +215,8 @@ function applyClipping() {
 export function resetClipper() {
     for (const axis of AXES) {
         activeAxes[axis.key] = false;
-        clipPlanes[axis.key].constant = ranges[axis.key].max;
+        const open = getSliderRange(axis.key).max;
+        clipPlanes[axis.key].constant = open;
 
         if (planeHelpers[axis.key]) {
             planeHelpers[axis.key].visible = false;
@@ -218,9 +228,9 @@ export function resetClipper() {
         const valEl = document.getElementById(`clip-val-${axis.key}`);
         const flipBtn = document.getElementById(`clip-flip-${axis.key}`);
 
-        if (slider) { slider.value = ranges[axis.key].max; slider.disabled = true; }
+        if (slider) { slider.value = open; slider.disabled = true; }
         if (toggle) toggle.classList.remove('active');
-        if (valEl) valEl.textContent = ranges[axis.key].max.toFixed(1);
+        if (valEl) valEl.textContent = formatClipValue(axis.key, open);
         if (flipBtn) flipBtn.disabled = true;
     }
 
@@ -234,6 +244,15 @@ export function isClipperActive() {
     return AXES.some(a => activeAxes[a.key]);
 }
 
+// ============================================
+// Active planes (world space), e.g. to cut exported geometry
+// ============================================
+export function getActiveClipPlanes() {
+    return AXES
+        .filter(a => activeAxes[a.key])
+        .map(a => clipPlanes[a.key].clone());
+}
+
 // ============================================
 // Flip a clipping plane direction
 // ============================================
@@ -253,6 +272,40 @@ function getMaxModelSize() {
     return Math.max(sizeX, sizeY, sizeZ, 20);
 }
 
+/**
+ * Slider range of an axis: flipped planes use negated constants
+ */
+function getSliderRange(axisKey) {
+    const r = ranges[axisKey];
+    return isFlipped(axisKey) ? { min: -r.max, max: -r.min } : r;
+}
+
+function isFlipped(axisKey) {
+    return clipPlanes[axisKey].normal.dot(AXES.find(a => a.key === axisKey).normal) < 0;
+}
+
+/**
+ * Readout for a slider value in real coordinates: undoes the scene
+ * rebasing and the sign swap of flipped planes
+ */
+function formatClipValue(axisKey, sliderValue) {
+    const flipped = clipPlanes[axisKey] && isFlipped(axisKey);
+    const position = flipped ? -sliderValue : sliderValue;
+    const origin = viewerRef?.origin ? viewerRef.origin[axisKey] : 0;
+    return formatLength(position + origin);
+}
+
+/**
+ * Re-format the slider readouts (after the display units change)
+ */
+export function refreshClipperLabels() {
+    for (const axis of AXES) {
+        const slider = document.getElementById(`clip-slider-${axis.key}`);
+        const valEl = document.getElementById(`clip-val-${axis.key}`);
+        if (slider && valEl) valEl.textContent = formatClipValue(axis.key, parseFloat(slider.value));
+    }
+}
+
 // ============================================
 // Build Clipping Panel UI
 // ============================================
@@ -262,12 +315,15 @@ export function buildClipperPanel() {
 
     let html = '';
 
+    // Rendered from the current state, so rebuilding keeps active cuts
     for (const axis of AXES) {
-        const r = ranges[axis.key];
+        const r = getSliderRange(axis.key);
+        const value = clipPlanes[axis.key].constant;
+        const disabled = activeAxes[axis.key] ? '' : 'disabled';
         html += `
         <div class="clip-axis" data-axis="${axis.key}">
             <div class="clip-axis-header">
-                <button class="clip-toggle" id="clip-toggle-${axis.key}" title="Activar corte ${axis.label}">
+                <button class="clip-toggle${activeAxes[axis.key] ? ' active' : ''}" id="clip-toggle-${axis.key}" title="Activar corte ${axis.label}">
                     <span class="clip-axis-badge" style="background:${axis.color}">${axis.label}</span>
                 </button>
                 <div class="clip-slider-wrap">
@@ -277,12 +333,12 @@ export function buildClipperPanel() {
                         min="${r.min}"
                         max="${r.max}"
                         step="${((r.max - r.min) / 200).toFixed(4)}"
-                        value="${r.max}"
-                        disabled
+                        value="${value}"
+                        ${disabled}
                     />
                 </div>
-                <span class="clip-val" id="clip-val-${axis.key}">${r.max.toFixed(1)}</span>
-                <button class="clip-flip" id="clip-flip-${axis.key}" title="Invertir dirección" disabled>
+                <span class="clip-val" id="clip-val-${axis.key}">${formatClipValue(axis.key, value)}</span>
+                <button class="clip-flip" id="clip-flip-${axis.key}" title="Invertir dirección" ${disabled}>
                     <i class="fas fa-exchange-alt"></i>
                 </button>
             </div>
@@ -318,7 +374,7 @@ export function buildClipperPanel() {
         slider?.addEventListener('input', (e) => {
             const val = parseFloat(e.target.value);
             setClipPosition(axis.key, val);
-            if (valEl) valEl.textContent = val.toFixed(1);
+            if (valEl) valEl.textContent = formatClipValue(axis.key, val);
         });
 
         flipBtn?.addEventListener('click', () => {
@@ -332,7 +388,7 @@ export function buildClipperPanel() {
             slider.value = -parseFloat(slider.value);
             const newVal = parseFloat(slider.value);
             setClipPosition(axis.key, newVal);
-            if (valEl) valEl.textContent = newVal.toFixed(1);
+            if (valEl) valEl.textContent = formatClipValue(axis.key, newVal);
         });
     }
 
@@ -0,0 +1,125 @@
+/**
+ * Bitform 3D Viewer — Element Colouring
+ *
+ * Paints IFC elements with flat colours (search results, thematic
+ * views). The colour overrides the fragment's own, so the selection and
+ * hover tints restore to it; the model's colours are kept aside to undo it.
+ */
+
+import * as THREE from 'three';
+import { getModels, getModel } from './viewer.js';
+import { withoutHighlight } from './selection.js';
+import { requestRender } from './rendering.js';
+
+// ============================================
+// State
+// ============================================
+// fragment -> Map<expressID, THREE.Color> with the colour it had before
+// painting. One colour per item: instances move when items are hidden.
+const originalColors = new WeakMap();
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Paint IFC items with a colour
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @param {THREE.ColorRepresentation} color - e.g. '#ff6600'
+ * @returns {number} Items painted
+ */
+export function colorItems(viewer, items, color) {
+    const paint = new THREE.Color(color);
+    const colors = new Map();
+    for (const [modelId, ids] of items) {
+        colors.set(modelId, new Map([...ids].map(id => [id, paint])));
+    }
+    return paintItems(viewer, colors);
+}
+
+/**
+ * Paint IFC items, each with its own colour (thematic views). Items sharing a
+ * THREE.Color instance are painted together.
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Map<number, THREE.Color>>} colors - Model id -> expressID -> colour
+ * @returns {number} Items painted
+ */
+export function paintItems(viewer, colors) {
+    let painted = 0;
+
+    // Without the highlight the fragments hold the model's own colours
+    withoutHighlight(() => {
+        for (const [modelId, itemColors] of colors) {
+            const model = getModel(viewer, modelId)?.model;
+            if (!Array.isArray(model?.items)) continue;
+
+            const seen = new Set();
+            for (const fragment of model.items) {
+                if (!fragment.mesh?.instanceColor) continue;
+
+                const byColor = new Map();
+                for (const id of fragment.ids) {
+                    const color = itemColors.get(id);
+                    if (!color) continue;
+                    if (!byColor.has(color)) byColor.set(color, []);
+                    byColor.get(color).push(id);
+                    seen.add(id);
+                }
+                if (byColor.size === 0) continue;
+
+                if (!originalColors.has(fragment)) originalColors.set(fragment, new Map());
+                const originals = originalColors.get(fragment);
+                for (const [color, ids] of byColor) {
+                    for (const id of ids) {
+                        if (!originals.has(id)) originals.set(id, getItemColor(fragment, id));
+                    }
+                    fragment.setColor(color, ids, true);
+                }
+            }
+            painted += seen.size;
+        }
+    });
+
+    requestRender(viewer);
+    return painted;
+}
+
+/**
+ * Give painted items their model colours back
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} [items] - Model id -> expressIDs (all when omitted)
+ */
+export function resetItemColors(viewer, items = null) {
+    withoutHighlight(() => {
+        for (const { id: modelId, model } of getModels(viewer)) {
+            if (!Array.isArray(model.items)) continue;
+            if (items && !items.has(modelId)) continue;
+            const wanted = items ? new Set(items.get(modelId)) : null;
+
+            for (const fragment of model.items) {
+                const originals = originalColors.get(fragment);
+                if (!originals || !fragment.mesh) continue;
+
+                for (const [id, color] of [...originals]) {
+                    if (wanted && !wanted.has(id)) continue;
+                    fragment.setColor(color, [id], true);
+                    originals.delete(id);
+                }
+                if (originals.size === 0) originalColors.delete(fragment);
+            }
+        }
+    });
+
+    requestRender(viewer);
+}
+
+// ============================================
+// Utility
+// ============================================
+function getItemColor(fragment, id) {
+    const color = new THREE.Color();
+    const [instance] = fragment.getInstancesIDs(id) || [];
+    if (instance !== undefined) fragment.mesh.getColorAt(instance, color);
+    return color;
+}
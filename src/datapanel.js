@@ -0,0 +1,279 @@
+/**
+ * Bitform 3D Viewer — Property Export Panel
+ *
+ * Exports the properties of the selection or of whole models to CSV, XLSX
+ * or JSON. The column list is read from the elements in scope: element
+ * info, attributes and each Pset / Qto property, grouped by set.
+ */
+
+import { getModels } from './viewer.js';
+import { getSelectedItems } from './selection.js';
+import { DEFAULT_COLUMNS, resolveTableItems, getTableColumns, getPropertyTable, tableToBlob } from './table.js';
+import { showToast, downloadBlob, escapeHtml } from './ui.js';
+
+// ============================================
+// State
+// ============================================
+const GROUP_LABELS = { info: 'Elemento', attribute: 'Atributos' };
+
+let viewerRef = null;
+let scope = 'selection';            // 'selection', 'all' or a model id
+let units = 'header';               // 'header' | 'value'
+let columns = null;                 // From getTableColumns for the current scope
+const choices = new Map();          // Column key -> checked, as toggled by the user
+const openGroups = new Set(['info']);   // Column groups expanded
+let loading = 0;                    // Token of the column read in progress (0: none)
+let refreshCount = 0;
+let exporting = false;
+
+/**
+ * Initialize the property export panel
+ * @param {Object} viewer - Viewer instance from initViewer
+ */
+export function initDataPanel(viewer) {
+    viewerRef = viewer;
+
+    const content = document.getElementById('data-content');
+    if (!content) return;
+
+    content.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (btn) handleAction(btn.dataset.action, btn);
+    });
+
+    content.addEventListener('change', (e) => {
+        const { role } = e.target.dataset;
+        if (role === 'scope') {
+            scope = e.target.value;
+            refreshDataPanel();
+        } else if (role === 'units') {
+            units = e.target.value;
+        } else if (role === 'column') {
+            choices.set(e.target.value, e.target.checked);
+            renderDataPanel();
+        } else if (role === 'group') {
+            for (const column of columns || []) {
+                if (groupKey(column) === e.target.value) choices.set(column.key, e.target.checked);
+            }
+            renderDataPanel();
+        }
+    });
+
+    // Keep the groups the user expanded across re-renders ('toggle' does not bubble)
+    content.addEventListener('toggle', (e) => {
+        const key = e.target.dataset?.group;
+        if (!key) return;
+        if (e.target.open) openGroups.add(key);
+        else openGroups.delete(key);
+    }, true);
+
+    renderDataPanel();
+    console.log('[DataPanel] Initialized');
+}
+
+/**
+ * Re-read the columns for the current scope (after the selection or the
+ * loaded models change). Does nothing while the panel is closed.
+ */
+export async function refreshDataPanel() {
+    const panel = document.getElementById('data-panel');
+    if (!viewerRef || !panel?.classList.contains('panel-open')) return;
+
+    // A model that was unloaded falls back to every model
+    if (!['selection', 'all'].includes(scope) && !getModels(viewerRef).some(entry => entry.id === scope)) {
+        scope = 'all';
+    }
+
+    const token = ++refreshCount;
+    loading = token;
+    renderDataPanel();
+    try {
+        const found = await getTableColumns(viewerRef, getScopeItems());
+        if (loading !== token) return;    // Superseded by a newer refresh
+        columns = found;
+    } catch (e) {
+        console.error('[DataPanel] Could not read the columns:', e);
+        columns = null;
+    }
+    loading = 0;
+    renderDataPanel();
+}
+
+/**
+ * Follow the selection: re-read the columns when exporting the selection,
+ * otherwise just update its count
+ */
+export function updateDataSelection() {
+    const panel = document.getElementById('data-panel');
+    if (!panel?.classList.contains('panel-open')) return;
+
+    if (scope === 'selection') refreshDataPanel();
+    else renderDataPanel();
+}
+
+// ============================================
+// Actions
+// ============================================
+
+function handleAction(action, btn) {
+    switch (action) {
+        case 'all':
+        case 'none':
+            for (const column of columns || []) choices.set(column.key, action === 'all');
+            renderDataPanel();
+            return;
+
+        case 'export':
+            exportTable(btn.dataset.format);
+            return;
+
+        default:
+            return;
+    }
+}
+
+async function exportTable(format) {
+    if (exporting || loading) return;
+
+    const keys = (columns || []).filter(isChecked).map(column => column.key);
+    if (keys.length === 0) {
+        showToast('Elige al menos una columna');
+        return;
+    }
+
+    const items = getScopeItems();
+    if (items.size === 0) {
+        showToast(scope === 'selection' ? 'Selecciona algún elemento IFC' : 'No hay elementos IFC que exportar');
+        return;
+    }
+
+    exporting = true;
+    renderDataPanel();
+    try {
+        const table = await getPropertyTable(viewerRef, items, { columns: keys, units });
+        downloadBlob(tableToBlob(table, format), `propiedades.${format}`);
+        showToast(`${table.rows.length.toLocaleString()} elemento${table.rows.length === 1 ? '' : 's'} exportado${table.rows.length === 1 ? '' : 's'}`);
+    } catch (e) {
+        showToast('Error: ' + e.message);
+    } finally {
+        exporting = false;
+        renderDataPanel();
+    }
+}
+
+function getScopeItems() {
+    if (scope === 'selection' || scope === 'all') return resolveTableItems(viewerRef, { scope });
+    return resolveTableItems(viewerRef, { scope: 'all', models: [scope] });
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function renderDataPanel() {
+    const content = document.getElementById('data-content');
+    if (!content) return;
+
+    const selected = countItems(getSelectedItems());
+    const models = viewerRef ? getModels(viewerRef).filter(({ model }) => model.getLocalProperties?.()) : [];
+
+    content.innerHTML = `
+        <div class="data-section">
+            <label class="data-field">
+                <span>Elementos</span>
+                <select data-role="scope">
+                    <option value="selection" ${scope === 'selection' ? 'selected' : ''}>Selección (${selected.toLocaleString()})</option>
+                    <option value="all" ${scope === 'all' ? 'selected' : ''}>Todos los modelos</option>
+                    ${models.map(entry => `<option value="${escapeHtml(entry.id)}" ${scope === entry.id ? 'selected' : ''}>${escapeHtml(entry.name)}</option>`).join('')}
+                </select>
+            </label>
+            <label class="data-field">
+                <span>Unidades</span>
+                <select data-role="units">
+                    <option value="header" ${units === 'header' ? 'selected' : ''}>En la cabecera</option>
+                    <option value="value" ${units === 'value' ? 'selected' : ''}>Junto a cada valor</option>
+                </select>
+            </label>
+        </div>
+        <div class="data-section">
+            <div class="data-section-title">
+                <span>Columnas</span>
+                <button class="data-link" data-action="all">Todas</button>
+                <button class="data-link" data-action="none">Ninguna</button>
+            </div>
+            ${renderColumns()}
+        </div>
+        <div class="data-section">
+            <div class="data-buttons">
+                ${['csv', 'xlsx', 'json'].map(format => `
+                    <button class="clip-reset-btn" data-action="export" data-format="${format}" ${exporting || loading ? 'disabled' : ''}>
+                        <i class="fas ${format === 'json' ? 'fa-file-code' : format === 'xlsx' ? 'fa-file-excel' : 'fa-file-csv'}"></i> ${format.toUpperCase()}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    // Groups with only some columns checked
+    for (const input of content.querySelectorAll('[data-partial]')) input.indeterminate = true;
+}
+
+function renderColumns() {
+    if (loading) {
+        return `<div class="empty-panel"><i class="fas fa-spinner fa-spin"></i><p>Leyendo propiedades...</p></div>`;
+    }
+    if (!columns) return '';
+
+    // Element info and attributes first, then one group per Pset / Qto
+    const groups = new Map();
+    for (const column of columns) {
+        const key = groupKey(column);
+        if (!groups.has(key)) groups.set(key, { label: GROUP_LABELS[column.group] || column.set, kind: column.group, columns: [] });
+        groups.get(key).columns.push(column);
+    }
+
+    return [...groups].map(([key, group]) => {
+        const checked = group.columns.filter(isChecked).length;
+        return `
+            <details class="data-group" data-group="${escapeHtml(key)}" ${openGroups.has(key) ? 'open' : ''}>
+                <summary>
+                    <input type="checkbox" data-role="group" value="${escapeHtml(key)}"
+                        ${checked === group.columns.length ? 'checked' : ''} ${checked > 0 && checked < group.columns.length ? 'data-partial' : ''}>
+                    <span class="data-group-name">${escapeHtml(group.label)}</span>
+                    ${group.kind === 'qto' ? '<span class="data-tag">Qto</span>' : ''}
+                    <span class="data-count">${checked}/${group.columns.length}</span>
+                </summary>
+                ${group.columns.map(column => `
+                    <label class="data-column">
+                        <input type="checkbox" data-role="column" value="${escapeHtml(column.key)}" ${isChecked(column) ? 'checked' : ''}>
+                        <span>${escapeHtml(column.set ? column.key.slice(column.set.length + 1) : column.label)}</span>
+                        ${column.unit ? `<span class="data-unit">${escapeHtml(column.unit)}</span>` : ''}
+                    </label>
+                `).join('')}
+            </details>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Utility
+// ============================================
+
+/**
+ * Element info and the usual attributes start checked only when they are
+ * defaults; every Pset / Qto property does
+ */
+function isChecked(column) {
+    if (choices.has(column.key)) return choices.get(column.key);
+    return column.set ? true : DEFAULT_COLUMNS.includes(column.key);
+}
+
+function groupKey(column) {
+    return column.set ? `${column.group}:${column.set}` : column.group;
+}
+
+function countItems(items) {
+    let count = 0;
+    for (const ids of items.values()) count += ids.size;
+    return count;
+}
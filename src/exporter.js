@@ -0,0 +1,427 @@
+/**
+ * Bitform 3D Viewer — GLB Export
+ *
+ * Writes the visible models (or the current selection) to a binary glTF for
+ * rendering and AR tools. What you see is what gets exported: hidden models
+ * and elements are skipped, per-model placements are baked into the node
+ * transforms and active clipping planes cut the geometry. Each IFC element
+ * becomes a node with its GlobalId, Name and category in `extras`.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { getModels, isObjectShown } from './viewer.js';
+import { getActiveClipPlanes } from './clipper.js';
+import { getSelectedMeshes, getSelectedItems, withoutHighlight } from './selection.js';
+import { getIfcTypeName } from './ifc.js';
+
+// ============================================
+// Constants
+// ============================================
+
+// Vertex attributes worth exporting; fragments also carry internal ones
+const EXPORT_ATTRIBUTES = ['position', 'normal', 'uv', 'color'];
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Export the visible scene (or the selection) to GLB
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Object} [options] - { selectionOnly: only the selected elements }
+ * @returns {Promise<{ blob: Blob, fileName: string, nodeCount: number }>}
+ */
+export async function exportGlb(viewer, { selectionOnly = false } = {}) {
+    // Built synchronously: the selection tint is never visible on screen
+    const scene = withoutHighlight(() => buildExportScene(viewer, { selectionOnly }));
+
+    let nodeCount = 0;
+    scene.traverse((child) => {
+        if (child.isMesh) nodeCount++;
+    });
+    if (nodeCount === 0) {
+        throw new Error(selectionOnly ? 'No hay ningún elemento seleccionado' : 'No hay geometría visible para exportar');
+    }
+
+    // Export-only geometries never reach the GPU: nothing to dispose afterwards
+    const buffer = await new GLTFExporter().parseAsync(scene, { binary: true });
+
+    const models = getModels(viewer).filter(entry => entry.visible);
+    const baseName = models.length === 1 ? models[0].name.replace(/\.[^.]+$/, '') : 'modelos-federados';
+
+    return {
+        blob: new Blob([buffer], { type: 'model/gltf-binary' }),
+        fileName: `${baseName}${selectionOnly ? '-seleccion' : ''}.glb`,
+        nodeCount,
+    };
+}
+
+// ============================================
+// Scene building
+// ============================================
+
+/**
+ * Copy of the visible geometry, in world space, ready for GLTFExporter
+ */
+function buildExportScene(viewer, { selectionOnly }) {
+    const ctx = {
+        planes: getActiveClipPlanes(),
+        selected: selectionOnly
+            ? { meshes: new Set(getSelectedMeshes()), items: getSelectedItems() }
+            : null,
+        geometries: new Map(),  // source geometry uuid -> per-group export geometries
+        materials: new Map(),   // material uuid + color -> export material
+    };
+
+    const root = new THREE.Scene();
+    root.name = 'Bitform';
+    if (viewer.origin) {
+        // Geometry is written relative to the rebased scene origin
+        root.userData.origin = viewer.origin.toArray();
+    }
+
+    for (const entry of getModels(viewer)) {
+        if (!entry.visible) continue;
+
+        const modelNode = new THREE.Group();
+        modelNode.name = entry.name;
+        modelNode.userData = { format: entry.format, ...(entry.url ? { url: entry.url } : {}) };
+
+        entry.model.updateMatrixWorld(true);
+        if (Array.isArray(entry.model.items)) {
+            addFragmentElements(entry.model, modelNode, ctx);
+        } else {
+            addMeshNodes(entry.model, modelNode, ctx);
+        }
+
+        if (modelNode.children.length > 0) root.add(modelNode);
+    }
+
+    return root;
+}
+
+/**
+ * FragmentsGroup: one node per IFC element, gathering its instances
+ * from every fragment it is split across
+ */
+function addFragmentElements(model, modelNode, ctx) {
+    const properties = model.getLocalProperties?.() || null;
+    const elements = new Map(); // itemID -> node
+    const instanceMatrix = new THREE.Matrix4();
+    const instanceColor = new THREE.Color();
+    const selectedIDs = ctx.selected ? ctx.selected.items.get(model.uuid) : null;
+    if (ctx.selected && !selectedIDs) return;
+
+    for (const fragment of model.items) {
+        const mesh = fragment.mesh;
+        if (!mesh || !isObjectShown(mesh)) continue;
+
+        // Hidden items are moved past mesh.count by Fragment.setVisibility
+        for (let i = 0; i < mesh.count; i++) {
+            const itemID = fragment.getItemID(i);
+            if (selectedIDs && !selectedIDs.has(itemID)) continue;
+
+            mesh.getMatrixAt(i, instanceMatrix);
+            const world = mesh.matrixWorld.clone().multiply(instanceMatrix);
+            const color = getInstanceColor(mesh, i, instanceColor);
+
+            let node = elements.get(itemID);
+            if (!node) {
+                node = createElementNode(itemID, properties);
+                elements.set(itemID, node);
+            }
+            addGeometry(mesh, world, color, node, ctx);
+        }
+    }
+
+    for (const node of elements.values()) {
+        if (node.children.length > 0) modelNode.add(node);
+    }
+}
+
+/**
+ * Plain three.js models (glTF, OBJ, STL): one node per visible mesh,
+ * keeping its name and userData (written back as glTF extras)
+ */
+function addMeshNodes(model, modelNode, ctx) {
+    const instanceMatrix = new THREE.Matrix4();
+    const instanceColor = new THREE.Color();
+
+    model.traverse((mesh) => {
+        if (!mesh.isMesh || !isObjectShown(mesh)) return;
+        if (ctx.selected && !ctx.selected.meshes.has(mesh)) return;
+
+        const node = new THREE.Group();
+        node.name = mesh.name;
+        node.userData = { ...mesh.userData };
+
+        if (mesh.isInstancedMesh) {
+            for (let i = 0; i < mesh.count; i++) {
+                mesh.getMatrixAt(i, instanceMatrix);
+                const color = getInstanceColor(mesh, i, instanceColor);
+                addGeometry(mesh, mesh.matrixWorld.clone().multiply(instanceMatrix), color, node, ctx);
+            }
+        } else {
+            addGeometry(mesh, mesh.matrixWorld, null, node, ctx);
+        }
+
+        if (node.children.length > 0) modelNode.add(node);
+    });
+}
+
+/**
+ * Node for an IFC element with its identity in extras
+ */
+function createElementNode(itemID, properties) {
+    const attrs = properties?.[itemID] || null;
+    const name = attrs?.Name?.value ?? null;
+    const category = attrs ? getIfcTypeName(attrs.type) : null;
+
+    const node = new THREE.Group();
+    node.name = name || `${category || 'Elemento'} ${itemID}`;
+    node.userData = { expressID: itemID };
+    if (attrs?.GlobalId?.value) node.userData.GlobalId = attrs.GlobalId.value;
+    if (name) node.userData.Name = name;
+    if (category) node.userData.Category = category;
+
+    return node;
+}
+
+/**
+ * Add the meshes for one placed copy of a geometry, cut by the clipping planes
+ * @param {THREE.Mesh} source - Mesh being exported
+ * @param {THREE.Matrix4} world - World matrix of this copy
+ * @param {THREE.Color|null} color - Instance color, if any
+ * @param {THREE.Object3D} parent - Node to add the meshes to
+ */
+function addGeometry(source, world, color, parent, ctx) {
+    for (const { geometry, material } of getExportGeometries(source, ctx)) {
+        const exportMaterial = getExportMaterial(material, color, ctx);
+        const clip = classifyAgainstPlanes(geometry, world, ctx.planes);
+        if (clip === 'outside') continue;
+
+        let mesh;
+        if (clip === 'inside') {
+            // Shared geometry: GLTFExporter writes it once for all copies
+            mesh = new THREE.Mesh(geometry, exportMaterial);
+            mesh.matrixAutoUpdate = false;
+            mesh.matrix.copy(world);
+        } else {
+            const clipped = clipGeometry(geometry, world, ctx.planes);
+            if (!clipped) continue;
+            mesh = new THREE.Mesh(clipped, exportMaterial);
+        }
+
+        mesh.name = parent.name;
+        parent.add(mesh);
+    }
+}
+
+/**
+ * Split a mesh into single-material geometries with only exportable attributes
+ * @returns {{ geometry: THREE.BufferGeometry, material: THREE.Material }[]}
+ */
+function getExportGeometries(mesh, ctx) {
+    const source = mesh.geometry;
+    const baseMaterial = mesh.material;
+    const key = `${source.uuid}:${Array.isArray(baseMaterial) ? baseMaterial.map(m => m.uuid).join() : baseMaterial.uuid}`;
+    if (ctx.geometries.has(key)) return ctx.geometries.get(key);
+
+    const materials = Array.isArray(baseMaterial) ? baseMaterial : [baseMaterial];
+    const groups = Array.isArray(baseMaterial) && source.groups.length > 0
+        ? source.groups
+        : [{ start: 0, count: Infinity, materialIndex: 0 }];
+
+    const parts = [];
+    for (const group of groups) {
+        const material = materials[group.materialIndex ?? 0];
+        if (!material || material.visible === false) continue;
+
+        const geometry = extractRange(source, group.start, group.count);
+        if (geometry) parts.push({ geometry, material });
+    }
+
+    ctx.geometries.set(key, parts);
+    return parts;
+}
+
+/**
+ * New geometry with the exportable attributes of a draw range (a geometry group)
+ */
+function extractRange(source, start, count) {
+    const geometry = new THREE.BufferGeometry();
+    for (const name of EXPORT_ATTRIBUTES) {
+        if (source.attributes[name]) geometry.setAttribute(name, source.attributes[name]);
+    }
+    if (!geometry.attributes.position) return null;
+
+    if (source.index) {
+        const end = Math.min(source.index.count, start + count);
+        if (end <= start) return null;
+        geometry.setIndex(new THREE.BufferAttribute(source.index.array.slice(start, end), 1));
+    } else if (start > 0 || count < source.attributes.position.count) {
+        geometry.setDrawRange(start, count);
+    }
+
+    geometry.computeBoundingBox();
+    return geometry;
+}
+
+/**
+ * glTF-friendly material: PBR, with the instance color applied
+ */
+function getExportMaterial(material, color, ctx) {
+    const key = `${material.uuid}:${color ? color.getHexString() : ''}`;
+    if (ctx.materials.has(key)) return ctx.materials.get(key);
+
+    let exportMaterial;
+    if (material.isMeshStandardMaterial || material.isMeshBasicMaterial) {
+        exportMaterial = color ? material.clone() : material;
+    } else {
+        // Lambert / Phong (fragments, OBJ): GLTFExporter only writes PBR
+        exportMaterial = new THREE.MeshStandardMaterial({
+            name: material.name,
+            color: material.color ? material.color.clone() : 0xffffff,
+            opacity: material.opacity,
+            transparent: material.transparent,
+            side: material.side,
+            vertexColors: material.vertexColors,
+            roughness: 0.9,
+            metalness: 0,
+        });
+    }
+
+    // Instance colors multiply the material color, as when rendering
+    if (color && exportMaterial.color) exportMaterial.color.multiply(color);
+
+    ctx.materials.set(key, exportMaterial);
+    return exportMaterial;
+}
+
+// ============================================
+// Clipping
+// ============================================
+
+/**
+ * 'inside' (keep as is), 'outside' (drop) or 'cut', from the world-space box
+ */
+function classifyAgainstPlanes(geometry, world, planes) {
+    if (planes.length === 0) return 'inside';
+
+    const box = geometry.boundingBox.clone().applyMatrix4(world);
+    const corners = boxCorners(box);
+    let cut = false;
+
+    for (const plane of planes) {
+        let above = 0;
+        for (const corner of corners) {
+            if (plane.distanceToPoint(corner) >= 0) above++;
+        }
+        // Three.js discards the negative side of a clipping plane
+        if (above === 0) return 'outside';
+        if (above < corners.length) cut = true;
+    }
+
+    return cut ? 'cut' : 'inside';
+}
+
+/**
+ * Bake a geometry to world space and cut its triangles with the planes
+ * (Sutherland–Hodgman per triangle). Returns null when nothing is left.
+ */
+function clipGeometry(geometry, world, planes) {
+    const baked = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+    baked.applyMatrix4(world);
+
+    const names = Object.keys(baked.attributes);
+    const attributes = names.map(name => baked.attributes[name]);
+    const positionIndex = names.indexOf('position');
+    const output = names.map(() => []);
+    // Mirrored instances: applyMatrix4 does not flip the winding
+    const mirrored = world.determinant() < 0;
+
+    const readVertex = (i) => attributes.map((attr) => {
+        const values = [];
+        for (let c = 0; c < attr.itemSize; c++) values.push(attr.getComponent(i, c));
+        return values;
+    });
+
+    const start = baked.drawRange.start;
+    const end = Math.min(baked.attributes.position.count, start + baked.drawRange.count);
+    const point = new THREE.Vector3();
+
+    for (let i = start; i + 2 < end; i += 3) {
+        let polygon = mirrored
+            ? [readVertex(i), readVertex(i + 2), readVertex(i + 1)]
+            : [readVertex(i), readVertex(i + 1), readVertex(i + 2)];
+
+        for (const plane of planes) {
+            polygon = clipPolygon(polygon, plane, positionIndex, point);
+            if (polygon.length < 3) break;
+        }
+        if (polygon.length < 3) continue;
+
+        // Fan triangulation of the convex result
+        for (let k = 1; k + 1 < polygon.length; k++) {
+            for (const vertex of [polygon[0], polygon[k], polygon[k + 1]]) {
+                vertex.forEach((values, a) => output[a].push(...values));
+            }
+        }
+    }
+
+    baked.dispose();
+    if (output[positionIndex].length === 0) return null;
+
+    const result = new THREE.BufferGeometry();
+    names.forEach((name, a) => {
+        result.setAttribute(name, new THREE.Float32BufferAttribute(output[a], attributes[a].itemSize));
+    });
+    if (result.attributes.normal) result.normalizeNormals();
+    return result;
+}
+
+/**
+ * Keep the part of a polygon on the positive side of a plane,
+ * interpolating every vertex attribute at the crossings
+ */
+function clipPolygon(polygon, plane, positionIndex, point) {
+    const distance = (vertex) => plane.distanceToPoint(point.fromArray(vertex[positionIndex]));
+    const result = [];
+
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const dc = distance(current);
+        const dn = distance(next);
+
+        if (dc >= 0) result.push(current);
+        if ((dc >= 0) !== (dn >= 0)) {
+            const t = dc / (dc - dn);
+            result.push(current.map((values, a) => values.map((v, c) => v + (next[a][c] - v) * t)));
+        }
+    }
+
+    return result;
+}
+
+function boxCorners(box) {
+    const { min, max } = box;
+    const corners = [];
+    for (const x of [min.x, max.x]) {
+        for (const y of [min.y, max.y]) {
+            for (const z of [min.z, max.z]) corners.push(new THREE.Vector3(x, y, z));
+        }
+    }
+    return corners;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function getInstanceColor(mesh, index, target) {
+    if (!mesh.instanceColor) return null;
+    mesh.getColorAt(index, target);
+    return target;
+}
@@ -0,0 +1,266 @@
+/**
+ * Bitform 3D Viewer — Model Format Detection
+ *
+ * Detects the model format from the payload bytes instead of the file
+ * extension, so Drive links (`uc?id=...`), signed URLs and `blob:` URLs
+ * load correctly. Also unwraps gzip, zlib and zip (ifcZIP) containers.
+ * BIM formats (IFC, FRAG) plus mesh formats (glTF / GLB, OBJ, STL).
+ */
+
+// ============================================
+// Constants
+// ============================================
+export const MODEL_FORMATS = ['ifc', 'frag', 'glb', 'gltf', 'obj', 'stl'];
+
+const IFC_HEADER = 'ISO-10303-21';
+const GLB_MAGIC = [0x67, 0x6c, 0x54, 0x46];   // "glTF"
+const OBJ_KEYWORDS = /^(v|vn|vt|f|o|g|s|l|mtllib|usemtl)\s/;
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];   // "PK\x03\x04"
+const GZIP_MAGIC = [0x1f, 0x8b];
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Resolve the format of a model payload, unwrapping compressed containers
+ * @param {Uint8Array} data - Raw bytes as downloaded / read from disk
+ * @param {Object} [hints] - { format: explicit format, fileName: name or URL used as last resort }
+ * @returns {Promise<{ format: string, data: Uint8Array }>} Detected format and the (decompressed) bytes
+ */
+export async function resolveModelData(data, hints = {}) {
+    // Compressed containers first: the real format is inside
+    if (startsWith(data, GZIP_MAGIC)) {
+        const inflated = await decompress(data, 'gzip');
+        return resolveModelData(inflated, hints);
+    }
+
+    if (isZlib(data)) {
+        // Two header bytes can match by chance: only trust a clean inflate
+        const inflated = await decompress(data, 'deflate').catch(() => null);
+        if (inflated) return resolveModelData(inflated, hints);
+    }
+
+    if (startsWith(data, ZIP_MAGIC)) {
+        const entry = await extractModelFromZip(data);
+        return resolveModelData(entry.data, { ...hints, fileName: hints.fileName || entry.name });
+    }
+
+    // An explicit format always wins over sniffing
+    const explicit = normalizeFormat(hints.format);
+    if (explicit) return { format: explicit, data };
+
+    const sniffed = sniffFormat(data);
+    if (sniffed) return { format: sniffed, data };
+
+    // Last resort: the extension, when there is one
+    const ext = getExtension(hints.fileName);
+    if (MODEL_FORMATS.includes(ext)) return { format: ext, data };
+
+    if (looksLikeHtml(data)) {
+        throw new Error('La URL devolvió una página HTML en lugar de un modelo (¿enlace de Drive sin acceso público?)');
+    }
+    throw new Error('Formato de modelo no reconocido. Usa .frag, .ifc, .glb, .gltf, .obj o .stl');
+}
+
+/**
+ * Detect the format from the first bytes of a payload
+ * @param {Uint8Array} data - Raw (uncompressed) bytes
+ * @returns {string|null} A value of MODEL_FORMATS or null when unknown
+ */
+export function sniffFormat(data) {
+    if (!data || data.length < 8) return null;
+
+    // Skip a UTF-8 byte order mark before the STEP header
+    const start = startsWith(data, UTF8_BOM) ? UTF8_BOM.length : 0;
+    const head = readAscii(data, start, 256).trimStart();
+    if (head.startsWith(IFC_HEADER)) return 'ifc';
+
+    if (startsWith(data, GLB_MAGIC)) return 'glb';
+
+    // Binary STL headers may start with "solid" too: the size check goes first
+    if (isBinaryStl(data)) return 'stl';
+    if (head.startsWith('solid') && readAscii(data, start, 1024).includes('facet')) return 'stl';
+
+    // Text formats before the FlatBuffers check, which only validates offsets
+    if (head.startsWith('{') && readAscii(data, start, 65536).includes('"asset"')) return 'gltf';
+    if (looksLikeObj(data, start)) return 'obj';
+
+    if (looksLikeFlatbuffer(data)) return 'frag';
+
+    return null;
+}
+
+/**
+ * Normalize a user-supplied format hint (e.g. '.IFC', 'frag')
+ * @param {string} format - Raw hint from a message or query param
+ * @returns {string|null} A value of MODEL_FORMATS or null
+ */
+export function normalizeFormat(format) {
+    if (!format) return null;
+    const value = String(format).trim().toLowerCase().replace(/^\./, '');
+    return MODEL_FORMATS.includes(value) ? value : null;
+}
+
+// ============================================
+// Sniffing helpers
+// ============================================
+
+/**
+ * Structural check for a FlatBuffers root table.
+ * Fragments 2.x files are written without a file_identifier, so instead of
+ * matching magic bytes we validate the root offset and its vtable.
+ */
+function looksLikeFlatbuffer(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const rootOffset = view.getUint32(0, true);
+
+    if (rootOffset < 4 || rootOffset % 4 !== 0 || rootOffset + 4 > data.length) return false;
+
+    const vtableOffset = rootOffset - view.getInt32(rootOffset, true);
+    if (vtableOffset < 4 || vtableOffset + 4 > data.length) return false;
+
+    const vtableSize = view.getUint16(vtableOffset, true);
+    const tableSize = view.getUint16(vtableOffset + 2, true);
+
+    return vtableSize >= 4 && vtableSize % 2 === 0 && tableSize >= 4
+        && vtableOffset + vtableSize <= data.length;
+}
+
+/**
+ * Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+ */
+function isBinaryStl(data) {
+    if (data.length < 84) return false;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return 84 + view.getUint32(80, true) * 50 === data.length;
+}
+
+/**
+ * Wavefront OBJ: the first statements (after comments) are OBJ keywords
+ * and at least one of them is a vertex
+ */
+function looksLikeObj(data, start) {
+    const lines = readAscii(data, start, 4096).split(/\r?\n/);
+    // The last line may be cut by the 4 KB window
+    if (data.length > start + 4096) lines.pop();
+    let statements = 0;
+    let vertices = 0;
+
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        if (!OBJ_KEYWORDS.test(line)) return false;
+        statements++;
+        if (line.startsWith('v ')) vertices++;
+        if (statements >= 20) break;
+    }
+    return vertices > 0;
+}
+
+function looksLikeHtml(data) {
+    const head = readAscii(data, 0, 512).trimStart().toLowerCase();
+    return head.startsWith('<!doctype html') || head.startsWith('<html');
+}
+
+/**
+ * zlib stream header: deflate method (CM = 8) and a valid FCHECK
+ */
+function isZlib(data) {
+    if (!data || data.length < 2) return false;
+    return (data[0] & 0x0f) === 8 && (data[0] >> 4) <= 7 && ((data[0] << 8) | data[1]) % 31 === 0;
+}
+
+function startsWith(data, magic) {
+    if (!data || data.length < magic.length) return false;
+    return magic.every((byte, i) => data[i] === byte);
+}
+
+function readAscii(data, start, length) {
+    const end = Math.min(data.length, start + length);
+    let str = '';
+    for (let i = start; i < end; i++) {
+        str += String.fromCharCode(data[i]);
+    }
+    return str;
+}
+
+function getExtension(name) {
+    if (!name) return '';
+    const path = String(name).split(/[?#]/)[0];
+    const last = path.split('/').pop();
+    return last.includes('.') ? last.split('.').pop().toLowerCase() : '';
+}
+
+// ============================================
+// Containers
+// ============================================
+
+/**
+ * Decompress with the native DecompressionStream
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {string} method - 'gzip', 'deflate' (zlib) or 'deflate-raw'
+ */
+async function decompress(data, method) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Este navegador no soporta modelos comprimidos');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(method));
+    const buffer = await new Response(stream).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Extract the first model entry of a zip archive (ifcZIP or zipped .frag).
+ * Reads the central directory, so archives written with data descriptors work too.
+ * @param {Uint8Array} data - Zip bytes
+ * @returns {Promise<{ name: string, data: Uint8Array }>}
+ */
+async function extractModelFromZip(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    // End of central directory record: scan backwards (max 64 KB comment)
+    let eocd = -1;
+    for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Archivo zip dañado');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(ptr, true) !== 0x02014b50) break;
+
+        const method = view.getUint16(ptr + 10, true);
+        const compressedSize = view.getUint32(ptr + 20, true);
+        const nameLength = view.getUint16(ptr + 28, true);
+        const extraLength = view.getUint16(ptr + 30, true);
+        const commentLength = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const name = new TextDecoder().decode(data.subarray(ptr + 46, ptr + 46 + nameLength));
+
+        entries.push({ name, method, compressedSize, localOffset });
+        ptr += 46 + nameLength + extraLength + commentLength;
+    }
+
+    // Prefer a known model extension, otherwise the first file
+    const files = entries.filter(e => !e.name.endsWith('/'));
+    const entry = files.find(e => MODEL_FORMATS.includes(getExtension(e.name))) || files[0];
+    if (!entry) throw new Error('El archivo zip no contiene ningún modelo');
+
+    const localNameLength = view.getUint16(entry.localOffset + 26, true);
+    const localExtraLength = view.getUint16(entry.localOffset + 28, true);
+    const start = entry.localOffset + 30 + localNameLength + localExtraLength;
+    const raw = data.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return { name: entry.name, data: raw };
+    if (entry.method === 8) return { name: entry.name, data: await decompress(raw, 'deflate-raw') };
+
+    throw new Error(`Compresión zip no soportada (método ${entry.method})`);
+}
@@ -0,0 +1,201 @@
+/**
+ * Bitform 3D Viewer — Large Coordinates & Geo-referencing
+ *
+ * Models exported in national grid coordinates sit hundreds of kilometres
+ * from the origin, where float32 precision makes the view jitter. The viewer
+ * rebases the scene on a shared origin (see registerModel in viewer.js) and
+ * this module converts scene points back to project (IFC) and map
+ * coordinates using IfcMapConversion / IfcSite.
+ */
+
+import * as THREE from 'three';
+import * as WEBIFC from 'web-ifc';
+import { getUnitScale, val, num } from './ifc.js';
+import { formatLength, formatNumber } from './units.js';
+
+// ============================================
+// Constants
+// ============================================
+
+/** Models whose center is farther than this (m) trigger origin rebasing */
+export const REBASE_THRESHOLD = 5000;
+
+// ============================================
+// Origin Rebasing
+// ============================================
+
+/**
+ * Pick a scene origin for a model box, or null when no rebasing is needed.
+ * Rounded to whole metres so readouts stay easy to compare.
+ * @param {THREE.Box3} bbox - Model bounding box in native coordinates
+ * @returns {THREE.Vector3|null}
+ */
+export function computeRebaseOrigin(bbox) {
+    if (!bbox || bbox.isEmpty()) return null;
+
+    const center = bbox.getCenter(new THREE.Vector3());
+    if (center.length() < REBASE_THRESHOLD) return null;
+
+    return center.set(Math.round(center.x), Math.round(center.y), Math.round(center.z));
+}
+
+// ============================================
+// Georeference Data
+// ============================================
+
+/**
+ * Read IfcMapConversion, IfcProjectedCRS, IfcSite and the project length unit
+ * from a model's properties. Cached on the registry entry.
+ * @param {Object} entry - Model registry entry
+ * @returns {Object|null} { lengthUnit, mapConversion, crs, site }
+ */
+export function getGeoreference(entry) {
+    if (!entry) return null;
+    if (entry.georeference !== undefined) return entry.georeference;
+
+    const props = entry.model.getLocalProperties?.();
+    if (!props) {
+        entry.georeference = null;
+        return null;
+    }
+
+    const georef = {
+        lengthUnit: getUnitScale(entry.model, 'LENGTHUNIT') ?? 1,
+        mapConversion: null,
+        crs: null,
+        site: null,
+    };
+
+    for (const item of Object.values(props)) {
+        if (!item) continue;
+
+        if (item.type === WEBIFC.IFCMAPCONVERSION && !georef.mapConversion) {
+            const abscissa = num(item.XAxisAbscissa) ?? 1;
+            const ordinate = num(item.XAxisOrdinate) ?? 0;
+            const len = Math.hypot(abscissa, ordinate) || 1;
+
+            georef.mapConversion = {
+                eastings: num(item.Eastings) ?? 0,
+                northings: num(item.Northings) ?? 0,
+                height: num(item.OrthogonalHeight) ?? 0,
+                cos: abscissa / len,
+                sin: ordinate / len,
+                scale: num(item.Scale) ?? 1,
+            };
+
+            const crs = deref(props, item.TargetCRS);
+            if (crs) {
+                georef.crs = {
+                    name: val(crs.Name) || null,
+                    description: val(crs.Description) || null,
+                    datum: val(crs.GeodeticDatum) || null,
+                    zone: val(crs.MapZone) || null,
+                };
+            }
+        }
+
+        if (item.type === WEBIFC.IFCSITE && !georef.site) {
+            const latitude = compoundAngle(item.RefLatitude);
+            const longitude = compoundAngle(item.RefLongitude);
+            if (latitude !== null || longitude !== null) {
+                georef.site = { latitude, longitude, elevation: num(item.RefElevation) ?? 0 };
+            }
+        }
+    }
+
+    entry.georeference = georef;
+    return georef;
+}
+
+// ============================================
+// Coordinate Conversion
+// ============================================
+
+/**
+ * Convert a scene point to the model's own IFC coordinates (Z-up, metres).
+ * Undoes the rebasing, any placement of the model and the web-ifc
+ * coordination matrix.
+ * @param {Object} entry - Model registry entry
+ * @param {THREE.Vector3} scenePoint - Point in scene space
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function sceneToProject(entry, scenePoint) {
+    const { model } = entry;
+    model.updateMatrixWorld(true);
+
+    const p = scenePoint.clone().applyMatrix4(model.matrixWorld.clone().invert());
+    if (model.coordinationMatrix) {
+        p.applyMatrix4(model.coordinationMatrix.clone().invert());
+    }
+
+    // web-ifc converts IFC Z-up to three.js Y-up as (x, z, -y)
+    return { x: p.x, y: -p.z, z: p.y };
+}
+
+/**
+ * Convert project coordinates (metres) to map coordinates with IfcMapConversion
+ * @param {Object} georef - From getGeoreference
+ * @param {{ x, y, z }} project - From sceneToProject
+ * @returns {{ easting, northing, height }|null}
+ */
+export function projectToMap(georef, project) {
+    const mc = georef?.mapConversion;
+    if (!mc) return null;
+
+    // Map conversion works in project length units
+    const unit = georef.lengthUnit || 1;
+    const x = project.x / unit;
+    const y = project.y / unit;
+    const z = project.z / unit;
+
+    return {
+        easting: mc.eastings + mc.scale * (mc.cos * x - mc.sin * y),
+        northing: mc.northings + mc.scale * (mc.sin * x + mc.cos * y),
+        height: mc.height + mc.scale * z,
+    };
+}
+
+/**
+ * Scene point → readout rows for the properties panel
+ * @param {Object} entry - Model registry entry (may be null)
+ * @param {THREE.Vector3} scenePoint - Point in scene space
+ * @returns {Object} Label → formatted value
+ */
+export function describeCoordinates(entry, scenePoint) {
+    const rows = {};
+    if (!entry) return rows;
+
+    const project = sceneToProject(entry, scenePoint);
+    rows['X proyecto'] = formatLength(project.x);
+    rows['Y proyecto'] = formatLength(project.y);
+    rows['Z proyecto'] = formatLength(project.z);
+
+    const georef = getGeoreference(entry);
+    const map = projectToMap(georef, project);
+    if (map) {
+        // In the units of the map CRS, not converted
+        rows['Este (E)'] = formatNumber(map.easting, { decimals: 3 });
+        rows['Norte (N)'] = formatNumber(map.northing, { decimals: 3 });
+        rows['Cota'] = formatNumber(map.height, { decimals: 3 });
+    }
+
+    return rows;
+}
+
+// ============================================
+// IFC value helpers
+// ============================================
+
+function deref(props, ref) {
+    const id = val(ref);
+    return typeof id === 'number' ? props[id] || null : null;
+}
+
+/**
+ * IfcCompoundPlaneAngleMeasure: [degrees, minutes, seconds, millionths]
+ */
+function compoundAngle(list) {
+    if (!Array.isArray(list) || list.length < 3) return null;
+    const [d, m, s, micro = 0] = list.map(v => num(v) || 0);
+    return d + m / 60 + (s + micro / 1e6) / 3600;
+}
@@ -0,0 +1,791 @@
+/**
+ * Bitform 3D Viewer — IFC Data
+ *
+ * Lookups on the IFC properties stored with fragments models. Entity
+ * relations (containment, aggregation, property sets...) are indexed once
+ * per model with OBC.IfcRelationsIndexer when the model is registered.
+ * Class names and inheritance come from web-ifc's schema tables
+ * (IFC2X3, IFC4, IFC4X3).
+ */
+
+import * as OBC from '@thatopen/components';
+import * as WEBIFC from 'web-ifc';
+
+// ============================================
+// Schema
+// ============================================
+const SCHEMA_CLASSES = [WEBIFC.IFC2X3, WEBIFC.IFC4, WEBIFC.IFC4X3];
+const DEFAULT_SCHEMA = 'IFC4';
+
+let typeNames = null;              // type code -> 'IfcWall', built on first use
+const hierarchies = new Map();     // 'schema:code' -> ancestor names
+
+/**
+ * IFC class name of a type code, in any supported schema
+ * @param {number} typeCode - e.g. WEBIFC.IFCWALL
+ * @returns {string|null} e.g. 'IfcWall'
+ */
+export function getIfcTypeName(typeCode) {
+    if (!typeNames) {
+        // Each schema namespace holds one class per entity: 'IfcWall' is
+        // exported as the type code WEBIFC.IFCWALL
+        typeNames = new Map();
+        for (const classes of SCHEMA_CLASSES) {
+            for (const name of Object.keys(classes)) {
+                const code = WEBIFC[name.toUpperCase()];
+                if (typeof code === 'number' && !typeNames.has(code)) typeNames.set(code, name);
+            }
+        }
+    }
+    return typeNames.get(Number(typeCode)) || null;
+}
+
+/**
+ * Schema a model was authored in
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @returns {string|null} e.g. 'IFC2X3', 'IFC4', 'IFC4X3_ADD2'
+ */
+export function getModelSchema(model) {
+    return model?.ifcMetadata?.schema || null;
+}
+
+/**
+ * Ancestors of an IFC class, nearest first
+ * @param {number} typeCode - Entity type code
+ * @param {string} [schema] - Schema name (getModelSchema); IFC4 when unknown
+ * @returns {string[]} e.g. ['IfcWall', 'IfcBuildingElement', 'IfcElement', ..., 'IfcRoot']
+ */
+export function getIfcClassHierarchy(typeCode, schema) {
+    const index = getSchemaIndex(schema) ?? getSchemaIndex(DEFAULT_SCHEMA);
+    const key = `${index}:${typeCode}`;
+    if (hierarchies.has(key)) return hierarchies.get(key);
+
+    // InheritanceDef lists every descendant of each abstract class: the
+    // nearer the ancestor, the fewer descendants it has
+    const inheritance = WEBIFC.InheritanceDef[index] || {};
+    const code = Number(typeCode);
+    const ancestors = Object.keys(inheritance)
+        .filter(parent => inheritance[parent].includes(code))
+        .sort((a, b) => inheritance[a].length - inheritance[b].length)
+        .map(parent => getIfcTypeName(parent))
+        .filter(Boolean);
+
+    hierarchies.set(key, ancestors);
+    return ancestors;
+}
+
+/**
+ * Index of a schema name in web-ifc's tables (IFC4X1 and IFC4X2 share IFC4's)
+ */
+function getSchemaIndex(schema) {
+    const name = String(schema || '').toUpperCase();
+    const index = WEBIFC.SchemaNames.findIndex(names => names?.includes(name));
+    return index >= 0 ? index : null;
+}
+
+// ============================================
+// Relations
+// ============================================
+
+const indexing = new WeakMap();    // model -> Promise of its relations map
+
+/**
+ * Index the IFC relations of a model (no-op for models without properties).
+ * Indexed once: later calls wait for the same result.
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @returns {Promise<Map|null>} The relations map
+ */
+export function indexModelRelations(viewer, model) {
+    if (!model?.hasProperties) return Promise.resolve(null);
+    if (indexing.has(model)) return indexing.get(model);
+
+    const indexer = viewer.components.get(OBC.IfcRelationsIndexer);
+    const promise = indexer.process(model).then((relations) => {
+        console.log(`[IFC] Relations indexed: ${model.name || model.uuid} (${relations.size} entidades)`);
+        return relations;
+    });
+    indexing.set(model, promise);
+    return promise;
+}
+
+/**
+ * Related entities through an inverse attribute, e.g. 'ContainedInStructure'
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @param {number} expressID - Entity
+ * @param {string} relation - IFC inverse attribute name
+ * @returns {number[]} expressIDs (empty until the model is indexed)
+ */
+export function getRelated(viewer, model, expressID, relation) {
+    const indexer = viewer.components.get(OBC.IfcRelationsIndexer);
+    return indexer.getEntityRelations(model, expressID, relation) || [];
+}
+
+// ============================================
+// Spatial structure
+// ============================================
+
+/**
+ * Building storey that contains an element, directly or through a space
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @param {number} expressID - Element
+ * @returns {{ id: number, name: string, elevation: number|null }|null}
+ */
+export function getItemStorey(viewer, model, expressID) {
+    const properties = model?.getLocalProperties?.();
+    if (!properties) return null;
+
+    // Elements are contained in a structure; spaces and parts decompose their parent
+    const visited = new Set();
+    let current = expressID;
+    while (current !== undefined && !visited.has(current)) {
+        visited.add(current);
+
+        const entity = properties[current];
+        if (entity?.type === WEBIFC.IFCBUILDINGSTOREY) {
+            return {
+                id: current,
+                name: val(entity.Name) || val(entity.LongName) || `Planta ${current}`,
+                elevation: num(entity.Elevation),
+            };
+        }
+
+        current = getRelated(viewer, model, current, 'ContainedInStructure')[0]
+            ?? getRelated(viewer, model, current, 'Decomposes')[0];
+    }
+    return null;
+}
+
+/**
+ * Spatial structure of a model: Project → Site → Building → Storey → Space,
+ * with the elements each one contains (IfcRelContainedInSpatialStructure)
+ * and their parts (IfcRelAggregates)
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - FragmentsGroup (relations indexed)
+ * @returns {{ projects: Object[], unplaced: Object[] }} Nodes are
+ *          { expressID, type, name, elevation, children, elements } for spatial
+ *          entities and { expressID, type, name, parts } for elements.
+ *          `unplaced` holds elements with geometry outside the structure.
+ */
+export function getSpatialStructure(viewer, model) {
+    const properties = model?.getLocalProperties?.();
+    if (!properties) return { projects: [], unplaced: [] };
+
+    const schema = getModelSchema(model);
+    const visited = new Set();
+    const isSpatial = (type) => {
+        const ancestors = getIfcClassHierarchy(type, schema);
+        return ancestors.includes('IfcSpatialElement') || ancestors.includes('IfcSpatialStructureElement');
+    };
+
+    const readElement = (id) => {
+        visited.add(id);
+        const entity = properties[id];
+        return {
+            expressID: id,
+            type: getIfcTypeName(entity?.type) || 'IfcProduct',
+            name: val(entity?.Name) || null,
+            parts: getRelated(viewer, model, id, 'IsDecomposedBy')
+                .filter(part => !visited.has(part))
+                .map(readElement),
+        };
+    };
+
+    const readSpatial = (id) => {
+        visited.add(id);
+        const entity = properties[id];
+        const node = {
+            expressID: id,
+            type: getIfcTypeName(entity?.type) || 'IfcSpatialElement',
+            name: val(entity?.Name) || val(entity?.LongName) || null,
+            elevation: num(entity?.Elevation),
+            children: [],
+            elements: [],
+        };
+
+        for (const child of getRelated(viewer, model, id, 'IsDecomposedBy')) {
+            if (visited.has(child)) continue;
+            if (isSpatial(properties[child]?.type)) node.children.push(readSpatial(child));
+            else node.elements.push(readElement(child));
+        }
+        for (const element of getRelated(viewer, model, id, 'ContainsElements')) {
+            if (!visited.has(element)) node.elements.push(readElement(element));
+        }
+        return node;
+    };
+
+    const projects = [];
+    for (const [id, entity] of Object.entries(properties)) {
+        if (entity?.type === WEBIFC.IFCPROJECT) projects.push(readSpatial(Number(id)));
+    }
+
+    // Elements with geometry that no spatial entity contains
+    const unplaced = [];
+    for (const fragment of model.items || []) {
+        for (const id of fragment.ids) {
+            if (!visited.has(id)) unplaced.push(readElement(id));
+        }
+    }
+
+    return { projects, unplaced };
+}
+
+// ============================================
+// Property sets
+// ============================================
+
+// Measure type of each quantity class, to find its project unit
+const QUANTITY_UNITS = {
+    [WEBIFC.IFCQUANTITYLENGTH]: ['LengthValue', 'LENGTHUNIT'],
+    [WEBIFC.IFCQUANTITYAREA]: ['AreaValue', 'AREAUNIT'],
+    [WEBIFC.IFCQUANTITYVOLUME]: ['VolumeValue', 'VOLUMEUNIT'],
+    [WEBIFC.IFCQUANTITYWEIGHT]: ['WeightValue', 'MASSUNIT'],
+    [WEBIFC.IFCQUANTITYTIME]: ['TimeValue', 'TIMEUNIT'],
+    [WEBIFC.IFCQUANTITYCOUNT]: ['CountValue', null],
+};
+
+/**
+ * Property sets (IfcPropertySet) and quantity sets (IfcElementQuantity) of
+ * an element: its own, through IfcRelDefinesByProperties, and those of its
+ * type object, through IfcRelDefinesByType
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @param {number} expressID - Element
+ * @returns {{ id: number, name: string, kind: 'pset'|'qto', origin: 'instance'|'type',
+ *            values: { name: string, value: *, unit: string|null, unitType: string|null,
+ *                      scale: number|null, bounds?: number[] }[] }[]}
+ *          unitType / scale tell how to convert the value (see formatMeasure in units.js)
+ */
+export function getItemPropertySets(viewer, model, expressID) {
+    const properties = model?.getLocalProperties?.();
+    if (!properties) return [];
+
+    const sets = [];
+    const add = (ref, origin) => {
+        const set = readPropertySet(model, properties, val(ref), origin);
+        if (set && !sets.some(other => other.id === set.id)) sets.push(set);
+    };
+
+    for (const id of getRelated(viewer, model, expressID, 'IsDefinedBy')) add(id, 'instance');
+    for (const typeID of getRelated(viewer, model, expressID, 'IsTypedBy')) {
+        for (const ref of properties[typeID]?.HasPropertySets || []) add(ref, 'type');
+    }
+    return sets;
+}
+
+function readPropertySet(model, properties, id, origin) {
+    const entity = properties[id];
+    if (entity?.type === WEBIFC.IFCPROPERTYSET) {
+        return {
+            id,
+            name: val(entity.Name) || `Pset ${id}`,
+            kind: 'pset',
+            origin,
+            values: readProperties(model, properties, entity.HasProperties),
+        };
+    }
+    if (entity?.type === WEBIFC.IFCELEMENTQUANTITY) {
+        return {
+            id,
+            name: val(entity.Name) || `Qto ${id}`,
+            kind: 'qto',
+            origin,
+            values: readQuantities(model, properties, entity.Quantities),
+        };
+    }
+    return null;
+}
+
+function readProperties(model, properties, refs = [], prefix = '') {
+    const values = [];
+
+    for (const ref of refs || []) {
+        const property = properties[val(ref)];
+        if (!property) continue;
+        const name = prefix + (val(property.Name) || `#${val(ref)}`);
+
+        switch (property.type) {
+            case WEBIFC.IFCPROPERTYSINGLEVALUE:
+                values.push({
+                    name,
+                    value: plainValue(property.NominalValue),
+                    ...valueUnit(model, properties, property.Unit, measureUnitType(property.NominalValue)),
+                });
+                break;
+            case WEBIFC.IFCPROPERTYENUMERATEDVALUE:
+                values.push({ name, value: listValue(property.EnumerationValues), ...NO_UNIT });
+                break;
+            case WEBIFC.IFCPROPERTYLISTVALUE:
+                values.push({
+                    name,
+                    value: listValue(property.ListValues),
+                    ...valueUnit(model, properties, property.Unit, measureUnitType(property.ListValues?.[0])),
+                });
+                break;
+            case WEBIFC.IFCPROPERTYBOUNDEDVALUE: {
+                const lower = plainValue(property.LowerBoundValue);
+                const upper = plainValue(property.UpperBoundValue);
+                values.push({
+                    name,
+                    value: `${lower ?? '…'} – ${upper ?? '…'}`,
+                    bounds: [lower, upper],
+                    ...valueUnit(model, properties, property.Unit, measureUnitType(property.LowerBoundValue || property.UpperBoundValue)),
+                });
+                break;
+            }
+            case WEBIFC.IFCCOMPLEXPROPERTY:
+                values.push(...readProperties(model, properties, property.HasProperties, `${name} › `));
+                break;
+            default:
+                // Table and reference values: the name at least tells they exist
+                values.push({ name, value: null, ...NO_UNIT });
+        }
+    }
+    return values;
+}
+
+function readQuantities(model, properties, refs = [], prefix = '') {
+    const values = [];
+
+    for (const ref of refs || []) {
+        const quantity = properties[val(ref)];
+        if (!quantity) continue;
+        const name = prefix + (val(quantity.Name) || `#${val(ref)}`);
+
+        if (quantity.type === WEBIFC.IFCPHYSICALCOMPLEXQUANTITY) {
+            values.push(...readQuantities(model, properties, quantity.HasQuantities, `${name} › `));
+            continue;
+        }
+
+        const [key, unitType] = QUANTITY_UNITS[quantity.type] || [];
+        if (!key) continue;
+        values.push({
+            name,
+            value: val(quantity[key]) ?? null,
+            ...valueUnit(model, properties, quantity.Unit, unitType),
+        });
+    }
+    return values;
+}
+
+function listValue(list) {
+    if (!Array.isArray(list)) return plainValue(list);
+    return list.map(plainValue).filter(item => item !== null).join(', ');
+}
+
+/**
+ * Value of an IFC measure / label; IfcBoolean and IfcLogical as booleans
+ * (null for UNKNOWN), whether stored as 'T' / 'F' or already converted
+ */
+function plainValue(v) {
+    const value = val(v) ?? null;
+    if (v?.name === 'IFCBOOLEAN' || v?.name === 'IFCLOGICAL') {
+        if (value === true || value === 'T' || value === 1) return true;
+        if (value === false || value === 'F' || value === 0) return false;
+        return null;
+    }
+    return value;
+}
+
+// ============================================
+// Materials
+// ============================================
+
+/**
+ * Materials associated with an element (IfcRelAssociatesMaterial), or with
+ * its type object when the element has none
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @param {number} expressID - Element
+ * @returns {Object[]} { kind: 'material'|'list'|'layers'|'profiles'|'constituents', name,
+ *          origin: 'instance'|'type', unit, scale, ... } — see readMaterial
+ */
+export function getItemMaterials(viewer, model, expressID) {
+    const properties = model?.getLocalProperties?.();
+    if (!properties) return [];
+
+    let origin = 'instance';
+    let ids = getRelated(viewer, model, expressID, 'HasAssociations');
+    let materials = ids.map(id => readMaterial(model, properties, id, origin)).filter(Boolean);
+
+    if (materials.length === 0) {
+        origin = 'type';
+        ids = getRelated(viewer, model, expressID, 'IsTypedBy')
+            .flatMap(typeID => getRelated(viewer, model, typeID, 'HasAssociations'));
+        materials = ids.map(id => readMaterial(model, properties, id, origin)).filter(Boolean);
+    }
+    return materials;
+}
+
+/**
+ * One material definition. HasAssociations also lists classifications:
+ * anything that is not a material gives null
+ */
+function readMaterial(model, properties, id, origin) {
+    const entity = properties[id];
+    if (!entity) return null;
+    const { unit, scale } = projectUnit(model, 'LENGTHUNIT');
+    const materialName = ref => val(properties[val(ref)]?.Name) || null;
+
+    switch (entity.type) {
+        case WEBIFC.IFCMATERIAL:
+            return {
+                kind: 'material',
+                name: val(entity.Name) || `Material ${id}`,
+                category: val(entity.Category) || null,
+                origin,
+            };
+
+        case WEBIFC.IFCMATERIALLIST:
+            return {
+                kind: 'list',
+                name: 'Lista de materiales',
+                materials: (entity.Materials || []).map(materialName).filter(Boolean),
+                origin,
+            };
+
+        case WEBIFC.IFCMATERIALLAYERSETUSAGE: {
+            // Walls build up across their thickness (AXIS2), slabs and roofs vertically (AXIS3)
+            const set = readMaterial(model, properties, val(entity.ForLayerSet), origin);
+            if (!set) return null;
+            return {
+                ...set,
+                direction: val(entity.LayerSetDirection) || null,
+                offset: num(entity.OffsetFromReferenceLine),
+            };
+        }
+
+        case WEBIFC.IFCMATERIALLAYERSET: {
+            const layers = (entity.MaterialLayers || []).map((ref) => {
+                const layer = properties[val(ref)];
+                const material = materialName(layer?.Material);
+                return {
+                    name: val(layer?.Name) || material || 'Sin material',
+                    material,
+                    thickness: num(layer?.LayerThickness) ?? 0,
+                    ventilated: plainValue(layer?.IsVentilated) === true,
+                };
+            });
+            return {
+                kind: 'layers',
+                name: val(entity.LayerSetName) || 'Conjunto de capas',
+                layers,
+                thickness: layers.reduce((total, layer) => total + layer.thickness, 0),
+                direction: null,
+                unit,
+                scale,
+                origin,
+            };
+        }
+
+        case WEBIFC.IFCMATERIALPROFILESETUSAGE:
+            return readMaterial(model, properties, val(entity.ForProfileSet), origin);
+
+        case WEBIFC.IFCMATERIALPROFILESET:
+            return {
+                kind: 'profiles',
+                name: val(entity.Name) || 'Conjunto de perfiles',
+                profiles: (entity.MaterialProfiles || []).map((ref) => {
+                    const profile = properties[val(ref)];
+                    return {
+                        name: val(profile?.Name) || null,
+                        material: materialName(profile?.Material),
+                        profile: val(properties[val(profile?.Profile)]?.ProfileName) || null,
+                    };
+                }),
+                origin,
+            };
+
+        case WEBIFC.IFCMATERIALCONSTITUENTSET:
+            return {
+                kind: 'constituents',
+                name: val(entity.Name) || 'Constituyentes',
+                constituents: (entity.MaterialConstituents || []).map((ref) => {
+                    const constituent = properties[val(ref)];
+                    return {
+                        name: val(constituent?.Name) || null,
+                        material: materialName(constituent?.Material),
+                        fraction: num(constituent?.Fraction),
+                        category: val(constituent?.Category) || null,
+                    };
+                }),
+                origin,
+            };
+
+        case WEBIFC.IFCMATERIALLAYER:
+        case WEBIFC.IFCMATERIALPROFILE:
+        case WEBIFC.IFCMATERIALCONSTITUENT:
+            // A single part of a set, associated on its own
+            return {
+                kind: 'material',
+                name: materialName(entity.Material) || val(entity.Name) || `Material ${id}`,
+                category: val(entity.Category) || null,
+                origin,
+            };
+
+        default:
+            return null;
+    }
+}
+
+// ============================================
+// Units
+// ============================================
+
+// Unit type of each measure, e.g. IfcLengthMeasure values are in the project LENGTHUNIT
+const MEASURE_UNIT_TYPES = {
+    IFCLENGTHMEASURE: 'LENGTHUNIT',
+    IFCPOSITIVELENGTHMEASURE: 'LENGTHUNIT',
+    IFCNONNEGATIVELENGTHMEASURE: 'LENGTHUNIT',
+    IFCAREAMEASURE: 'AREAUNIT',
+    IFCVOLUMEMEASURE: 'VOLUMEUNIT',
+    IFCMASSMEASURE: 'MASSUNIT',
+    IFCTIMEMEASURE: 'TIMEUNIT',
+    IFCPLANEANGLEMEASURE: 'PLANEANGLEUNIT',
+    IFCPOSITIVEPLANEANGLEMEASURE: 'PLANEANGLEUNIT',
+    IFCTHERMODYNAMICTEMPERATUREMEASURE: 'THERMODYNAMICTEMPERATUREUNIT',
+    IFCPOWERMEASURE: 'POWERUNIT',
+    IFCELECTRICCURRENTMEASURE: 'ELECTRICCURRENTUNIT',
+    IFCELECTRICVOLTAGEMEASURE: 'ELECTRICVOLTAGEUNIT',
+    IFCFORCEMEASURE: 'FORCEUNIT',
+    IFCPRESSUREMEASURE: 'PRESSUREUNIT',
+    IFCENERGYMEASURE: 'ENERGYUNIT',
+    IFCFREQUENCYMEASURE: 'FREQUENCYUNIT',
+    IFCLUMINOUSFLUXMEASURE: 'LUMINOUSFLUXUNIT',
+    IFCILLUMINANCEMEASURE: 'ILLUMINANCEUNIT',
+    IFCTHERMALTRANSMITTANCEMEASURE: 'THERMALTRANSMITTANCEUNIT',
+    IFCTHERMALCONDUCTIVITYMEASURE: 'THERMALCONDUCTANCEUNIT',
+    IFCMASSDENSITYMEASURE: 'MASSDENSITYUNIT',
+    IFCVOLUMETRICFLOWRATEMEASURE: 'VOLUMETRICFLOWRATEUNIT',
+};
+
+const SI_UNIT_SYMBOLS = {
+    METRE: 'm', SQUARE_METRE: 'm²', CUBIC_METRE: 'm³', GRAM: 'g', SECOND: 's',
+    RADIAN: 'rad', DEGREE_CELSIUS: '°C', KELVIN: 'K', WATT: 'W', AMPERE: 'A',
+    VOLT: 'V', NEWTON: 'N', PASCAL: 'Pa', JOULE: 'J', HERTZ: 'Hz', LUMEN: 'lm',
+    LUX: 'lx', CANDELA: 'cd', MOLE: 'mol', OHM: 'Ω', LITRE: 'l',
+};
+
+const SI_PREFIX_SYMBOLS = {
+    EXA: 'E', PETA: 'P', TERA: 'T', GIGA: 'G', MEGA: 'M', KILO: 'k', HECTO: 'h',
+    DECA: 'da', DECI: 'd', CENTI: 'c', MILLI: 'm', MICRO: 'µ', NANO: 'n',
+    PICO: 'p', FEMTO: 'f', ATTO: 'a',
+};
+
+const CONVERSION_UNIT_SYMBOLS = {
+    DEGREE: '°', FOOT: 'ft', INCH: 'in', YARD: 'yd', MILE: 'mi',
+    'SQUARE FOOT': 'ft²', 'SQUARE INCH': 'in²', 'CUBIC FOOT': 'ft³', 'CUBIC INCH': 'in³',
+    POUND: 'lb', GALLON: 'gal', ACRE: 'ac',
+};
+
+// SI units per conversion-based unit, when the file gives no usable ConversionFactor
+const CONVERSION_UNIT_SCALES = {
+    FOOT: 0.3048, INCH: 0.0254, YARD: 0.9144, MILE: 1609.344,
+    'SQUARE FOOT': 0.09290304, 'SQUARE INCH': 0.00064516, 'SQUARE YARD': 0.83612736, ACRE: 4046.8564224,
+    'CUBIC FOOT': 0.028316846592, 'CUBIC INCH': 0.000016387064, 'CUBIC YARD': 0.764554857984,
+    GALLON: 0.003785411784, LITRE: 0.001,
+    DEGREE: Math.PI / 180, GRAD: Math.PI / 200,
+};
+
+const SI_PREFIXES = {
+    EXA: 1e18, PETA: 1e15, TERA: 1e12, GIGA: 1e9, MEGA: 1e6, KILO: 1e3,
+    HECTO: 1e2, DECA: 1e1, DECI: 1e-1, CENTI: 1e-2, MILLI: 1e-3,
+    MICRO: 1e-6, NANO: 1e-9, PICO: 1e-12, FEMTO: 1e-15, ATTO: 1e-18,
+};
+
+// The prefix applies to the base unit: a MILLI SQUARE_METRE is (0.001 m)²
+const SI_UNIT_POWERS = { SQUARE_METRE: 2, CUBIC_METRE: 3 };
+
+const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+const NO_UNIT = { unit: null, unitType: null, scale: null };
+
+// Direct attributes that are lengths, for values stored without their measure type
+const LENGTH_ATTRIBUTES = new Set([
+    'OverallHeight', 'OverallWidth', 'Elevation', 'RefElevation', 'ElevationOfRefHeight', 'ElevationOfTerrain',
+]);
+
+const projectUnits = new WeakMap(); // model -> { symbols: { LENGTHUNIT: 'mm', ... }, scales: { LENGTHUNIT: 0.001, ... } }
+
+/**
+ * Symbols of the project's default units (IfcUnitAssignment)
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @returns {Object<string, string>} Unit type -> symbol, e.g. { LENGTHUNIT: 'mm' }
+ */
+export function getProjectUnits(model) {
+    return readUnitAssignment(model).symbols;
+}
+
+/**
+ * SI units per project unit of a type, e.g. 0.001 for millimetres or
+ * 0.3048 for feet as LENGTHUNIT
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @param {string} unitType - e.g. 'LENGTHUNIT', 'AREAUNIT', 'PLANEANGLEUNIT'
+ * @returns {number|null} null when the model does not say
+ */
+export function getUnitScale(model, unitType) {
+    return readUnitAssignment(model).scales[unitType] ?? null;
+}
+
+function readUnitAssignment(model) {
+    if (projectUnits.has(model)) return projectUnits.get(model);
+
+    const units = { symbols: {}, scales: {} };
+    const properties = model?.getLocalProperties?.();
+    for (const item of Object.values(properties || {})) {
+        if (item?.type !== WEBIFC.IFCUNITASSIGNMENT) continue;
+        for (const ref of item.Units || []) {
+            const type = val(properties[val(ref)]?.UnitType);
+            if (!type || type in units.symbols) continue;
+            const symbol = describeUnit(properties, ref);
+            if (!symbol) continue;
+            units.symbols[type] = symbol;
+            units.scales[type] = readUnitScale(properties, ref);
+        }
+    }
+
+    if (model) projectUnits.set(model, units);
+    return units;
+}
+
+/**
+ * Unit of a property or quantity value: its own Unit when it has one,
+ * otherwise the project unit of its type
+ */
+function valueUnit(model, properties, unitRef, unitType) {
+    const own = unitRef ? properties[val(unitRef)] : null;
+    const symbol = describeUnit(properties, unitRef);
+    if (own && symbol) {
+        return { unit: symbol, unitType: val(own.UnitType) || unitType || null, scale: readUnitScale(properties, unitRef) };
+    }
+    return projectUnit(model, unitType);
+}
+
+function projectUnit(model, unitType) {
+    if (!unitType) return NO_UNIT;
+    const { symbols, scales } = readUnitAssignment(model);
+    return { unit: symbols[unitType] || null, unitType, scale: scales[unitType] ?? null };
+}
+
+/**
+ * Unit of a direct attribute of an entity (IfcDoor.OverallHeight,
+ * IfcBuildingStorey.Elevation...): the project unit of its measure type
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @param {string} name - Attribute name
+ * @param {*} value - Attribute value as stored ({ type, name, value } or raw)
+ * @returns {{ unit: string|null, unitType: string|null, scale: number|null }}
+ */
+export function getAttributeUnit(model, name, value) {
+    return projectUnit(model, measureUnitType(value) || (LENGTH_ATTRIBUTES.has(name) ? 'LENGTHUNIT' : null));
+}
+
+/**
+ * Project unit type of an IFC measure value, e.g. IfcAreaMeasure -> 'AREAUNIT'
+ */
+function measureUnitType(value) {
+    return MEASURE_UNIT_TYPES[value?.name] || null;
+}
+
+/**
+ * SI units per unit of an IfcSIUnit, IfcConversionBasedUnit or IfcDerivedUnit,
+ * relative to the unprefixed SI unit (m, m², rad, g...)
+ * @param {Object} properties - Local properties of the model
+ * @param {Object} ref - Reference to the unit entity
+ * @returns {number|null} null when it cannot be worked out (offset units: temperatures)
+ */
+function readUnitScale(properties, ref, depth = 0) {
+    const unit = ref ? properties[val(ref)] : null;
+    if (!unit || depth > 4) return null;
+
+    switch (unit.type) {
+        case WEBIFC.IFCSIUNIT: {
+            const prefix = SI_PREFIXES[val(unit.Prefix)] ?? 1;
+            return prefix ** (SI_UNIT_POWERS[val(unit.Name)] || 1);
+        }
+        case WEBIFC.IFCCONVERSIONBASEDUNIT: {
+            // ConversionFactor is an IfcMeasureWithUnit, e.g. 0.3048 × METRE for FOOT
+            const factor = properties[val(unit.ConversionFactor)];
+            const value = num(factor?.ValueComponent);
+            const base = readUnitScale(properties, factor?.UnitComponent, depth + 1);
+            if (value && base) return value * base;
+            return CONVERSION_UNIT_SCALES[String(val(unit.Name) || '').toUpperCase()] ?? null;
+        }
+        case WEBIFC.IFCDERIVEDUNIT: {
+            let scale = 1;
+            for (const elementRef of unit.Elements || []) {
+                const element = properties[val(elementRef)];
+                const elementScale = readUnitScale(properties, element?.Unit, depth + 1);
+                if (elementScale === null) return null;
+                scale *= elementScale ** Number(val(element?.Exponent) ?? 1);
+            }
+            return scale;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Symbol of an IfcSIUnit, IfcConversionBasedUnit or IfcDerivedUnit
+ * @param {Object} properties - Local properties of the model
+ * @param {Object} ref - Reference to the unit entity
+ * @returns {string|null}
+ */
+function describeUnit(properties, ref) {
+    const unit = ref ? properties[val(ref)] : null;
+    if (!unit) return null;
+
+    switch (unit.type) {
+        case WEBIFC.IFCSIUNIT: {
+            const name = val(unit.Name);
+            const symbol = SI_UNIT_SYMBOLS[name] || String(name || '').toLowerCase();
+            const prefix = SI_PREFIX_SYMBOLS[val(unit.Prefix)] || '';
+            // MILLI + SQUARE_METRE -> mm²
+            return symbol ? prefix + symbol : null;
+        }
+        case WEBIFC.IFCCONVERSIONBASEDUNIT:
+        case WEBIFC.IFCCONVERSIONBASEDUNITWITHOFFSET: {
+            const name = String(val(unit.Name) || '').toUpperCase();
+            return CONVERSION_UNIT_SYMBOLS[name] || String(val(unit.Name) || '').toLowerCase() || null;
+        }
+        case WEBIFC.IFCDERIVEDUNIT: {
+            const parts = (unit.Elements || []).map((elementRef) => {
+                const element = properties[val(elementRef)];
+                const symbol = describeUnit(properties, element?.Unit);
+                const exponent = Number(val(element?.Exponent) ?? 1);
+                if (!symbol) return null;
+                return exponent === 1
+                    ? symbol
+                    : symbol + String(exponent).split('').map(c => SUPERSCRIPTS[c] || c).join('');
+            });
+            return parts.every(Boolean) && parts.length > 0 ? parts.join('·') : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Plain value of an IFC attribute ({ type, value } or raw)
+ * @param {*} v
+ * @returns {*}
+ */
+export function val(v) {
+    return v && typeof v === 'object' && 'value' in v ? v.value : v;
+}
+
+/**
+ * Numeric value of an IFC attribute, null when it is not a number
+ * @param {*} v
+ * @returns {number|null}
+ */
+export function num(v) {
+    const n = parseFloat(val(v));
+    return Number.isFinite(n) ? n : null;
+}
@@ -0,0 +1,150 @@
+/**
+ * Bitform 3D Viewer — Mesh Formats
+ *
+ * Loaders for non-BIM deliverables (landscape, equipment, fabrication):
+ * glTF / GLB, OBJ and STL. Each file becomes a THREE.Group that the viewer
+ * registers like any fragments model.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+// ============================================
+// Constants
+// ============================================
+export const MESH_FORMATS = ['glb', 'gltf', 'obj', 'stl'];
+
+// Same CDN approach as the web-ifc WASM: nothing to copy into public/
+const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/';
+
+const DEFAULT_COLOR = 0xb4b4b8;
+
+let gltfLoader = null;
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Parse a mesh file into a scene group
+ * @param {Uint8Array} data - File bytes (already decompressed)
+ * @param {string} format - One of MESH_FORMATS
+ * @param {Object} [source] - { name, url } — the URL resolves external glTF resources
+ * @returns {Promise<THREE.Group>}
+ */
+export async function parseMeshModel(data, format, source = {}) {
+    let group;
+
+    switch (format) {
+        case 'glb':
+        case 'gltf':
+            group = await parseGltf(data, source.url);
+            break;
+        case 'obj':
+            group = parseObj(data);
+            break;
+        case 'stl':
+            group = parseStl(data);
+            break;
+        default:
+            throw new Error(`Formato de malla no soportado: ${format}`);
+    }
+
+    group.name = source.name || group.name || 'Modelo';
+    prepareMeshes(group);
+    return group;
+}
+
+// ============================================
+// Loaders
+// ============================================
+
+async function parseGltf(data, url) {
+    if (!gltfLoader) {
+        const draco = new DRACOLoader();
+        draco.setDecoderPath(DRACO_DECODER_PATH);
+
+        gltfLoader = new GLTFLoader();
+        gltfLoader.setDRACOLoader(draco);
+        gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    }
+
+    // External .bin / textures are resolved next to the .gltf URL
+    const resourcePath = url && !url.startsWith('blob:') ? url.split(/[?#]/)[0].replace(/[^/]*$/, '') : '';
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+    const gltf = await new Promise((resolve, reject) => {
+        gltfLoader.parse(buffer, resourcePath, resolve, (err) => {
+            reject(new Error('No se pudo leer el glTF: ' + (err?.message || err)));
+        });
+    });
+
+    // glTF is Y-up in metres, like the scene: no conversion needed
+    const group = new THREE.Group();
+    group.add(gltf.scene);
+    return group;
+}
+
+function parseObj(data) {
+    const text = new TextDecoder().decode(data);
+    const object = new OBJLoader().parse(text);
+
+    // No .mtl travels with a single file: OBJLoader falls back to a flat
+    // Phong material, swap it for the viewer's default look
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const mats = Array.isArray(child.material) ? child.material : [child.material];
+        if (mats.every(m => m?.name === '')) {
+            child.material = new THREE.MeshStandardMaterial({ color: DEFAULT_COLOR, side: THREE.DoubleSide });
+        }
+    });
+
+    const group = new THREE.Group();
+    group.add(object);
+    return group;
+}
+
+function parseStl(data) {
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    const geometry = new STLLoader().parse(buffer);
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+
+    // Binary STL may carry per-face colors
+    const material = new THREE.MeshStandardMaterial({
+        color: geometry.hasColors ? 0xffffff : DEFAULT_COLOR,
+        vertexColors: !!geometry.hasColors,
+        side: THREE.DoubleSide,
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'STL';
+
+    // Fabrication tools export Z-up: rotate into the Y-up scene
+    const group = new THREE.Group();
+    mesh.rotation.x = -Math.PI / 2;
+    group.add(mesh);
+    return group;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Make imported meshes behave like model geometry: bounds for raycasting
+ * and a readable name for the properties panel
+ */
+function prepareMeshes(group) {
+    let index = 0;
+    group.traverse((child) => {
+        if (!child.isMesh) return;
+        index++;
+        child.geometry.computeBoundingBox();
+        child.geometry.computeBoundingSphere();
+        if (!child.name) child.name = child.parent?.name || `Malla ${index}`;
+    });
+}
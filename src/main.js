@@ -5,21 +5,65 @@
  * Diseñado para funcionar standalone o embebido via iframe.
  * 
  * Comunicación con la web GAS:
- * - Query params: ?model=URL_DEL_MODELO&name=NOMBRE
- * - postMessage: { type: 'load-model', url: '...', name: '...' }
+ * - Query params: ?model=URL_DEL_MODELO&name=NOMBRE&format=ifc|frag|glb|gltf|obj|stl&version=V
+ *                 &cache=off&cacheMB=500&projection=ortho|persp&placement=x,y,z,giro,escala
+ *                 &capture=4k|1080p|thumb|WxH&captureBg=transparent&renderMode=demand|continuous&hover=off
+ *                 &units=m|mm|ft-in&precision=0-6
+ * - postMessage: { type: 'load-model', url: '...', name: '...', format?: 'ifc'|'frag'|'glb'|'obj'|'stl'..., placement? }
+ *                { type: 'list-models' } / { type: 'unload-model', id }
+ *                { type: 'set-model-visible', id, visible }
+ *                { type: 'set-model-placement', id, placement: { x, y, z, rotation, scale } }
+ *                { type: 'get-placements' } / { type: 'load-placements', placements }
+ *                { type: 'export-glb', selectionOnly?, download? }
+ *                { type: 'capture-screenshot', size?: '4k'|'WxH', transparent?, grid?, format?: 'png'|'jpeg', as?: 'dataUrl'|'blob' }
+ *                { type: 'cancel-load' }
+ *                { type: 'cache-status' } / { type: 'clear-cache' }
+ *                { type: 'set-projection', projection: 'orthographic'|'perspective' }
+ *                { type: 'set-render-mode', mode: 'demand'|'continuous' }
+ *                { type: 'query-elements', query?: { match: 'all'|'any', conditions }, name?, save?, models?, action?: 'select'|'isolate'|'color', color? }
+ *                { type: 'list-queries' }
+ *                { type: 'set-visibility', mode: 'hide'|'show'|'isolate'|'ghost'|'unghost'|'show-all', globalIds?, classes?, storeys?, selection? }
+ *                { type: 'color-by-property', field: 'class'|'storey'|'attribute'|'property', name?, pset? }
+ *                { type: 'color-elements', colors?: { GlobalId: '#rrggbb' }, values?: { GlobalId: valor }, title?, labels? }
+ *                { type: 'clear-colors' }
+ *                { type: 'select-elements', globalIds, append?, fit? } / { type: 'focus-element', globalId }
+ *                { type: 'clear-selection' }
+ *                { type: 'get-properties', scope?: 'selection'|'all', models?, globalIds?, columns?, units?: 'header'|'value', download?: 'csv'|'xlsx'|'json' }
+ *                { type: 'set-units', system?: 'm'|'mm'|'ft-in', precision?: 0-6|null, save? } / { type: 'get-units' }
+ *                { type: 'set-view', view: 'front'|'back'|'left'|'right'|'top'|'bottom'|'iso'|'iso-back-left-top'... }
+ * - Eventos al host: 'load-progress', 'load-cancelled', 'model-loaded', 'projection-changed', 'glb-exported', 'screenshot', 'render-mode', 'query-result', 'queries', 'visibility', 'color-legend', 'properties', 'selection', 'units',
+ *                  'element-selected' ({ source: 'user'|'host', count, element, elements: [{ globalId, expressID, ifcClass, name, modelId }] })
  */
 
 import './style.css';
-import { initViewer, loadModelFromUrl, loadModelFromFile, loadModelFromIfc, fitModel, disposeViewer } from './viewer.js';
-import { showToast, setLoadingStatus, setLoadingProgress, hideLoadingScreen } from './ui.js';
-import { initSelection, renderProperties, clearSelection } from './selection.js';
-import { initClipper, updateClipperRanges, buildClipperPanel, resetClipper } from './clipper.js';
+import { initViewer, loadModelFromUrl, loadModelFromFile, loadModelFromIfc, fitModel, fitItems, disposeViewer, getModels, unloadModel, setModelVisible, getProjection, setProjection, setStandardView, setModelPlacement, normalizePlacement } from './viewer.js';
+import { showToast, setLoadingStatus, setLoadingProgress, hideLoadingScreen, showLoadingScreen, setLoadingCancelable, formatBytes, downloadBlob } from './ui.js';
+import { initSelection, renderProperties, clearSelection, dropStaleSelection, getSelectionProperties, selectSameType, invertSelection, setSelectionMode, setHoverEnabled, isHoverEnabled, getSelectedItems, getSelectedElements, selectItems } from './selection.js';
+import { initClipper, updateClipperRanges, buildClipperPanel, resetClipper, refreshClipperLabels } from './clipper.js';
+import { initModelsPanel, renderModelsPanel } from './models.js';
+import { initTree, refreshTree, revealSelection, updateTreeVisibility } from './tree.js';
+import { initSearchPanel, applyResultsAction } from './search.js';
+import { queryElements, getSavedQuery, getSavedQueries, saveQuery, findElementsByGlobalId } from './query.js';
+import { initDataPanel, refreshDataPanel, updateDataSelection } from './datapanel.js';
+import { resolveTableItems, getPropertyTable, tableToBlob, TABLE_FORMATS } from './table.js';
+import { initThematic, colorByProperty, colorByValues, colorByGlobalId, clearThematic } from './thematic.js';
+import { applyVisibility, showAllItems, refreshVisibility, getItemsScope, getGhostedItemIDs } from './visibility.js';
+import { initViewCube } from './viewcube.js';
+import { configureModelCache, clearModelCache, getModelCacheStatus } from './cache.js';
+import { initPlacement, exportPlacements, importPlacements, downloadPlacements } from './placement.js';
+import { exportGlb } from './exporter.js';
+import { captureScreenshot, parseCaptureSize, blobToDataUrl } from './screenshot.js';
+import { requestRender, setRenderMode } from './rendering.js';
+import { UNIT_SYSTEMS, MAX_PRECISION, getUnitSettings, setUnitSettings, onUnitsChange } from './units.js';
 
 // ============================================
 // State
 // ============================================
 let viewerInstance = null;
 let isModelLoaded = false;
+let activeLoad = null; // AbortController of the download in progress
+let selectionSource = 'user'; // 'host' while a postMessage changes the selection
+const SELECTION_EVENT_LIMIT = 1000; // Elements listed in 'element-selected'
 
 // ============================================
 // Boot
@@ -30,21 +74,60 @@ async function boot() {
     setLoadingProgress(20);
 
     // Init the viewer engine
-    viewerInstance = await initViewer(document.getElementById('viewer-container'));
+    const params = new URLSearchParams(window.location.search);
+    viewerInstance = await initViewer(document.getElementById('viewer-container'), {
+      renderMode: params.get('renderMode') || undefined,
+    });
+    initModelsPanel(viewerInstance, onModelsChanged);
+    initPlacement(viewerInstance, onModelsChanged);
+    initTree(viewerInstance);
+    initSearchPanel(viewerInstance, updateTreeVisibility);
+    initThematic(viewerInstance, updateTreeVisibility);
+    initDataPanel(viewerInstance);
+    // Clipping planes are set up before any model so their ranges follow the first load
+    initClipper(viewerInstance);
+    initViewCube(viewerInstance);
+
+    // Display units for this session (the user's saved choice is kept)
+    if (params.get('units') || params.get('precision')) {
+      try {
+        setUnitSettings({
+          system: params.get('units') || undefined,
+          precision: params.get('precision') || undefined,
+        }, { save: false });
+      } catch (err) {
+        console.warn('[Units]', err.message);
+      }
+    }
     setLoadingProgress(60);
     setLoadingStatus('Motor listo. Buscando modelo...');
 
     // Check for model from URL params
-    const params = new URLSearchParams(window.location.search);
+    configureModelCache({
+      enabled: params.get('cache') !== 'off',
+      limitMB: parseFloat(params.get('cacheMB')) || undefined,
+    });
+
     const modelUrl = params.get('model');
     const modelName = params.get('name') || 'Modelo';
+    // Optional: skip content sniffing when the host knows the format
+    const modelFormat = params.get('format');
+    // Optional: explicit version for the model cache key
+    const modelVersion = params.get('version');
+    // Optional: placement "x,y,z,rotation,scale" to align the model with others
+    const modelPlacement = normalizePlacement(params.get('placement'));
+
+    // Restore the camera projection from URL state
+    if (params.get('projection')) {
+      await applyProjection(params.get('projection'));
+    }
+
+    // Listen to the host before the first download, so it can follow and cancel it
+    listenForMessages();
 
     if (modelUrl) {
-      setLoadingStatus(`Cargando: ${modelName}...`);
-      setLoadingProgress(70);
-      await loadModelFromUrl(viewerInstance, modelUrl, modelName);
-      isModelLoaded = true;
-      onModelLoaded(modelName);
+      // Resolves to null if the user cancels: boot continues with an empty viewer
+      await loadRemoteModel(modelUrl, modelName, { format: modelFormat, version: modelVersion, placement: modelPlacement });
     } else {
       setLoadingProgress(100);
       hideLoadingScreen();
@@ -52,26 +135,22 @@ async function boot() {
 
     // Setup all UI interactions
     setupToolbar();
+    setupUnitsBar();
     setupDragAndDrop();
     setupFileInput();
     setupKeyboardShortcuts();
-    listenForMessages();
+
+    // Automated thumbnails: ?capture=WxH renders once the model is in place
+    if (params.get('capture')) {
+      await runAutoCapture(params.get('capture'), params.get('captureBg') === 'transparent');
+    }
 
     // Setup element selection (raycasting + properties)
-    initSelection(viewerInstance, (props) => {
-      renderProperties(props);
-
-      // Auto-open properties panel when something is selected
-      const panel = document.getElementById('properties-panel');
-      const btnProps = document.getElementById('btn-properties');
-      if (props && panel) {
-        panel.classList.add('panel-open');
-        if (btnProps) btnProps.classList.add('active');
-      }
-    });
+    initSelection(viewerInstance, onSelectionChanged);
 
-    // Setup clipping planes
-    initClipper(viewerInstance);
+    // Hover highlight + tooltip, can be turned off for heavy models
+    if (params.get('hover') === 'off') setHoverEnabled(viewerInstance, false);
+    document.getElementById('btn-hover')?.classList.toggle('active', isHoverEnabled());
 
   } catch (error) {
     console.error('Boot error:', error);
@@ -79,6 +158,105 @@ async function boot() {
   }
 }
 
+// ============================================
+// Remote Loading (progress + cancellation)
+// ============================================
+
+/**
+ * Download and load a model from a URL with progress on the loading screen
+ * @param {string} url - Model URL
+ * @param {string} name - Display name
+ * @param {Object} [options] - { format, version, cache, placement, host: window to notify (defaults to the parent frame) }
+ * @returns {Promise<Object|null>} The model, or null if the load was cancelled
+ */
+async function loadRemoteModel(url, name, { format, version, cache, placement, host } = {}) {
+  // Only one download at a time
+  activeLoad?.abort();
+  const controller = new AbortController();
+  activeLoad = controller;
+
+  showLoadingScreen();
+  setLoadingStatus(`Cargando: ${name}...`);
+  setLoadingProgress(0);
+  setLoadingCancelable(() => controller.abort());
+
+  let lastPercent = -1;
+  let lastNotify = 0;
+
+  const onProgress = ({ phase, loaded, total }) => {
+    if (phase === 'cache') {
+      setLoadingStatus(`Cargando desde caché: ${name} (${formatBytes(loaded)})`);
+      setLoadingProgress(90);
+      notifyHost({ type: 'load-progress', url, name, phase, loaded, total, percent: 100 }, host);
+      return;
+    }
+
+    if (phase === 'process') {
+      setLoadingCancelable(null);
+      setLoadingStatus(`Procesando: ${name}...`);
+      setLoadingProgress(95);
+      notifyHost({ type: 'load-progress', url, name, phase, loaded, total, percent: 100 }, host);
+      return;
+    }
+
+    // Content-Length is the compressed size when the server gzips: treat as unknown
+    const knownTotal = total > 0 && loaded <= total;
+    const percent = knownTotal ? Math.floor((loaded / total) * 100) : null;
+
+    if (knownTotal) {
+      setLoadingStatus(`Descargando: ${formatBytes(loaded)} / ${formatBytes(total)} (${percent}%)`);
+      setLoadingProgress(percent * 0.9);
+    } else {
+      setLoadingStatus(`Descargando: ${formatBytes(loaded)}`);
+    }
+
+    // Throttle host events: on each new percent, or every 250 ms without a total
+    const now = performance.now();
+    if (knownTotal ? percent !== lastPercent : now - lastNotify > 250) {
+      lastPercent = percent;
+      lastNotify = now;
+      notifyHost({ type: 'load-progress', url, name, phase, loaded, total: knownTotal ? total : null, percent }, host);
+    }
+  };
+
+  try {
+    const model = await loadModelFromUrl(viewerInstance, url, name, {
+      format, version, cache, signal: controller.signal, onProgress,
+    });
+    if (model && placement) {
+      setModelPlacement(viewerInstance, model.uuid, placement);
+      fitModel(viewerInstance);
+    }
+    onModelLoaded(name);
+    return model;
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+
+    // A newer load that superseded this one owns the loading screen now
+    if (activeLoad === controller) {
+      hideLoadingScreen();
+      showToast('Carga cancelada');
+    }
+    notifyHost({ type: 'load-cancelled', url, name }, host);
+    return null;
+  } finally {
+    if (activeLoad === controller) {
+      activeLoad = null;
+      setLoadingCancelable(null);
+    }
+  }
+}
+
+/**
+ * Post a message to the embedding page (no-op when not in an iframe)
+ * @param {Object} message - Message payload
+ * @param {Window} [target] - Defaults to the parent frame
+ */
+function notifyHost(message, target) {
+  const host = target || (window.parent !== window ? window.parent : null);
+  host?.postMessage(message, '*');
+}
+
 // ============================================
 // Model Loaded Handler
 // ============================================
@@ -86,24 +264,106 @@ function onModelLoaded(name) {
   isModelLoaded = true;
   setLoadingProgress(100);
 
-  // Hide empty state
-  const emptyState = document.getElementById('empty-state');
-  if (emptyState) emptyState.classList.add('hidden');
+  hideLoadingScreen();
+  showToast(`Modelo "${name}" cargado correctamente`);
 
-  // Show model info
-  const modelInfo = document.getElementById('model-info');
-  if (modelInfo) modelInfo.classList.remove('hidden');
+  onModelsChanged();
+}
 
-  // Update model name
+// ============================================
+// Models Changed Handler (load / unload / visibility)
+// ============================================
+function onModelsChanged() {
+  const models = getModels(viewerInstance);
+  isModelLoaded = models.length > 0;
+
+  // Empty state only when nothing is loaded
+  document.getElementById('empty-state')?.classList.toggle('hidden', isModelLoaded);
+  document.getElementById('model-info')?.classList.toggle('hidden', !isModelLoaded);
+
+  // Toolbar shows the model name, or the count when federating
   const modelNameEl = document.getElementById('model-name');
-  if (modelNameEl) modelNameEl.textContent = name;
+  if (modelNameEl) {
+    if (models.length === 0) modelNameEl.textContent = 'Sin modelo cargado';
+    else if (models.length === 1) modelNameEl.textContent = models[0].name;
+    else modelNameEl.textContent = `${models.length} modelos federados`;
+  }
 
-  hideLoadingScreen();
-  showToast(`Modelo "${name}" cargado correctamente`);
+  renderModelsPanel();
+  refreshTree();
+  refreshDataPanel();
 
-  // Update clipping ranges for the loaded model
-  updateClipperRanges(viewerInstance);
-  buildClipperPanel();
+  // Models loaded later follow the hidden / isolated / ghosted state
+  refreshVisibility(viewerInstance)
+    .then((changed) => { if (changed) updateTreeVisibility(); })
+    .catch(err => console.warn('[Visibility] Could not apply the visibility to the new models:', err));
+  updateCacheInfo();
+
+  // Selected elements may belong to an unloaded model
+  if (dropStaleSelection(viewerInstance)) {
+    renderProperties(getSelectionProperties(viewerInstance));
+    notifySelection();
+  }
+
+  // Clipping ranges follow the visible models (only when their box changes)
+  if (updateClipperRanges(viewerInstance)) buildClipperPanel();
+}
+
+// ============================================
+// Selection Changed Handler
+// ============================================
+
+/**
+ * Sync the panels and the host page with the selection
+ * @param {Object|null} props - Properties of the selection (null when empty)
+ */
+function onSelectionChanged(props) {
+  renderProperties(props);
+  revealSelection();
+  updateDataSelection();
+  notifySelection();
+
+  // Auto-open properties panel when something is selected
+  const panel = document.getElementById('properties-panel');
+  const btnProps = document.getElementById('btn-properties');
+  if (props && panel) {
+    panel.classList.add('panel-open');
+    if (btnProps) btnProps.classList.add('active');
+  }
+}
+
+/**
+ * Tell the host page which IFC elements are selected ('element-selected'),
+ * also when the selection is emptied
+ */
+function notifySelection() {
+  let count = 0;
+  for (const ids of getSelectedItems().values()) count += ids.size;
+  const elements = getSelectedElements({ limit: SELECTION_EVENT_LIMIT });
+
+  notifyHost({
+    type: 'element-selected',
+    source: selectionSource,
+    count,
+    element: elements[0] || null,
+    elements,
+    truncated: count > elements.length,
+  });
+}
+
+/**
+ * Run a selection change asked for by the host page: its 'element-selected'
+ * event says source 'host', so the page can tell it from the user's clicks
+ * @param {Function} task
+ * @returns {*} The task's result
+ */
+function fromHost(task) {
+  selectionSource = 'host';
+  try {
+    return task();
+  } finally {
+    selectionSource = 'user';
+  }
 }
 
 // ============================================
@@ -118,12 +378,21 @@ function setupToolbar() {
     }
   });
 
+  // Orthographic / Perspective toggle
+  document.getElementById('btn-ortho')?.addEventListener('click', async () => {
+    if (!viewerInstance) return;
+    const next = getProjection(viewerInstance) === 'Orthographic' ? 'Perspective' : 'Orthographic';
+    const current = await applyProjection(next);
+    showToast(current === 'Orthographic' ? 'Vista ortográfica' : 'Vista en perspectiva');
+  });
+
   // Grid toggle
   const btnGrid = document.getElementById('btn-grid');
   btnGrid?.addEventListener('click', () => {
     if (viewerInstance?.grid) {
       const isVisible = viewerInstance.grid.visible;
       viewerInstance.grid.visible = !isVisible;
+      requestRender(viewerInstance);
       btnGrid.classList.toggle('active', !isVisible);
       showToast(isVisible ? 'Grid oculto' : 'Grid visible');
     }
@@ -131,21 +400,57 @@ function setupToolbar() {
   // Grid starts active
   if (btnGrid) btnGrid.classList.add('active');
 
-  // View buttons
+  // Box / lasso selection — a left drag selects instead of orbiting
+  const regionButtons = {
+    box: document.getElementById('btn-select-box'),
+    lasso: document.getElementById('btn-select-lasso'),
+  };
+  for (const [mode, btn] of Object.entries(regionButtons)) {
+    btn?.addEventListener('click', () => {
+      const current = setSelectionMode(btn.classList.contains('active') ? 'click' : mode);
+      for (const [key, other] of Object.entries(regionButtons)) {
+        other?.classList.toggle('active', key === current);
+      }
+      document.getElementById('viewer-container')?.classList.toggle('select-region', current !== 'click');
+      if (current !== 'click') {
+        showToast(`${current === 'box' ? 'Rectángulo' : 'Lazo'}: arrastra para seleccionar (Ctrl/Mayús añade)`);
+      }
+    });
+  }
+
+  // Hover highlight + tooltip
+  const btnHover = document.getElementById('btn-hover');
+  btnHover?.addEventListener('click', () => {
+    if (!viewerInstance) return;
+    const enabled = setHoverEnabled(viewerInstance, !isHoverEnabled());
+    btnHover.classList.toggle('active', enabled);
+    showToast(enabled ? 'Resaltado al pasar el ratón activado' : 'Resaltado al pasar el ratón desactivado');
+  });
+
+  // Selection actions (properties panel footer)
+  document.getElementById('btn-select-same-type')?.addEventListener('click', () => {
+    if (viewerInstance) selectSameType(viewerInstance);
+  });
+  document.getElementById('btn-invert-selection')?.addEventListener('click', () => {
+    if (viewerInstance) invertSelection(viewerInstance);
+  });
+  document.getElementById('btn-clear-selection')?.addEventListener('click', () => {
+    if (!viewerInstance) return;
+    clearSelection(viewerInstance);
+    onSelectionChanged(null);
+  });
+
+  // View buttons — framed on the loaded models' bounding box
   const views = {
-    'btn-front': { pos: [0, 0, 30], target: [0, 0, 0] },
-    'btn-top': { pos: [0, 30, 0], target: [0, 0, 0] },
-    'btn-right': { pos: [30, 0, 0], target: [0, 0, 0] },
-    'btn-iso': { pos: [20, 20, 20], target: [0, 0, 0] },
+    'btn-front': 'front',
+    'btn-top': 'top',
+    'btn-right': 'right',
+    'btn-iso': 'iso',
   };
 
   for (const [id, view] of Object.entries(views)) {
     document.getElementById(id)?.addEventListener('click', () => {
-      if (viewerInstance?.world?.camera?.controls) {
-        viewerInstance.world.camera.controls.setLookAt(
-          ...view.pos, ...view.target, true
-        );
-      }
+      setStandardView(viewerInstance, view);
     });
   }
 
@@ -164,6 +469,72 @@ function setupToolbar() {
     btnProps?.classList.remove('active');
   });
 
+  // Left side panels: models, spatial tree, search and property export share
+  // the slot, one open at a time. The export panel opens from the export menu.
+  const sidePanels = [
+    ['btn-models', 'models-panel', 'btn-close-models'],
+    ['btn-tree', 'tree-panel', 'btn-close-tree'],
+    ['btn-search', 'search-panel', 'btn-close-search'],
+    [null, 'data-panel', 'btn-close-data'],
+  ];
+
+  const setSidePanel = (panelId, open) => {
+    for (const [buttonId, otherPanel] of sidePanels) {
+      const shown = open && otherPanel === panelId;
+      document.getElementById(otherPanel)?.classList.toggle('panel-open', shown);
+      if (buttonId) document.getElementById(buttonId)?.classList.toggle('active', shown);
+    }
+    // The spatial tree and the export columns are read on open
+    if (open && panelId === 'tree-panel') refreshTree();
+    if (open && panelId === 'data-panel') refreshDataPanel();
+  };
+
+  for (const [buttonId, panelId, closeId] of sidePanels) {
+    const panel = document.getElementById(panelId);
+    if (buttonId) {
+      document.getElementById(buttonId)?.addEventListener('click', () => {
+        setSidePanel(panelId, !panel.classList.contains('panel-open'));
+      });
+    }
+    document.getElementById(closeId)?.addEventListener('click', () => setSidePanel(panelId, false));
+  }
+
+  // Model cache
+  document.getElementById('btn-clear-cache')?.addEventListener('click', async () => {
+    try {
+      await clearModelCache();
+      showToast('Caché de modelos vaciada');
+    } catch (e) {
+      showToast('Error vaciando caché: ' + e.message);
+    }
+    updateCacheInfo();
+  });
+  updateCacheInfo();
+
+  // Model placements (alignment between federated models)
+  document.getElementById('btn-save-placements')?.addEventListener('click', () => {
+    if (getModels(viewerInstance).length === 0) {
+      showToast('No hay modelos cargados');
+      return;
+    }
+    downloadPlacements(viewerInstance);
+  });
+
+  const placementsInput = document.getElementById('placements-input');
+  document.getElementById('btn-load-placements')?.addEventListener('click', () => placementsInput?.click());
+  placementsInput?.addEventListener('change', async () => {
+    const file = placementsInput.files[0];
+    if (!file) return;
+    try {
+      const count = importPlacements(viewerInstance, await file.text());
+      onModelsChanged();
+      showToast(`Alineación aplicada a ${count} modelo${count === 1 ? '' : 's'}`);
+    } catch (e) {
+      showToast('Error: ' + e.message);
+    }
+    placementsInput.value = '';
+  });
+
   // Clipping panel toggle
   const btnClip = document.getElementById('btn-clip');
   const clipPanel = document.getElementById('clip-panel');
@@ -173,6 +544,53 @@ function setupToolbar() {
     btnClip.classList.toggle('active', clipPanel.classList.contains('clip-open'));
   });
 
+  // Screenshot: 4K on the long side, keeping the viewport framing
+  document.getElementById('btn-screenshot')?.addEventListener('click', () => {
+    runScreenshot({ longSide: 3840 }).catch(() => {});
+  });
+
+  // Export menu
+  const btnExport = document.getElementById('btn-export');
+  const exportMenu = document.getElementById('export-menu');
+
+  btnExport?.addEventListener('click', () => {
+    exportMenu.classList.toggle('menu-open');
+    btnExport.classList.toggle('active', exportMenu.classList.contains('menu-open'));
+    document.getElementById('visibility-menu')?.classList.remove('menu-open');
+    document.getElementById('btn-visibility')?.classList.remove('active');
+  });
+
+  // Visibility menu: hide / isolate / X-ray the selection, its classes or its storeys
+  const btnVisibility = document.getElementById('btn-visibility');
+  const visibilityMenu = document.getElementById('visibility-menu');
+
+  btnVisibility?.addEventListener('click', () => {
+    visibilityMenu.classList.toggle('menu-open');
+    btnVisibility.classList.toggle('active', visibilityMenu.classList.contains('menu-open'));
+    exportMenu?.classList.remove('menu-open');
+    btnExport?.classList.remove('active');
+  });
+
+  visibilityMenu?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-mode]');
+    if (btn) runVisibility(btn.dataset.mode, btn.dataset.scope);
+  });
+  document.getElementById('btn-unghost-all')?.addEventListener('click', () => runShowAll({ ghostsOnly: true }));
+  document.getElementById('btn-show-all')?.addEventListener('click', () => runShowAll());
+
+  // Errors are already shown as a toast
+  document.getElementById('btn-export-glb')?.addEventListener('click', () => runGlbExport().catch(() => {}));
+  document.getElementById('btn-export-glb-selection')?.addEventListener('click', () => runGlbExport({ selectionOnly: true }).catch(() => {}));
+  document.getElementById('btn-export-png')?.addEventListener('click', () => runScreenshot({ longSide: 3840 }).catch(() => {}));
+  document.getElementById('btn-export-png-transparent')?.addEventListener('click', () => {
+    runScreenshot({ longSide: 3840, transparent: true }).catch(() => {});
+  });
+  document.getElementById('btn-export-properties')?.addEventListener('click', () => {
+    exportMenu?.classList.remove('menu-open');
+    btnExport?.classList.remove('active');
+    setSidePanel('data-panel', true);
+  });
+
   // Fullscreen
   document.getElementById('btn-fullscreen')?.addEventListener('click', () => {
     if (!document.fullscreenElement) {
@@ -189,9 +607,9 @@ function setupToolbar() {
     // For now, this is a placeholder — you can replace with your own hosted model
     const demoUrl = '/school_arq.frag';
     try {
-      await loadModelFromUrl(viewerInstance, demoUrl, 'Demo Model');
-      onModelLoaded('Demo Model');
+      await loadRemoteModel(demoUrl, 'Demo Model');
     } catch (e) {
+      hideLoadingScreen();
       showToast('Error cargando demo: ' + e.message);
     }
   });
@@ -233,12 +651,7 @@ function setupDragAndDrop() {
     const file = e.dataTransfer.files[0];
     if (!file) return;
 
-    const ext = file.name.split('.').pop().toLowerCase();
-    if (!['frag', 'ifc'].includes(ext)) {
-      showToast('Formato no soportado. Usa .frag o .ifc');
-      return;
-    }
-
+    // The format is detected from the file contents (see formats.js)
     try {
       showToast(`Cargando ${file.name}...`);
       await loadModelFromFile(viewerInstance, file);
@@ -249,6 +662,45 @@ function setupDragAndDrop() {
   });
 }
 
+// ============================================
+// Display Units
+// ============================================
+
+/**
+ * Unit system and decimals selectors of the properties panel. Readouts are
+ * formatted when shown, so a change re-renders them.
+ */
+function setupUnitsBar() {
+  const systemSelect = document.getElementById('units-system');
+  const precisionSelect = document.getElementById('units-precision');
+
+  if (systemSelect) {
+    systemSelect.innerHTML = Object.entries(UNIT_SYSTEMS)
+      .map(([key, system]) => `<option value="${key}">${system.label}</option>`).join('');
+  }
+  if (precisionSelect) {
+    precisionSelect.innerHTML = Array.from({ length: MAX_PRECISION + 1 }, (_, i) => `<option value="${i}">${i}</option>`).join('');
+  }
+
+  const syncBar = ({ system, precision }) => {
+    if (systemSelect) systemSelect.value = system;
+    if (precisionSelect) precisionSelect.value = String(precision);
+  };
+
+  const onChange = (changes) => {
+    notifyHost({ type: 'units', success: true, ...setUnitSettings(changes) });
+  };
+  systemSelect?.addEventListener('change', () => onChange({ system: systemSelect.value }));
+  precisionSelect?.addEventListener('change', () => onChange({ precision: Number(precisionSelect.value) }));
+
+  onUnitsChange((settings) => {
+    syncBar(settings);
+    renderProperties(getSelectionProperties(viewerInstance));
+    refreshClipperLabels();
+  });
+  syncBar(getUnitSettings());
+}
+
 // ============================================
 // File Input
 // ============================================
@@ -276,10 +728,19 @@ function setupFileInput() {
 // ============================================
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
+    // Typing in a panel field (search, placement) is not a shortcut
+    if (e.key !== 'Escape' && e.target.closest?.('input, select, textarea')) return;
+    // Leave browser shortcuts (Ctrl+F, Ctrl+H...) alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
     // F — Fit model
     if (e.key === 'f' || e.key === 'F') {
       if (viewerInstance) fitModel(viewerInstance);
     }
+    // O — Toggle orthographic / perspective
+    if (e.key === 'o' || e.key === 'O') {
+      document.getElementById('btn-ortho')?.click();
+    }
     // G — Toggle grid
     if (e.key === 'g' || e.key === 'G') {
       document.getElementById('btn-grid')?.click();
@@ -288,17 +749,58 @@ function setupKeyboardShortcuts() {
     if (e.key === 'Escape') {
       document.getElementById('properties-panel')?.classList.remove('panel-open');
       document.getElementById('btn-properties')?.classList.remove('active');
+      document.getElementById('models-panel')?.classList.remove('panel-open');
+      document.getElementById('btn-models')?.classList.remove('active');
+      document.getElementById('tree-panel')?.classList.remove('panel-open');
+      document.getElementById('btn-tree')?.classList.remove('active');
+      document.getElementById('search-panel')?.classList.remove('panel-open');
+      document.getElementById('btn-search')?.classList.remove('active');
+      document.getElementById('data-panel')?.classList.remove('panel-open');
       document.getElementById('clip-panel')?.classList.remove('clip-open');
       document.getElementById('btn-clip')?.classList.remove('active');
+      document.getElementById('export-menu')?.classList.remove('menu-open');
+      document.getElementById('btn-export')?.classList.remove('active');
+      document.getElementById('visibility-menu')?.classList.remove('menu-open');
+      document.getElementById('btn-visibility')?.classList.remove('active');
       if (viewerInstance) {
         clearSelection(viewerInstance);
-        renderProperties(null);
+        onSelectionChanged(null);
       }
     }
     // P — Toggle properties
     if (e.key === 'p' || e.key === 'P') {
       document.getElementById('btn-properties')?.click();
     }
+    // M — Toggle models panel
+    if (e.key === 'm' || e.key === 'M') {
+      document.getElementById('btn-models')?.click();
+    }
+    // E — Toggle spatial tree
+    if (e.key === 'e' || e.key === 'E') {
+      document.getElementById('btn-tree')?.click();
+    }
+    // S — Toggle search
+    if (e.key === 's' || e.key === 'S') {
+      document.getElementById('btn-search')?.click();
+    }
+    // H / I / X — Hide / isolate / X-ray the selection; Shift+H shows everything
+    if (e.key === 'h' || e.key === 'H') {
+      if (e.shiftKey) runShowAll();
+      else runVisibility('hide', 'selection');
+    }
+    if (e.key === 'i' || e.key === 'I') {
+      runVisibility('isolate', 'selection');
+    }
+    if (e.key === 'x' || e.key === 'X') {
+      runVisibility('ghost', 'selection');
+    }
+    // B / L — Box / lasso selection
+    if (e.key === 'b' || e.key === 'B') {
+      document.getElementById('btn-select-box')?.click();
+    }
+    if (e.key === 'l' || e.key === 'L') {
+      document.getElementById('btn-select-lasso')?.click();
+    }
   });
 }
 
@@ -315,11 +817,15 @@ function listenForMessages() {
         if (data.url) {
           try {
             showToast(`Cargando modelo...`);
-            await loadModelFromUrl(viewerInstance, data.url, data.name || 'Modelo');
-            onModelLoaded(data.name || 'Modelo');
-            // Notify parent that model is loaded
-            event.source?.postMessage({ type: 'model-loaded', success: true }, '*');
+            const model = await loadRemoteModel(data.url, data.name || 'Modelo', {
+              format: data.format, version: data.version, cache: data.cache,
+              placement: normalizePlacement(data.placement), host: event.source,
+            });
+            // Notify parent that model is loaded ('load-cancelled' was already sent otherwise)
+            if (model) event.source?.postMessage({ type: 'model-loaded', success: true, id: model.uuid }, '*');
           } catch (err) {
+            hideLoadingScreen();
+            showToast('Error: ' + err.message);
             event.source?.postMessage({ type: 'model-loaded', success: false, error: err.message }, '*');
           }
         }
@@ -336,17 +842,241 @@ function listenForMessages() {
             }
             const blob = new Blob([array]);
             const file = new File([blob], data.name || 'model.frag');
-            await loadModelFromFile(viewerInstance, file);
+            const model = await loadModelFromFile(viewerInstance, file, { format: data.format });
             onModelLoaded(data.name || 'model.frag');
-            event.source?.postMessage({ type: 'model-loaded', success: true }, '*');
+            event.source?.postMessage({ type: 'model-loaded', success: true, id: model?.uuid }, '*');
           } catch (err) {
             event.source?.postMessage({ type: 'model-loaded', success: false, error: err.message }, '*');
           }
         }
         break;
 
+      case 'cancel-load':
+        activeLoad?.abort();
+        break;
+
+      case 'cache-status':
+        event.source?.postMessage({ type: 'cache-status', ...(await getModelCacheStatus()) }, '*');
+        break;
+
+      case 'clear-cache':
+        try {
+          await clearModelCache();
+          updateCacheInfo();
+          event.source?.postMessage({ type: 'cache-status', ...(await getModelCacheStatus()) }, '*');
+        } catch (err) {
+          // IndexedDB blocked (sandboxed or private iframe)
+          console.warn('[Cache] Could not clear the cache:', err);
+          event.source?.postMessage({ type: 'cache-status', success: false, error: err.message, ...(await getModelCacheStatus()) }, '*');
+        }
+        break;
+
       case 'fit-model':
-        fitModel(viewerInstance);
+        fitModel(viewerInstance, data.id);
+        break;
+
+      case 'set-view':
+        setStandardView(viewerInstance, data.view);
+        break;
+
+      case 'set-projection':
+        await applyProjection(data.projection, event.source);
+        break;
+
+      case 'list-models':
+        event.source?.postMessage({ type: 'models-list', models: serializeModels() }, '*');
+        break;
+
+      case 'unload-model':
+        if (data.id && unloadModel(viewerInstance, data.id)) {
+          onModelsChanged();
+        }
+        event.source?.postMessage({ type: 'models-list', models: serializeModels() }, '*');
+        break;
+
+      case 'set-model-visible':
+        if (data.id) {
+          setModelVisible(viewerInstance, data.id, data.visible !== false);
+          onModelsChanged();
+        }
+        break;
+
+      case 'set-model-placement':
+        if (data.id && setModelPlacement(viewerInstance, data.id, data.placement || {})) {
+          onModelsChanged();
+        }
+        event.source?.postMessage({ type: 'models-list', models: serializeModels() }, '*');
+        break;
+
+      case 'get-placements':
+        event.source?.postMessage({ type: 'placements', placements: exportPlacements(viewerInstance) }, '*');
+        break;
+
+      case 'load-placements':
+        try {
+          importPlacements(viewerInstance, data.placements);
+          onModelsChanged();
+        } catch (e) {
+          showToast('Error: ' + e.message);
+        }
+        event.source?.postMessage({ type: 'placements', placements: exportPlacements(viewerInstance) }, '*');
+        break;
+
+      case 'export-glb':
+        try {
+          const { blob, fileName, nodeCount } = await runGlbExport({
+            selectionOnly: !!data.selectionOnly,
+            download: data.download === true,
+          });
+          const buffer = await blob.arrayBuffer();
+          event.source?.postMessage({ type: 'glb-exported', success: true, fileName, nodeCount, data: buffer }, '*', [buffer]);
+        } catch (err) {
+          event.source?.postMessage({ type: 'glb-exported', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'capture-screenshot':
+        try {
+          const size = parseCaptureSize(data.size || (data.width && data));
+          const { blob, width, height } = await captureScreenshot(viewerInstance, {
+            ...(size || {}),
+            transparent: !!data.transparent,
+            grid: !!data.grid,
+            format: data.format,
+            quality: data.quality,
+          });
+          const image = data.as === 'blob' ? { blob } : { dataUrl: await blobToDataUrl(blob) };
+          event.source?.postMessage({ type: 'screenshot', success: true, width, height, ...image }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'screenshot', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'set-render-mode': {
+        const mode = setRenderMode(viewerInstance, data.mode);
+        event.source?.postMessage({ type: 'render-mode', mode }, '*');
+        break;
+      }
+
+      case 'set-units':
+        try {
+          const settings = setUnitSettings({ system: data.system, precision: data.precision }, { save: data.save === true });
+          event.source?.postMessage({ type: 'units', success: true, ...settings }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'units', success: false, error: err.message, ...getUnitSettings() }, '*');
+        }
+        break;
+
+      case 'get-units':
+        event.source?.postMessage({ type: 'units', success: true, ...getUnitSettings() }, '*');
+        break;
+
+      case 'query-elements':
+        try {
+          const query = data.name ? getSavedQuery(data.name) : data.query;
+          if (!query) throw new Error(`No existe el filtro "${data.name}"`);
+          if (data.save) saveQuery(data.save, query);
+          const elements = await queryElements(viewerInstance, query, { models: data.models });
+          if (data.action) fromHost(() => applyResultsAction(data.action, elements, { color: data.color }));
+          event.source?.postMessage({ type: 'query-result', success: true, count: elements.length, elements }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'query-result', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'set-visibility':
+        try {
+          let count = 0;
+          if (data.mode === 'show-all') {
+            showAllItems(viewerInstance);
+          } else {
+            count = await applyVisibility(viewerInstance, data.mode, {
+              globalIds: data.globalIds,
+              classes: data.classes,
+              storeys: data.storeys,
+              items: data.selection ? getSelectedItems() : null,
+            });
+          }
+          updateTreeVisibility();
+          event.source?.postMessage({ type: 'visibility', success: true, mode: data.mode, count }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'visibility', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'list-queries':
+        event.source?.postMessage({ type: 'queries', queries: getSavedQueries() }, '*');
+        break;
+
+      case 'color-by-property':
+        try {
+          const legend = await colorByProperty(viewerInstance, { field: data.field, name: data.name, pset: data.pset });
+          event.source?.postMessage({ type: 'color-legend', success: true, legend }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'color-legend', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'color-elements':
+        try {
+          // Explicit colours win; otherwise the viewer picks them from the values
+          const options = { title: data.title, labels: data.labels };
+          let legend;
+          if (data.colors) legend = colorByGlobalId(viewerInstance, data.colors, options);
+          else if (data.values) legend = colorByValues(viewerInstance, data.values, options);
+          else throw new Error('Faltan los colores o los valores');
+          event.source?.postMessage({ type: 'color-legend', success: true, legend }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'color-legend', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'get-properties':
+        try {
+          // Rows as arrays, ready for a spreadsheet range (e.g. Apps Script setValues)
+          const items = resolveTableItems(viewerInstance, { scope: data.scope, models: data.models, globalIds: data.globalIds });
+          const table = await getPropertyTable(viewerInstance, items, { columns: data.columns, units: data.units });
+          if (data.download) {
+            if (!TABLE_FORMATS.includes(data.download)) throw new Error(`Formato no válido: ${data.download}`);
+            downloadBlob(tableToBlob(table, data.download), `propiedades.${data.download}`);
+          }
+          event.source?.postMessage({ type: 'properties', success: true, count: table.rows.length, ...table }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'properties', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'select-elements':
+      case 'focus-element':
+        try {
+          const globalIds = data.type === 'focus-element' ? [data.globalId] : data.globalIds;
+          if (!Array.isArray(globalIds) || globalIds.length === 0 || !globalIds.every(Boolean)) {
+            throw new Error('Faltan los GlobalId de los elementos');
+          }
+          const notFound = [];
+          const items = findElementsByGlobalId(viewerInstance, globalIds, { models: data.models, notFound });
+          if (items.size === 0) throw new Error('Ningún elemento cargado tiene esos GlobalId');
+
+          const count = fromHost(() => selectItems(viewerInstance, items, { append: !!data.append }));
+          // focus-element always frames the element; select-elements unless fit: false
+          if (data.type === 'focus-element' || data.fit !== false) fitItems(viewerInstance, items);
+
+          event.source?.postMessage({ type: 'selection', success: true, count, notFound }, '*');
+        } catch (err) {
+          event.source?.postMessage({ type: 'selection', success: false, error: err.message }, '*');
+        }
+        break;
+
+      case 'clear-selection':
+        fromHost(() => {
+          clearSelection(viewerInstance);
+          onSelectionChanged(null);
+        });
+        break;
+
+      case 'clear-colors':
+        clearThematic(viewerInstance);
+        event.source?.postMessage({ type: 'color-legend', success: true, legend: null }, '*');
         break;
 
       case 'load-demo':
@@ -357,6 +1087,216 @@ function listenForMessages() {
   });
 }
 
+// ============================================
+// Visibility
+// ============================================
+const VISIBILITY_LABELS = { hide: 'Ocultos', isolate: 'Aislados', ghost: 'En rayos X' };
+
+/**
+ * Hide, isolate or ghost the selection, or every element of its IFC classes / storeys
+ * @param {string} mode - 'hide' | 'isolate' | 'ghost'
+ * @param {string} scope - 'selection' | 'class' | 'storey'
+ */
+async function runVisibility(mode, scope) {
+  document.getElementById('visibility-menu')?.classList.remove('menu-open');
+  document.getElementById('btn-visibility')?.classList.remove('active');
+  if (!viewerInstance) return;
+
+  const items = getSelectedItems();
+  if (items.size === 0) {
+    showToast('Selecciona algún elemento IFC');
+    return;
+  }
+
+  const target = scope === 'selection' ? { items } : getItemsScope(viewerInstance, items, scope);
+  const names = target.classes || target.storeys;
+  if (names && names.length === 0) {
+    showToast(scope === 'storey' ? 'La selección no está en ninguna planta' : 'Clase IFC desconocida');
+    return;
+  }
+
+  try {
+    const count = await applyVisibility(viewerInstance, mode, target);
+    // Hidden and ghosted elements can't be picked: they leave the selection
+    if (mode !== 'isolate') {
+      clearSelection(viewerInstance);
+      onSelectionChanged(null);
+    }
+    updateTreeVisibility();
+    showToast(`${VISIBILITY_LABELS[mode]}: ${count} elemento${count === 1 ? '' : 's'}${names ? ` (${names.join(', ')})` : ''}`);
+  } catch (err) {
+    showToast('Error: ' + err.message);
+  }
+}
+
+/**
+ * Show every element again, or only bring the ghosted ones back to normal
+ * @param {Object} [options] - { ghostsOnly }
+ */
+async function runShowAll({ ghostsOnly = false } = {}) {
+  document.getElementById('visibility-menu')?.classList.remove('menu-open');
+  document.getElementById('btn-visibility')?.classList.remove('active');
+  if (!viewerInstance) return;
+
+  try {
+    if (ghostsOnly) {
+      const items = new Map(getModels(viewerInstance).map(entry => [entry.id, getGhostedItemIDs(entry.model)]));
+      await applyVisibility(viewerInstance, 'unghost', { items });
+      showToast('Rayos X desactivado');
+    } else {
+      showAllItems(viewerInstance);
+      showToast('Todos los elementos visibles');
+    }
+    updateTreeVisibility();
+  } catch (err) {
+    showToast('Error: ' + err.message);
+  }
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Export the visible models (or the selection) to GLB
+ * @param {Object} [options] - { selectionOnly, download: save the file (default true) }
+ * @returns {Promise<Object>} Result of exportGlb; rejects on error after showing it
+ */
+async function runGlbExport({ selectionOnly = false, download = true } = {}) {
+  document.getElementById('export-menu')?.classList.remove('menu-open');
+  document.getElementById('btn-export')?.classList.remove('active');
+
+  const buttons = document.querySelectorAll('.export-item');
+  buttons.forEach(btn => { btn.disabled = true; });
+  showToast('Exportando GLB...');
+
+  try {
+    const result = await exportGlb(viewerInstance, { selectionOnly });
+    if (download) downloadBlob(result.blob, result.fileName);
+    showToast(`GLB exportado: ${result.fileName} (${formatBytes(result.blob.size)})`);
+    return result;
+  } catch (err) {
+    showToast('Error exportando: ' + err.message);
+    throw err;
+  } finally {
+    buttons.forEach(btn => { btn.disabled = false; });
+  }
+}
+
+/**
+ * Capture the view and download it as PNG
+ * @param {Object} options - captureScreenshot options
+ */
+async function runScreenshot(options) {
+  document.getElementById('export-menu')?.classList.remove('menu-open');
+  document.getElementById('btn-export')?.classList.remove('active');
+
+  try {
+    const { blob, width, height } = await captureScreenshot(viewerInstance, options);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadBlob(blob, `captura-${stamp}.png`);
+    showToast(`Captura guardada (${width}×${height})`);
+  } catch (err) {
+    showToast('Error en la captura: ' + err.message);
+    throw err;
+  }
+}
+
+/**
+ * ?capture= mode: render a thumbnail and hand it to the host page or to a
+ * headless browser (window.__bitformCapture + data-capture="ready" on <html>)
+ * @param {string} sizeSpec - '4k', '1080p', 'thumb' or 'WxH'
+ * @param {boolean} transparent - Transparent background
+ */
+async function runAutoCapture(sizeSpec, transparent) {
+  const size = parseCaptureSize(sizeSpec);
+  if (!size) {
+    console.warn('[Viewer] Invalid capture size:', sizeSpec);
+    return;
+  }
+
+  // Let the renderer draw a couple of frames with the final framing
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  try {
+    const { blob, width, height } = await captureScreenshot(viewerInstance, { ...size, transparent });
+    const dataUrl = await blobToDataUrl(blob);
+
+    window.__bitformCapture = dataUrl;
+    document.documentElement.dataset.capture = 'ready';
+    notifyHost({ type: 'screenshot', success: true, width, height, dataUrl });
+  } catch (err) {
+    document.documentElement.dataset.capture = 'error';
+    notifyHost({ type: 'screenshot', success: false, error: err.message });
+  }
+}
+
+// ============================================
+// Camera Projection
+// ============================================
+
+/**
+ * Set the projection and sync the toolbar, URL state and host page
+ * @param {string} projection - 'ortho' | 'orthographic' | 'persp' | 'perspective'
+ * @param {Window} [host] - Window to notify (defaults to the parent frame)
+ * @returns {Promise<string>} The projection now in use
+ */
+async function applyProjection(projection, host) {
+  const current = await setProjection(viewerInstance, projection);
+  const isOrtho = current === 'Orthographic';
+
+  document.getElementById('btn-ortho')?.classList.toggle('active', isOrtho);
+  updateUrlState('projection', isOrtho ? 'ortho' : null);
+  notifyHost({ type: 'projection-changed', projection: current.toLowerCase() }, host);
+
+  return current;
+}
+
+/**
+ * Reflect viewer state in the query string (without reloading) so the
+ * current URL can be shared or reused as the iframe src
+ * @param {string} key - Query param name
+ * @param {string|null} value - Value, or null to remove the param
+ */
+function updateUrlState(key, value) {
+  const url = new URL(window.location.href);
+  if (value === null || value === undefined) url.searchParams.delete(key);
+  else url.searchParams.set(key, value);
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Show cache usage in the models panel footer
+ */
+async function updateCacheInfo() {
+  const el = document.getElementById('cache-info');
+  if (!el) return;
+
+  const status = await getModelCacheStatus();
+  el.textContent = status.enabled
+    ? `Caché: ${formatBytes(status.totalSize)} / ${formatBytes(status.limit)} (${status.entries.length})`
+    : 'Caché desactivada';
+}
+
+/**
+ * Plain-object view of the model registry for postMessage
+ */
+function serializeModels() {
+  return getModels(viewerInstance).map((entry) => ({
+    id: entry.id,
+    name: entry.name,
+    url: entry.url,
+    format: entry.format,
+    visible: entry.visible,
+    elementCount: entry.elementCount,
+    placement: { ...entry.placement },
+    boundingBox: entry.boundingBox.isEmpty() ? null : {
+      min: entry.boundingBox.min.toArray(),
+      max: entry.boundingBox.max.toArray(),
+    },
+  }));
+}
+
 // ============================================
 // Start
 // ============================================
@@ -0,0 +1,181 @@
+/**
+ * Bitform 3D Viewer — Models Panel
+ *
+ * Lists the federated models in the viewer registry with
+ * per-model visibility, fit, placement and unload actions.
+ */
+
+import { getModels, unloadModel, setModelVisible, fitModel, setModelPlacement, DEFAULT_PLACEMENT } from './viewer.js';
+import { startPointAlignment, stopPointAlignment } from './placement.js';
+import { escapeHtml } from './ui.js';
+
+// ============================================
+// State
+// ============================================
+let viewerRef = null;
+let onChangeCallback = null;
+let editingId = null; // Model whose placement editor is open
+
+// Placement editor fields
+const PLACEMENT_FIELDS = [
+    { key: 'x', label: 'X', unit: 'm', step: 0.1 },
+    { key: 'y', label: 'Y', unit: 'm', step: 0.1 },
+    { key: 'z', label: 'Z', unit: 'm', step: 0.1 },
+    { key: 'rotation', label: 'Giro', unit: '°', step: 1 },
+    { key: 'scale', label: 'Escala', unit: '×', step: 0.01 },
+];
+
+/**
+ * Initialize the models panel
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Function} onChange - Called after a model is hidden, shown or unloaded
+ */
+export function initModelsPanel(viewer, onChange) {
+    viewerRef = viewer;
+    onChangeCallback = onChange;
+
+    const list = document.getElementById('models-content');
+    if (!list) return;
+
+    // Event delegation: the list is re-rendered on every change
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        const id = btn.closest('[data-model-id]')?.dataset.modelId;
+        if (!id) return;
+
+        handleAction(btn.dataset.action, id);
+    });
+
+    // Numeric placement fields apply on change (enter / blur / spinner)
+    list.addEventListener('change', (e) => {
+        const field = e.target.dataset.placementField;
+        const id = e.target.closest('[data-model-id]')?.dataset.modelId;
+        if (!field || !id) return;
+
+        const entry = setModelPlacement(viewerRef, id, { [field]: e.target.value });
+        renderModelsPanel();
+        if (entry && onChangeCallback) onChangeCallback('place', entry);
+    });
+
+    renderModelsPanel();
+    console.log('[Models] Initialized');
+}
+
+/**
+ * Run a panel action on a model
+ */
+function handleAction(action, id) {
+    const entry = getModels(viewerRef).find(m => m.id === id);
+    if (!entry) return;
+
+    switch (action) {
+        case 'toggle':
+            setModelVisible(viewerRef, id, !entry.visible);
+            break;
+        case 'fit':
+            fitModel(viewerRef, id);
+            return; // Camera only, registry unchanged
+        case 'place':
+            editingId = editingId === id ? null : id;
+            renderModelsPanel();
+            return; // Opens or closes the editor, registry unchanged
+        case 'align':
+            startPointAlignment(id);
+            return;
+        case 'reset-placement':
+            setModelPlacement(viewerRef, id, DEFAULT_PLACEMENT);
+            break;
+        case 'unload':
+            if (editingId === id) editingId = null;
+            stopPointAlignment(true);
+            unloadModel(viewerRef, id);
+            break;
+        default:
+            return;
+    }
+
+    renderModelsPanel();
+    if (onChangeCallback) onChangeCallback(action, entry);
+}
+
+/**
+ * Render the list of loaded models
+ */
+export function renderModelsPanel() {
+    const content = document.getElementById('models-content');
+    if (!content) return;
+
+    const models = getModels(viewerRef);
+
+    if (models.length === 0) {
+        content.innerHTML = `
+            <div class="empty-panel">
+                <i class="fas fa-layer-group"></i>
+                <p>No hay modelos cargados</p>
+            </div>
+        `;
+        return;
+    }
+
+    let html = '';
+
+    for (const entry of models) {
+        html += `
+        <div class="model-item ${entry.visible ? '' : 'model-hidden'}" data-model-id="${entry.id}">
+            <button class="model-btn" data-action="toggle" title="${entry.visible ? 'Ocultar' : 'Mostrar'} modelo">
+                <i class="fas ${entry.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+            </button>
+            <div class="model-item-info">
+                <span class="model-item-name" title="${escapeHtml(entry.url || entry.name)}">${escapeHtml(entry.name)}</span>
+                <span class="model-item-meta">${entry.format.toUpperCase()} · ${entry.elementCount.toLocaleString()} elementos</span>
+            </div>
+            <button class="model-btn" data-action="fit" title="Encuadrar modelo">
+                <i class="fas fa-expand"></i>
+            </button>
+            <button class="model-btn ${editingId === entry.id ? 'active' : ''}" data-action="place" title="Posición del modelo">
+                <i class="fas fa-arrows-alt"></i>
+            </button>
+            <button class="model-btn model-btn-danger" data-action="unload" title="Descargar modelo">
+                <i class="fas fa-trash-alt"></i>
+            </button>
+        </div>
+        `;
+
+        if (editingId === entry.id) html += renderPlacementEditor(entry);
+    }
+
+    content.innerHTML = html;
+}
+
+/**
+ * Numeric placement editor shown under a model item
+ */
+function renderPlacementEditor(entry) {
+    let fields = '';
+    for (const field of PLACEMENT_FIELDS) {
+        const value = entry.placement[field.key];
+        fields += `
+                <label class="placement-field">
+                    <span>${field.label}</span>
+                    <input type="number" step="${field.step}" value="${+value.toFixed(4)}" data-placement-field="${field.key}" />
+                    <span class="placement-unit">${field.unit}</span>
+                </label>`;
+    }
+
+    return `
+        <div class="placement-editor" data-model-id="${entry.id}">
+            <div class="placement-fields">${fields}
+            </div>
+            <div class="placement-actions">
+                <button class="clip-reset-btn" data-action="align" title="Elegir puntos coincidentes en este y otro modelo">
+                    <i class="fas fa-crosshairs"></i> Alinear por puntos
+                </button>
+                <button class="clip-reset-btn" data-action="reset-placement" title="Volver a la posición original">
+                    <i class="fas fa-undo"></i> Restablecer
+                </button>
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,288 @@
+/**
+ * Bitform 3D Viewer — Model Placement
+ *
+ * Aligns federated models that were authored in different tools:
+ * point-pair snapping (pick a point on the model to move, then the
+ * matching point on another model) and saving / loading placements as JSON.
+ */
+
+import * as THREE from 'three';
+import { getModels, getModel, getModelForObject, setModelPlacement } from './viewer.js';
+import { showToast, downloadBlob } from './ui.js';
+import { requestRender } from './rendering.js';
+
+// ============================================
+// State
+// ============================================
+const PLACEMENT_FILE_TYPE = 'bitform-placements';
+
+let viewerRef = null;
+let onChangeCallback = null;
+let raycaster = new THREE.Raycaster();
+let pointer = new THREE.Vector2();
+
+// Point alignment in progress: { id, step: 'source' | 'target', source, pairs, markers }
+let alignment = null;
+let pointerDownPos = null;
+
+/**
+ * Initialize point-pair alignment
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Function} onChange - Called with the entry after a placement changes
+ */
+export function initPlacement(viewer, onChange) {
+    viewerRef = viewer;
+    onChangeCallback = onChange;
+
+    // Capture phase on the container: runs before the selection listeners on
+    // the canvas, so clicks used for alignment do not select elements
+    viewer.container.addEventListener('pointerdown', (e) => {
+        pointerDownPos = { x: e.clientX, y: e.clientY };
+    }, true);
+
+    viewer.container.addEventListener('pointerup', (e) => {
+        if (!alignment || !pointerDownPos) return;
+
+        const moved = Math.hypot(e.clientX - pointerDownPos.x, e.clientY - pointerDownPos.y);
+        pointerDownPos = null;
+        if (moved >= 5) return; // Orbit / pan
+
+        e.stopPropagation();
+        handleAlignmentClick(e);
+    }, true);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && alignment) stopPointAlignment();
+    });
+
+    console.log('[Placement] Initialized');
+}
+
+// ============================================
+// Point-pair alignment
+// ============================================
+
+/**
+ * Start aligning a model by picking matching points.
+ * First pair: translation. Optional second pair: rotation about the
+ * vertical axis through the first target point.
+ * @param {string} id - Id of the model to move
+ */
+export function startPointAlignment(id) {
+    const entry = getModel(viewerRef, id);
+    if (!entry) return;
+
+    stopPointAlignment(true);
+    alignment = { id, step: 'source', source: null, pairs: [], markers: [] };
+    showToast(`Alinear: haz clic en un punto de "${entry.name}"`);
+}
+
+/**
+ * Leave alignment mode and remove the point markers
+ * @param {boolean} [silent] - Do not show a toast
+ */
+export function stopPointAlignment(silent = false) {
+    if (!alignment) return;
+
+    for (const marker of alignment.markers) {
+        marker.removeFromParent();
+        marker.geometry.dispose();
+        marker.material.dispose();
+    }
+    alignment = null;
+    requestRender(viewerRef);
+
+    if (!silent) showToast('Alineación terminada');
+}
+
+export function isAligning() {
+    return alignment !== null;
+}
+
+function handleAlignmentClick(event) {
+    const hit = pickModelPoint(event);
+    if (!hit) return;
+
+    const moving = getModel(viewerRef, alignment.id);
+    if (!moving) {
+        stopPointAlignment(true);
+        return;
+    }
+
+    if (alignment.step === 'source') {
+        if (hit.entry.id !== moving.id) {
+            showToast(`Haz clic en un punto de "${moving.name}"`);
+            return;
+        }
+        alignment.source = hit.point;
+        alignment.step = 'target';
+        addMarker(hit.point, 0xf59e0b);
+        showToast('Ahora haz clic en el punto correspondiente de otro modelo');
+        return;
+    }
+
+    if (hit.entry.id === moving.id) {
+        showToast('El punto de destino debe estar en otro modelo');
+        return;
+    }
+
+    addMarker(hit.point, 0x22c55e);
+    alignment.pairs.push({ source: alignment.source, target: hit.point });
+
+    if (alignment.pairs.length === 1) {
+        translateByPair(moving, alignment.pairs[0]);
+        alignment.step = 'source';
+        showToast('Modelo desplazado. Elige un segundo par de puntos para ajustar el giro, o pulsa Esc');
+    } else {
+        rotateByPair(moving, alignment.pairs[0].target, alignment.pairs[1]);
+        stopPointAlignment(true);
+        showToast('Modelo alineado');
+    }
+
+    if (onChangeCallback) onChangeCallback(moving);
+}
+
+/**
+ * Move the model so the source point lands on the target point
+ */
+function translateByPair(entry, { source, target }) {
+    const delta = target.clone().sub(source);
+    const { x, y, z } = entry.placement;
+
+    // Scene axes -> placement axes (x east, y north, z up)
+    setModelPlacement(viewerRef, entry.id, { x: x + delta.x, y: y - delta.z, z: z + delta.y });
+}
+
+/**
+ * Turn the model about the vertical axis through `pivot` so the second
+ * source point lines up with the second target point (horizontal angle only)
+ */
+function rotateByPair(entry, pivot, { source, target }) {
+    // Both points of the second pair are picked after the translation
+    const from = Math.atan2(-(source.z - pivot.z), source.x - pivot.x);
+    const to = Math.atan2(-(target.z - pivot.z), target.x - pivot.x);
+    const angle = to - from;
+
+    // New translation: pivot + R(angle) * (t - pivot), in scene axes
+    const { x, y, z, rotation } = entry.placement;
+    const t = new THREE.Vector3(x, z, -y)
+        .sub(pivot)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), angle)
+        .add(pivot);
+
+    setModelPlacement(viewerRef, entry.id, {
+        x: t.x,
+        y: -t.z,
+        z: t.y,
+        rotation: normalizeAngle(rotation + THREE.MathUtils.radToDeg(angle)),
+    });
+}
+
+/**
+ * Raycast the registered models under the pointer
+ * @returns {{ entry: Object, point: THREE.Vector3 }|null}
+ */
+function pickModelPoint(event) {
+    const { world } = viewerRef;
+    const canvas = world.renderer.three.domElement;
+    const rect = canvas.getBoundingClientRect();
+
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, world.camera.three);
+
+    const meshes = [];
+    for (const entry of getModels(viewerRef)) {
+        if (!entry.visible) continue;
+        entry.model.traverse((child) => {
+            if (child.isMesh && child.visible) meshes.push(child);
+        });
+    }
+
+    for (const hit of raycaster.intersectObjects(meshes, false)) {
+        const entry = getModelForObject(viewerRef, hit.object);
+        if (entry) return { entry, point: hit.point.clone() };
+    }
+    return null;
+}
+
+/**
+ * Small sphere at a picked point, sized to the scene
+ */
+function addMarker(point, color) {
+    const box = new THREE.Box3();
+    for (const entry of getModels(viewerRef)) box.union(entry.boundingBox);
+    const radius = Math.max(box.getSize(new THREE.Vector3()).length() * 0.004, 0.05);
+
+    const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(radius, 16, 12),
+        new THREE.MeshBasicMaterial({ color, depthTest: false })
+    );
+    marker.renderOrder = 999;
+    marker.position.copy(point);
+    viewerRef.world.scene.three.add(marker);
+    alignment.markers.push(marker);
+    requestRender(viewerRef);
+}
+
+function normalizeAngle(degrees) {
+    const a = ((degrees + 180) % 360 + 360) % 360 - 180;
+    return Math.abs(a) < 1e-9 ? 0 : a;
+}
+
+// ============================================
+// Save / Load
+// ============================================
+
+/**
+ * Placements of all models as a JSON-serializable object
+ * @param {Object} viewer - Viewer instance
+ * @returns {Object} { type, version, models: [{ name, url, placement }] }
+ */
+export function exportPlacements(viewer) {
+    return {
+        type: PLACEMENT_FILE_TYPE,
+        version: 1,
+        models: getModels(viewer).map(entry => ({
+            name: entry.name,
+            url: entry.url,
+            placement: { ...entry.placement },
+        })),
+    };
+}
+
+/**
+ * Apply saved placements, matching models by URL and then by name
+ * @param {Object} viewer - Viewer instance
+ * @param {Object|string} data - Object from exportPlacements, or its JSON text
+ * @returns {number} Number of models updated
+ */
+export function importPlacements(viewer, data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!json || !Array.isArray(json.models)) {
+        throw new Error('Archivo de alineación no válido');
+    }
+
+    const models = getModels(viewer);
+    let applied = 0;
+
+    for (const saved of json.models) {
+        const entry = (saved.url && models.find(m => m.url === saved.url))
+            || models.find(m => m.name === saved.name);
+        if (!entry || !saved.placement) continue;
+
+        setModelPlacement(viewer, entry.id, saved.placement);
+        applied++;
+    }
+
+    return applied;
+}
+
+/**
+ * Download the current placements as a .json file
+ * @param {Object} viewer - Viewer instance
+ */
+export function downloadPlacements(viewer) {
+    const json = JSON.stringify(exportPlacements(viewer), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'alineacion-modelos.json');
+}
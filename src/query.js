@@ -0,0 +1,459 @@
+/**
+ * Bitform 3D Viewer — Element Queries
+ *
+ * Finds IFC elements by class, storey, attributes and Pset / Qto values,
+ * e.g. "IfcDoor on Nivel 2 with FireRating EI60". A query is a group of
+ * conditions matched all (AND) or any (OR); groups can be nested:
+ *
+ *   { match: 'all', conditions: [
+ *       { field: 'class', value: 'IfcDoor' },
+ *       { field: 'storey', operator: 'contains', value: 'Nivel 2' },
+ *       { field: 'property', pset: 'Pset_DoorCommon', name: 'FireRating', value: 'EI60' },
+ *   ] }
+ *
+ * Named queries are saved in the browser (localStorage).
+ */
+
+import { getModels } from './viewer.js';
+import {
+    indexModelRelations, getIfcTypeName, getIfcClassHierarchy, getModelSchema,
+    getItemStorey, getItemPropertySets, getAttributeUnit, val,
+} from './ifc.js';
+import { isConvertibleUnit } from './units.js';
+import { readStored, writeStored } from './storage.js';
+
+// ============================================
+// State
+// ============================================
+export const QUERY_FIELDS = ['class', 'storey', 'attribute', 'property'];
+export const QUERY_OPERATORS = ['=', 'contains', '>', '<', 'exists'];
+
+// Cheap fields are checked first so AND / OR short-circuit before reading Psets
+const FIELD_COST = { class: 0, attribute: 1, storey: 2, property: 3 };
+
+const STORAGE_KEY = 'bitform-viewer:queries';
+let savedQueries = null;    // name -> query, read from localStorage on first use
+
+const globalIdIndex = new WeakMap();    // model -> Map<GlobalId, expressID>
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Validate a query and fill in the defaults
+ * @param {Object} query - { match, conditions } or a single condition
+ * @returns {Object} Normalized query
+ */
+export function normalizeQuery(query) {
+    if (!query || typeof query !== 'object') throw new Error('Consulta no válida');
+
+    // A bare condition is a group of one
+    if (!Array.isArray(query.conditions)) query = { match: 'all', conditions: [query] };
+
+    const conditions = query.conditions.map((condition) => {
+        if (Array.isArray(condition?.conditions)) return normalizeQuery(condition);
+
+        const field = String(condition?.field || '').toLowerCase();
+        if (!QUERY_FIELDS.includes(field)) throw new Error(`Campo de consulta no válido: ${condition?.field}`);
+
+        const operator = String(condition.operator || '=').toLowerCase();
+        if (!QUERY_OPERATORS.includes(operator)) throw new Error(`Operador no válido: ${condition.operator}`);
+
+        if ((field === 'attribute' || field === 'property') && !condition.name) {
+            throw new Error(`Falta el nombre ${field === 'attribute' ? 'del atributo' : 'de la propiedad'}`);
+        }
+
+        return {
+            field,
+            operator,
+            value: condition.value ?? '',
+            name: condition.name ? String(condition.name) : undefined,
+            pset: condition.pset ? String(condition.pset) : undefined,
+        };
+    });
+
+    return { match: query.match === 'any' ? 'any' : 'all', conditions };
+}
+
+/**
+ * Run a query over the loaded IFC models
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} query - See normalizeQuery
+ * @param {Object} [options]
+ * @param {string[]} [options.models] - Model ids to search (all when omitted)
+ * @returns {Promise<Object[]>} { modelId, expressID, globalId, type, name, storey }
+ */
+export async function queryElements(viewer, query, { models = null } = {}) {
+    const normalized = sortByCost(normalizeQuery(query));
+    const results = [];
+
+    await forEachElement(viewer, models, (element) => {
+        if (!matchGroup(normalized, element)) return;
+        results.push({
+            modelId: element.modelId,
+            expressID: element.expressID,
+            globalId: val(element.entity.GlobalId) ?? null,
+            type: element.type,
+            name: val(element.entity.Name) ?? null,
+            storey: element.storey?.name ?? null,
+        });
+    });
+
+    console.log(`[Query] ${results.length} elementos`);
+    return results;
+}
+
+/**
+ * Value of one field for every IFC element, e.g. to colour by it. Lengths,
+ * areas, volumes and angles are returned in SI units, so models in
+ * millimetres and in feet can be compared.
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} spec - { field: 'class'|'storey'|'attribute'|'property', name?, pset? }
+ * @param {Object} [options]
+ * @param {Object} [options.unit] - Receives the { unit, unitType, scale } shared by
+ *        the numeric values, for formatMeasure (units.js); left empty when they differ
+ * @returns {Promise<Map<string, Map<number, *>>>} Model id -> expressID -> value
+ *          (null when the element has none)
+ */
+export async function getElementValues(viewer, spec, { unit = null } = {}) {
+    const condition = normalizeQuery({ ...spec, operator: 'exists' }).conditions[0];
+    const values = new Map();
+    const units = new Map();        // Unit key -> unit of the values as returned
+
+    await forEachElement(viewer, null, (element) => {
+        if (!values.has(element.modelId)) values.set(element.modelId, new Map());
+        let [value = null] = readField(condition, element);
+
+        if (typeof value === 'number') {
+            const valueUnit = readFieldUnit(condition, element);
+            if (isConvertibleUnit(valueUnit)) {
+                value *= valueUnit.scale;
+                units.set(valueUnit.unitType, { unit: null, unitType: valueUnit.unitType, scale: 1 });
+            } else {
+                units.set(valueUnit?.unit || '', { unit: valueUnit?.unit || null, unitType: null, scale: null });
+            }
+        }
+        values.get(element.modelId).set(element.expressID, value === '' ? null : value);
+    });
+
+    if (unit && units.size === 1) Object.assign(unit, [...units.values()][0]);
+    return values;
+}
+
+/**
+ * IFC elements with geometry by GlobalId, e.g. rows of the host page
+ * @param {Object} viewer - Viewer instance
+ * @param {Iterable<string>} globalIds
+ * @param {Object} [options]
+ * @param {string[]} [options.models] - Model ids to search (all when omitted)
+ * @param {string[]} [options.notFound] - Receives the GlobalIds no model has
+ * @returns {Map<string, Set<number>>} Model id -> expressIDs (GlobalIds not found are left out)
+ */
+export function findElementsByGlobalId(viewer, globalIds, { models = null, notFound = null } = {}) {
+    const wanted = [...new Set([...globalIds].map(String))];
+    const found = new Set();
+    const items = new Map();
+
+    for (const { id: modelId, model } of getModels(viewer)) {
+        if (models && !models.includes(modelId)) continue;
+        const index = getGlobalIdIndex(model);
+        if (!index) continue;
+
+        for (const globalId of wanted) {
+            const expressID = index.get(globalId);
+            if (expressID === undefined) continue;
+            if (!items.has(modelId)) items.set(modelId, new Set());
+            items.get(modelId).add(expressID);
+            found.add(globalId);
+        }
+    }
+    if (notFound) notFound.push(...wanted.filter(globalId => !found.has(globalId)));
+    return items;
+}
+
+/**
+ * Group query results by model, as the selection / visibility APIs expect
+ * @param {Object[]} results - From queryElements
+ * @returns {Map<string, Set<number>>} Model id -> expressIDs
+ */
+export function resultsToItems(results) {
+    const items = new Map();
+    for (const { modelId, expressID } of results) {
+        if (!items.has(modelId)) items.set(modelId, new Set());
+        items.get(modelId).add(expressID);
+    }
+    return items;
+}
+
+// ============================================
+// Saved queries
+// ============================================
+
+/**
+ * Named queries saved in this browser
+ * @returns {{ name: string, query: Object }[]} Sorted by name
+ */
+export function getSavedQueries() {
+    return [...loadSavedQueries()]
+        .map(([name, query]) => ({ name, query }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null} The saved query
+ */
+export function getSavedQuery(name) {
+    return loadSavedQueries().get(name) || null;
+}
+
+/**
+ * Save (or replace) a named query
+ * @param {string} name
+ * @param {Object} query
+ */
+export function saveQuery(name, query) {
+    const key = String(name || '').trim();
+    if (!key) throw new Error('El filtro necesita un nombre');
+
+    loadSavedQueries().set(key, normalizeQuery(query));
+    storeSavedQueries();
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether it existed
+ */
+export function deleteSavedQuery(name) {
+    const deleted = loadSavedQueries().delete(name);
+    if (deleted) storeSavedQueries();
+    return deleted;
+}
+
+function loadSavedQueries() {
+    if (!savedQueries) {
+        const stored = readStored(STORAGE_KEY, {});
+        savedQueries = new Map(stored && typeof stored === 'object' ? Object.entries(stored) : []);
+    }
+    return savedQueries;
+}
+
+function storeSavedQueries() {
+    writeStored(STORAGE_KEY, Object.fromEntries(savedQueries));
+}
+
+// ============================================
+// Matching
+// ============================================
+
+/**
+ * Visit the IFC elements with geometry (the ones that can be shown and picked)
+ */
+async function forEachElement(viewer, models, visit) {
+    for (const { id: modelId, model } of getModels(viewer)) {
+        if (models && !models.includes(modelId)) continue;
+        const properties = model.getLocalProperties?.();
+        if (!properties || !Array.isArray(model.items)) continue;
+
+        await indexModelRelations(viewer, model);
+        const schema = getModelSchema(model);
+
+        const ids = new Set();
+        for (const fragment of model.items) {
+            for (const id of fragment.ids) ids.add(id);
+        }
+
+        for (const expressID of ids) {
+            const entity = properties[expressID];
+            if (entity) visit(createElementContext(viewer, model, modelId, schema, expressID, entity));
+        }
+    }
+}
+
+/**
+ * GlobalId -> expressID of the elements with geometry, built on first use
+ */
+function getGlobalIdIndex(model) {
+    if (globalIdIndex.has(model)) return globalIdIndex.get(model);
+
+    const properties = model.getLocalProperties?.();
+    if (!properties || !Array.isArray(model.items)) return null;
+
+    const index = new Map();
+    for (const fragment of model.items) {
+        for (const id of fragment.ids) {
+            const globalId = val(properties[id]?.GlobalId);
+            if (globalId && !index.has(globalId)) index.set(String(globalId), id);
+        }
+    }
+    globalIdIndex.set(model, index);
+    return index;
+}
+
+/**
+ * Lazy view of an element: storey and Psets are read only if a condition asks
+ */
+function createElementContext(viewer, model, modelId, schema, expressID, entity) {
+    let storey;
+    let propertySets;
+    let classes;
+    const type = getIfcTypeName(entity.type);
+
+    return {
+        modelId,
+        expressID,
+        entity,
+        type,
+        get classes() {
+            if (!classes) classes = [type, ...getIfcClassHierarchy(entity.type, schema)];
+            return classes;
+        },
+        get storey() {
+            if (storey === undefined) storey = getItemStorey(viewer, model, expressID);
+            return storey;
+        },
+        get propertySets() {
+            if (!propertySets) propertySets = getItemPropertySets(viewer, model, expressID);
+            return propertySets;
+        },
+        model,
+    };
+}
+
+function matchGroup(group, element) {
+    const test = condition => condition.conditions
+        ? matchGroup(condition, element)
+        : matchCondition(condition, element);
+    return group.match === 'any' ? group.conditions.some(test) : group.conditions.every(test);
+}
+
+function matchCondition(condition, element) {
+    const { field, operator, value } = condition;
+
+    // '=' matches subclasses too: IfcWall finds IfcWallStandardCase
+    if (field === 'class' && operator === '=') return element.classes.some(cls => compare(cls, '=', value));
+    // Storeys compare by elevation with > and <
+    if (field === 'storey' && (operator === '>' || operator === '<')) {
+        return compare(element.storey?.elevation, operator, value);
+    }
+
+    const values = readField(condition, element);
+    if (values.length === 0) return compare(undefined, operator, value);
+    return values.some(actual => compare(actual, operator, value));
+}
+
+/**
+ * Values of a field for an element: several when a property is in more than one Pset
+ */
+function readField({ field, name, pset }, element) {
+    switch (field) {
+        case 'class':
+            return [element.type];
+
+        case 'storey':
+            return element.storey ? [element.storey.name] : [];
+
+        case 'attribute': {
+            const key = Object.keys(element.entity).find(attr => attr.toLowerCase() === name.toLowerCase());
+            const value = key ? val(element.entity[key]) : undefined;
+            return value === undefined || value === null ? [] : [value];
+        }
+
+        case 'property': {
+            const values = [];
+            for (const set of element.propertySets) {
+                if (pset && normalizeText(set.name) !== normalizeText(pset)) continue;
+                for (const property of set.values) {
+                    if (normalizeText(property.name) === normalizeText(name) && property.value !== null) {
+                        values.push(property.value);
+                    }
+                }
+            }
+            return values;
+        }
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Unit of the value readField gives first (null when it has none)
+ */
+function readFieldUnit({ field, name, pset }, element) {
+    if (field === 'attribute') {
+        const key = Object.keys(element.entity).find(attr => attr.toLowerCase() === name.toLowerCase());
+        return key ? getAttributeUnit(element.model, key, element.entity[key]) : null;
+    }
+    if (field === 'property') {
+        for (const set of element.propertySets) {
+            if (pset && normalizeText(set.name) !== normalizeText(pset)) continue;
+            const property = set.values.find(p => normalizeText(p.name) === normalizeText(name) && p.value !== null);
+            if (property) return property;
+        }
+    }
+    return null;
+}
+
+/**
+ * Compare a property value with the one typed in a condition: numbers as
+ * numbers, booleans as Sí / No / true / false, text ignoring case and accents
+ */
+function compare(actual, operator, expected) {
+    const present = actual !== undefined && actual !== null && actual !== '';
+    if (operator === 'exists') return present;
+    if (!present) return false;
+
+    const a = toNumber(actual);
+    const b = toNumber(expected);
+
+    switch (operator) {
+        case '=':
+            if (typeof actual === 'boolean') return parseBoolean(expected) === actual;
+            if (a !== null && b !== null) return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+            return normalizeText(actual) === normalizeText(expected);
+        case 'contains':
+            return normalizeText(actual).includes(normalizeText(expected));
+        case '>':
+            return a !== null && b !== null && a > b;
+        case '<':
+            return a !== null && b !== null && a < b;
+        default:
+            return false;
+    }
+}
+
+function sortByCost(group) {
+    const cost = condition => condition.conditions
+        ? Math.max(...condition.conditions.map(cost), 0)
+        : FIELD_COST[condition.field];
+    return {
+        match: group.match,
+        conditions: group.conditions
+            .map(condition => condition.conditions ? sortByCost(condition) : condition)
+            .sort((a, b) => cost(a) - cost(b)),
+    };
+}
+
+// ============================================
+// Utility
+// ============================================
+function normalizeText(value) {
+    return String(value).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    // Decimal comma as typed in Spanish
+    const n = Number(value.trim().replace(',', '.'));
+    return Number.isFinite(n) ? n : null;
+}
+
+function parseBoolean(value) {
+    const text = normalizeText(value);
+    if (['true', 'si', 'yes', 't', '1', 'verdadero'].includes(text)) return true;
+    if (['false', 'no', 'f', '0', 'falso'].includes(text)) return false;
+    return null;
+}
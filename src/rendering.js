@@ -0,0 +1,138 @@
+/**
+ * Bitform 3D Viewer — Render Loop
+ *
+ * The @thatopen/components loop renders every animation frame. In 'demand'
+ * mode the renderer only draws a frame after something changed (camera
+ * movement, selection, clipping, resize, model load...) and the whole loop
+ * is paused while the viewer is not visible (hidden tab, iframe scrolled
+ * out of view). Modules that change what is on screen call requestRender().
+ */
+
+// ============================================
+// Constants
+// ============================================
+export const RENDER_MODES = ['demand', 'continuous'];
+
+/**
+ * Normalize a render mode from a query param or message
+ * @param {string} value - 'demand' | 'continuous' (case-insensitive)
+ * @returns {string|null} A value of RENDER_MODES or null
+ */
+export function normalizeRenderMode(value) {
+    const mode = String(value || '').trim().toLowerCase();
+    return RENDER_MODES.includes(mode) ? mode : null;
+}
+
+// ============================================
+// Setup
+// ============================================
+
+/**
+ * Take over the renderer's frame scheduling
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {string} [mode='demand'] - Initial render mode
+ */
+export function initRenderLoop(viewer, mode = 'demand') {
+    const { components, world, container } = viewer;
+
+    const loop = {
+        mode: normalizeRenderMode(mode) || 'demand',
+        pending: true,       // Draw the first frame
+        visible: true,       // Container on screen and page not hidden
+        onScreen: true,      // Last IntersectionObserver state
+        observer: null,
+    };
+    viewer.renderLoop = loop;
+
+    // The camera updates right before the renderer in each world update:
+    // decide there whether this frame is drawn
+    world.camera.onAfterUpdate.add(() => {
+        world.renderer.enabled = loop.mode === 'continuous' || loop.pending;
+        loop.pending = false;
+    });
+
+    // camera-controls fires 'update' on every change, damping included
+    world.camera.controls.addEventListener('update', () => requestRender(viewer));
+    world.renderer.onResize.add(() => requestRender(viewer));
+
+    // Pause everything while the viewer cannot be seen
+    document.addEventListener('visibilitychange', () => updateVisibility(viewer));
+    if (typeof IntersectionObserver !== 'undefined') {
+        loop.observer = new IntersectionObserver((entries) => {
+            loop.onScreen = entries[entries.length - 1].isIntersecting;
+            updateVisibility(viewer);
+        });
+        loop.observer.observe(container);
+    }
+
+    console.log(`[Render] Mode: ${loop.mode}`);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Ask for a frame to be drawn on the next animation frame.
+ * Cheap: several calls in the same frame draw once.
+ * @param {Object} viewer - Viewer instance
+ */
+export function requestRender(viewer) {
+    if (viewer?.renderLoop) viewer.renderLoop.pending = true;
+}
+
+/**
+ * Switch between continuous and on-demand rendering
+ * @param {Object} viewer - Viewer instance
+ * @param {string} mode - 'demand' | 'continuous'
+ * @returns {string} The mode now in use
+ */
+export function setRenderMode(viewer, mode) {
+    const loop = viewer?.renderLoop;
+    const next = normalizeRenderMode(mode);
+    if (!loop || !next) return loop?.mode || null;
+
+    loop.mode = next;
+    requestRender(viewer);
+    console.log(`[Render] Mode: ${next}`);
+    return next;
+}
+
+export function getRenderMode(viewer) {
+    return viewer?.renderLoop?.mode || null;
+}
+
+// ============================================
+// Visibility
+// ============================================
+
+/**
+ * Stop / restart the components loop when the viewer leaves / enters the screen
+ */
+function updateVisibility(viewer) {
+    const loop = viewer.renderLoop;
+    const visible = !document.hidden && loop.onScreen;
+    if (visible === loop.visible) return;
+
+    loop.visible = visible;
+    const { components } = viewer;
+
+    if (visible) {
+        // Components.update schedules itself while enabled
+        components.enabled = true;
+        requestRender(viewer);
+        components.update();
+    } else {
+        components.enabled = false;
+    }
+
+    console.log(`[Render] ${visible ? 'Resumed' : 'Paused (viewer not visible)'}`);
+}
+
+/**
+ * Release the observers
+ * @param {Object} viewer - Viewer instance
+ */
+export function disposeRenderLoop(viewer) {
+    viewer?.renderLoop?.observer?.disconnect();
+}
@@ -0,0 +1,203 @@
+/**
+ * Bitform 3D Viewer — Screenshots
+ *
+ * Renders the current view at an arbitrary resolution (e.g. 4K) for
+ * reports and thumbnails. Large images are rendered in tiles with
+ * camera view offsets, so the size is not limited by the GPU. The capture
+ * keeps the clipping planes and selection highlight; HTML overlays
+ * (view cube, info, hints) are never part of the WebGL canvas.
+ */
+
+import * as THREE from 'three';
+
+// ============================================
+// Constants
+// ============================================
+
+/** Named sizes accepted by the `?capture=` param and postMessage */
+export const CAPTURE_PRESETS = {
+    '4k': [3840, 2160],
+    '1080p': [1920, 1080],
+    '720p': [1280, 720],
+    thumb: [512, 512],
+};
+
+const MAX_SIZE = 8192;   // Per side: keeps the 2D canvas within browser limits
+const TILE_SIZE = 2048;  // Per rendered tile
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Parse a capture size: '4k', '1920x1080' or { width, height }
+ * @param {string|Object} value - Size spec
+ * @returns {{ width: number, height: number }|null} null for invalid specs
+ */
+export function parseCaptureSize(value) {
+    if (!value) return null;
+
+    if (typeof value === 'object') {
+        const width = parseInt(value.width, 10);
+        const height = parseInt(value.height, 10);
+        return width > 0 && height > 0 ? clampSize(width, height) : null;
+    }
+
+    const spec = String(value).trim().toLowerCase();
+    if (CAPTURE_PRESETS[spec]) return clampSize(...CAPTURE_PRESETS[spec]);
+
+    const match = spec.match(/^(\d+)\s*[x×]\s*(\d+)$/);
+    return match ? clampSize(parseInt(match[1], 10), parseInt(match[2], 10)) : null;
+}
+
+/**
+ * Render the current view to an image
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Object} [options]
+ * @param {number} [options.width] - Output width (defaults to the viewport size)
+ * @param {number} [options.height] - Output height
+ * @param {number} [options.longSide] - Instead of width/height: longest side, keeping the viewport aspect
+ * @param {boolean} [options.transparent=false] - Transparent background
+ * @param {boolean} [options.grid=false] - Include the grid
+ * @param {string} [options.format='png'] - 'png' | 'jpeg' (JPEG is never transparent)
+ * @param {number} [options.quality=0.92] - JPEG quality
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+ */
+export async function captureScreenshot(viewer, options = {}) {
+    const canvas = renderToCanvas(viewer, options);
+    const type = options.format === 'jpeg' || options.format === 'jpg' ? 'image/jpeg' : 'image/png';
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (result) => (result ? resolve(result) : reject(new Error('No se pudo generar la imagen'))),
+            type,
+            options.quality ?? 0.92
+        );
+    });
+
+    return { blob, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Read a Blob as a data URL (for postMessage hosts that prefer strings)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Render the view tile by tile into a 2D canvas.
+ * Runs synchronously, so the viewer's own render loop never sees the
+ * temporary renderer size, camera or background.
+ */
+function renderToCanvas(viewer, options) {
+    const { world, grid } = viewer;
+    const renderer = world.renderer.three;
+    const scene = world.scene.three;
+    const camera = world.camera.three;
+
+    const viewport = renderer.getSize(new THREE.Vector2());
+    let requested = [options.width, options.height];
+    if (!options.width || !options.height) {
+        const scale = options.longSide
+            ? options.longSide / Math.max(viewport.x, viewport.y)
+            : renderer.getPixelRatio();
+        requested = [viewport.x * scale, viewport.y * scale];
+    }
+    const { width, height } = clampSize(...requested);
+    const transparent = !!options.transparent && options.format !== 'jpeg' && options.format !== 'jpg';
+
+    // Save state
+    const saved = {
+        pixelRatio: renderer.getPixelRatio(),
+        clearColor: renderer.getClearColor(new THREE.Color()),
+        clearAlpha: renderer.getClearAlpha(),
+        background: scene.background,
+        gridVisible: grid?.visible,
+        aspect: camera.aspect,
+        ortho: camera.isOrthographicCamera
+            ? { left: camera.left, right: camera.right, top: camera.top, bottom: camera.bottom }
+            : null,
+    };
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+
+    try {
+        if (transparent) {
+            scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+        if (grid && !options.grid) grid.visible = false;
+
+        fitCameraToAspect(camera, width / height);
+        renderer.setPixelRatio(1);
+
+        for (let y = 0; y < height; y += TILE_SIZE) {
+            for (let x = 0; x < width; x += TILE_SIZE) {
+                const tileWidth = Math.min(TILE_SIZE, width - x);
+                const tileHeight = Math.min(TILE_SIZE, height - y);
+
+                renderer.setSize(tileWidth, tileHeight, false);
+                camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                renderer.render(scene, camera);
+
+                // Same task as the render: the drawing buffer is still intact
+                ctx.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+            }
+        }
+    } finally {
+        // Restore state
+        camera.clearViewOffset();
+        if (saved.ortho) Object.assign(camera, saved.ortho);
+        else camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+
+        renderer.setPixelRatio(saved.pixelRatio);
+        renderer.setSize(viewport.x, viewport.y, false);
+        renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+        scene.background = saved.background;
+        if (grid) grid.visible = saved.gridVisible;
+
+        renderer.render(scene, camera);
+    }
+
+    console.log(`[Screenshot] Captured ${width}×${height}`);
+    return output;
+}
+
+/**
+ * Match the camera frustum to the output aspect, keeping the vertical extent
+ */
+function fitCameraToAspect(camera, aspect) {
+    if (camera.isOrthographicCamera) {
+        const centerX = (camera.left + camera.right) / 2;
+        const halfHeight = (camera.top - camera.bottom) / 2;
+        camera.left = centerX - halfHeight * aspect;
+        camera.right = centerX + halfHeight * aspect;
+    } else {
+        camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+}
+
+function clampSize(width, height) {
+    const scale = Math.min(1, MAX_SIZE / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+    };
+}
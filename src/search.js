@@ -0,0 +1,492 @@
+/**
+ * Bitform 3D Viewer — Search Panel
+ *
+ * Builds element queries (class, storey, attribute and Pset values joined
+ * with AND / OR), lists the matches and acts on them: select, isolate,
+ * colour or export to CSV. Queries can be saved as named filters.
+ */
+
+import { fitItems } from './viewer.js';
+import { queryElements, resultsToItems, getSavedQueries, getSavedQuery, saveQuery, deleteSavedQuery } from './query.js';
+import { selectItems } from './selection.js';
+import { isolateItems } from './visibility.js';
+import { colorItems } from './colors.js';
+import { colorByProperty, clearThematic } from './thematic.js';
+import { getPropertyTable, tableToBlob } from './table.js';
+import { showToast, downloadBlob, escapeHtml } from './ui.js';
+
+// ============================================
+// State
+// ============================================
+const RESULT_LIMIT = 200;           // Rows listed; actions apply to every match
+// Columns of the results CSV, as table.js keys
+const EXPORT_COLUMNS = ['GlobalId', 'Class', 'Name', 'Storey', 'Model', 'ExpressID'];
+
+const FIELD_OPTIONS = [
+    { value: 'class', label: 'Clase IFC', placeholder: 'IfcDoor' },
+    { value: 'storey', label: 'Planta', placeholder: 'Nivel 2' },
+    { value: 'attribute', label: 'Atributo', placeholder: 'Valor', name: 'Name, Tag, ObjectType...' },
+    { value: 'property', label: 'Propiedad', placeholder: 'EI60', name: 'Pset_DoorCommon.FireRating' },
+];
+const OPERATOR_OPTIONS = [
+    { value: '=', label: '=' },
+    { value: 'contains', label: 'contiene' },
+    { value: '>', label: '>' },
+    { value: '<', label: '<' },
+    { value: 'exists', label: 'existe' },
+];
+
+let viewerRef = null;
+let onVisibilityCallback = null;
+let match = 'all';
+let conditions = [newCondition()];  // Editor rows: { field, operator, name, value }
+let results = null;                 // Last query results
+let running = false;
+let resultColor = '#ff8a00';
+let theme = { field: 'class', name: '' };   // "Colorear por propiedad" form
+let coloring = false;
+
+/**
+ * Initialize the search panel
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Function} onVisibilityChange - Called after results are isolated
+ */
+export function initSearchPanel(viewer, onVisibilityChange) {
+    viewerRef = viewer;
+    onVisibilityCallback = onVisibilityChange;
+
+    const content = document.getElementById('search-content');
+    if (!content) return;
+
+    // Event delegation: the panel is re-rendered on structural changes only,
+    // typing just updates the state so inputs keep the focus
+    content.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (btn) handleAction(btn.dataset.action, btn);
+    });
+
+    content.addEventListener('input', (e) => {
+        const { role } = e.target.dataset;
+        const row = e.target.closest('[data-condition]');
+        if (row && (role === 'name' || role === 'value')) {
+            conditions[Number(row.dataset.condition)][role] = e.target.value;
+        } else if (role === 'color') {
+            resultColor = e.target.value;
+        } else if (role === 'theme-name') {
+            theme.name = e.target.value;
+        }
+    });
+
+    content.addEventListener('change', (e) => {
+        const { role } = e.target.dataset;
+        const row = e.target.closest('[data-condition]');
+        if (role === 'match') {
+            match = e.target.value;
+        } else if (role === 'theme-field') {
+            theme.field = e.target.value;
+            renderSearchPanel();
+        } else if (row && (role === 'field' || role === 'operator')) {
+            conditions[Number(row.dataset.condition)][role] = e.target.value;
+            renderSearchPanel();
+        }
+    });
+
+    content.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (e.target.closest('[data-condition]')) runSearch();
+        else if (e.target.dataset.role === 'theme-name') runColorBy();
+    });
+
+    renderSearchPanel();
+    console.log('[Search] Initialized');
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Act on query results: 'select', 'isolate' or 'color'
+ * @param {string} action
+ * @param {Object[]} matches - From queryElements
+ * @param {Object} [options]
+ * @param {string} [options.color] - CSS colour for 'color'
+ */
+export function applyResultsAction(action, matches, { color } = {}) {
+    const items = resultsToItems(matches);
+
+    switch (action) {
+        case 'select':
+            selectItems(viewerRef, items);
+            if (matches.length > 0) fitItems(viewerRef, items);
+            break;
+        case 'isolate':
+            isolateItems(viewerRef, items);
+            if (onVisibilityCallback) onVisibilityCallback();
+            break;
+        case 'color':
+            colorItems(viewerRef, items, color || resultColor);
+            break;
+        default:
+            throw new Error(`Acción no válida: ${action}`);
+    }
+}
+
+// ============================================
+// Actions
+// ============================================
+
+function handleAction(action, btn) {
+    switch (action) {
+        case 'add-condition':
+            conditions.push(newCondition());
+            break;
+
+        case 'remove-condition':
+            conditions.splice(Number(btn.closest('[data-condition]').dataset.condition), 1);
+            if (conditions.length === 0) conditions.push(newCondition());
+            break;
+
+        case 'run':
+            runSearch();
+            return;
+
+        case 'save':
+            saveCurrentQuery();
+            break;
+
+        case 'load': {
+            const query = getSavedQuery(btn.dataset.name);
+            if (!query) return;
+            // Nested groups (saved through the API) do not fit the editor:
+            // run them as stored rather than flattened into one group
+            if (query.conditions.some(condition => condition.conditions)) {
+                showToast(`"${btn.dataset.name}" tiene grupos anidados: se ejecuta sin cargarlo en el editor`);
+                runSearch(query);
+                return;
+            }
+            loadQuery(query);
+            runSearch();
+            return;
+        }
+
+        case 'delete':
+            deleteSavedQuery(btn.dataset.name);
+            break;
+
+        case 'select':
+        case 'isolate':
+        case 'color':
+            if (!results?.length) return;
+            applyResultsAction(action, results);
+            return;
+
+        case 'reset-colors':
+            clearThematic(viewerRef);
+            return;
+
+        case 'color-by':
+            runColorBy();
+            return;
+
+        case 'export':
+            exportResults();
+            return;
+
+        case 'result': {
+            const result = results?.[Number(btn.dataset.index)];
+            if (!result) return;
+            const items = resultsToItems([result]);
+            selectItems(viewerRef, items);
+            fitItems(viewerRef, items);
+            return;
+        }
+
+        default:
+            return;
+    }
+
+    renderSearchPanel();
+}
+
+async function runSearch(query = buildQuery()) {
+    if (running) return;
+
+    if (query.conditions.length === 0) {
+        showToast('Completa al menos una condición');
+        return;
+    }
+
+    running = true;
+    renderSearchPanel();
+    try {
+        results = await queryElements(viewerRef, query);
+        showToast(`${results.length.toLocaleString()} elemento${results.length === 1 ? '' : 's'} encontrado${results.length === 1 ? '' : 's'}`);
+    } catch (e) {
+        results = null;
+        showToast('Error: ' + e.message);
+    } finally {
+        running = false;
+        renderSearchPanel();
+    }
+}
+
+function saveCurrentQuery() {
+    const input = document.getElementById('search-save-name');
+    const name = input?.value.trim();
+    const query = buildQuery();
+
+    if (!name) {
+        showToast('Escribe un nombre para el filtro');
+        return;
+    }
+    if (query.conditions.length === 0) {
+        showToast('Completa al menos una condición');
+        return;
+    }
+
+    saveQuery(name, query);
+    showToast(`Filtro "${name}" guardado`);
+}
+
+async function runColorBy() {
+    if (coloring) return;
+
+    const { field, name } = theme;
+    const spec = { field };
+    if (field === 'attribute') spec.name = name.trim();
+    if (field === 'property') Object.assign(spec, parsePropertyPath(name));
+    if ((field === 'attribute' || field === 'property') && !spec.name) {
+        showToast('Escribe el nombre del campo');
+        return;
+    }
+
+    coloring = true;
+    renderSearchPanel();
+    try {
+        const legend = await colorByProperty(viewerRef, spec);
+        showToast(`${legend.entries.length.toLocaleString()} valor${legend.entries.length === 1 ? '' : 'es'} en la leyenda`);
+    } catch (e) {
+        showToast('Error: ' + e.message);
+    } finally {
+        coloring = false;
+        renderSearchPanel();
+    }
+}
+
+async function exportResults() {
+    if (!results?.length) return;
+
+    try {
+        const table = await getPropertyTable(viewerRef, resultsToItems(results), { columns: EXPORT_COLUMNS });
+        downloadBlob(tableToBlob(table, 'csv'), 'busqueda.csv');
+    } catch (e) {
+        showToast('Error: ' + e.message);
+    }
+}
+
+// ============================================
+// Editor <-> query
+// ============================================
+
+function newCondition() {
+    return { field: 'class', operator: '=', name: '', value: '' };
+}
+
+/**
+ * Query from the editor rows, skipping the incomplete ones.
+ * Properties are written "Pset.Propiedad", or just "Propiedad" for any Pset.
+ */
+function buildQuery() {
+    const complete = conditions.filter(({ field, operator, name, value }) => {
+        if ((field === 'attribute' || field === 'property') && !name.trim()) return false;
+        return operator === 'exists' || value.trim() !== '';
+    });
+
+    return {
+        match,
+        conditions: complete.map(({ field, operator, name, value }) => {
+            const condition = { field, operator, value: value.trim() };
+            if (field === 'attribute') condition.name = name.trim();
+            if (field === 'property') Object.assign(condition, parsePropertyPath(name));
+            return condition;
+        }),
+    };
+}
+
+/**
+ * "Pset_DoorCommon.FireRating" -> { pset, name }; without a dot any Pset matches
+ */
+function parsePropertyPath(path) {
+    const dot = path.indexOf('.');
+    if (dot > 0) return { pset: path.slice(0, dot).trim(), name: path.slice(dot + 1).trim() };
+    return { name: path.trim() };
+}
+
+/**
+ * Editor rows from a saved query without nested groups
+ */
+function loadQuery(query) {
+    match = query.match === 'any' ? 'any' : 'all';
+    conditions = query.conditions.map(condition => ({
+        field: condition.field,
+        operator: condition.operator || '=',
+        name: condition.pset ? `${condition.pset}.${condition.name}` : condition.name || '',
+        value: String(condition.value ?? ''),
+    }));
+    if (conditions.length === 0) conditions.push(newCondition());
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Render the editor, saved filters and results
+ */
+function renderSearchPanel() {
+    const content = document.getElementById('search-content');
+    if (!content) return;
+
+    content.innerHTML = `
+        <div class="search-section">
+            <label class="search-match">
+                <span>Cumplir</span>
+                <select data-role="match">
+                    <option value="all" ${match === 'all' ? 'selected' : ''}>todas las condiciones (Y)</option>
+                    <option value="any" ${match === 'any' ? 'selected' : ''}>alguna condición (O)</option>
+                </select>
+            </label>
+            ${conditions.map(renderCondition).join('')}
+            <div class="search-buttons">
+                <button class="clip-reset-btn" data-action="add-condition">
+                    <i class="fas fa-plus"></i> Condición
+                </button>
+                <button class="clip-reset-btn search-run" data-action="run" ${running ? 'disabled' : ''}>
+                    <i class="fas ${running ? 'fa-spinner fa-spin' : 'fa-search'}"></i> ${running ? 'Buscando...' : 'Buscar'}
+                </button>
+            </div>
+        </div>
+        ${renderColorBy()}
+        ${renderSavedQueries()}
+        ${renderResults()}
+    `;
+}
+
+function renderCondition(condition, index) {
+    const field = FIELD_OPTIONS.find(option => option.value === condition.field) || FIELD_OPTIONS[0];
+
+    return `
+        <div class="search-condition" data-condition="${index}">
+            <div class="search-condition-row">
+                <select data-role="field">
+                    ${FIELD_OPTIONS.map(option => `<option value="${option.value}" ${option.value === field.value ? 'selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+                <select data-role="operator">
+                    ${OPERATOR_OPTIONS.map(option => `<option value="${option.value}" ${option.value === condition.operator ? 'selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+                <button class="search-remove" data-action="remove-condition" title="Quitar condición">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${field.name ? `<input type="text" data-role="name" placeholder="${escapeHtml(field.name)}" value="${escapeHtml(condition.name)}">` : ''}
+            ${condition.operator === 'exists' ? '' : `<input type="text" data-role="value" placeholder="${escapeHtml(field.placeholder)}" value="${escapeHtml(condition.value)}">`}
+        </div>
+    `;
+}
+
+function renderColorBy() {
+    const field = FIELD_OPTIONS.find(option => option.value === theme.field) || FIELD_OPTIONS[0];
+
+    return `
+        <div class="search-section">
+            <div class="search-section-title">Colorear por propiedad</div>
+            <div class="search-condition-row">
+                <select data-role="theme-field">
+                    ${FIELD_OPTIONS.map(option => `<option value="${option.value}" ${option.value === field.value ? 'selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+                <button class="clip-reset-btn" data-action="color-by" ${coloring ? 'disabled' : ''} title="Un color por valor, con leyenda">
+                    <i class="fas ${coloring ? 'fa-spinner fa-spin' : 'fa-palette'}"></i> Colorear
+                </button>
+            </div>
+            ${field.name ? `<input type="text" data-role="theme-name" placeholder="${escapeHtml(field.name)}" value="${escapeHtml(theme.name)}">` : ''}
+        </div>
+    `;
+}
+
+function renderSavedQueries() {
+    const saved = getSavedQueries();
+
+    return `
+        <div class="search-section">
+            <div class="search-section-title">Filtros guardados</div>
+            ${saved.map(({ name }) => `
+                <div class="search-saved">
+                    <button class="search-saved-name" data-action="load" data-name="${escapeHtml(name)}" title="Cargar y buscar">
+                        <i class="fas fa-filter"></i> ${escapeHtml(name)}
+                    </button>
+                    <button class="search-remove" data-action="delete" data-name="${escapeHtml(name)}" title="Borrar filtro">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('')}
+            <div class="search-save">
+                <input type="text" id="search-save-name" placeholder="Nombre del filtro">
+                <button class="clip-reset-btn" data-action="save" title="Guardar las condiciones actuales">
+                    <i class="fas fa-save"></i> Guardar
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function renderResults() {
+    if (!results) return '';
+
+    if (results.length === 0) {
+        return `
+            <div class="search-section">
+                <div class="empty-panel">
+                    <i class="fas fa-search"></i>
+                    <p>Ningún elemento cumple las condiciones</p>
+                </div>
+            </div>
+        `;
+    }
+
+    const rows = results.slice(0, RESULT_LIMIT).map((result, index) => `
+        <button class="search-result" data-action="result" data-index="${index}" title="#${result.expressID}${result.globalId ? ' · ' + escapeHtml(result.globalId) : ''}">
+            <span class="search-result-name">${escapeHtml(result.name || result.type)}</span>
+            <span class="search-result-meta">${escapeHtml(result.type)}${result.storey ? ' · ' + escapeHtml(result.storey) : ''}</span>
+        </button>
+    `).join('');
+    const more = results.length - RESULT_LIMIT;
+
+    return `
+        <div class="search-section">
+            <div class="search-section-title">${results.length.toLocaleString()} elemento${results.length === 1 ? '' : 's'}</div>
+            <div class="search-buttons">
+                <button class="clip-reset-btn" data-action="select" title="Seleccionar y encuadrar">
+                    <i class="fas fa-mouse-pointer"></i> Seleccionar
+                </button>
+                <button class="clip-reset-btn" data-action="isolate" title="Ocultar el resto">
+                    <i class="fas fa-bullseye"></i> Aislar
+                </button>
+                <button class="clip-reset-btn" data-action="export" title="Descargar la lista en CSV">
+                    <i class="fas fa-file-csv"></i> CSV
+                </button>
+            </div>
+            <div class="search-buttons">
+                <input type="color" class="search-color" data-role="color" value="${resultColor}" title="Color">
+                <button class="clip-reset-btn" data-action="color">
+                    <i class="fas fa-palette"></i> Colorear
+                </button>
+                <button class="clip-reset-btn" data-action="reset-colors" title="Volver a los colores del modelo">
+                    <i class="fas fa-undo"></i> Quitar colores
+                </button>
+            </div>
+            <div class="search-results">${rows}</div>
+            ${more > 0 ? `<p class="search-more">… y ${more.toLocaleString()} más</p>` : ''}
+        </div>
+    `;
+}
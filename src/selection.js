@@ -3,28 +3,63 @@
  * 
  * Handles element picking via raycasting, visual highlighting,
  * and extracting IFC properties from fragment groups.
+ *
+ * A fragment is an instanced mesh shared by many IFC items: picks resolve
+ * the hit instance to its item (expressID) and only that item is tinted,
+ * in every fragment it is split across. The selection is a set: Ctrl/Shift
+ * click toggles elements and the box / lasso modes select by dragging.
  */
 
 import * as THREE from 'three';
 import * as OBC from '@thatopen/components';
+import { getModels, getModel, getModelForObject, sceneToWorld, isObjectShown } from './viewer.js';
+import { describeCoordinates, getGeoreference } from './georef.js';
+import { getActiveClipPlanes } from './clipper.js';
+import { isAligning } from './placement.js';
+import { requestRender } from './rendering.js';
+import { getItemStorey, getIfcTypeName, getIfcClassHierarchy, getModelSchema, getItemPropertySets, getItemMaterials, getAttributeUnit, val } from './ifc.js';
+import { formatLength, formatMeasure, formatNumber } from './units.js';
+import { escapeHtml } from './ui.js';
 
 // ============================================
 // State
 // ============================================
+const SELECTION_MODES = ['click', 'box', 'lasso'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 let raycaster = null;
 let mouse = new THREE.Vector2();
 let highlightMaterial = null;
-let selectedMesh = null;
-let originalMaterials = new Map();
+let highlightColor = null;
+// Selection set. IFC items are grouped by model; plain meshes (glTF, OBJ,
+// STL) are selected whole
+let selectedItems = new Map();     // model uuid -> { model, ids: Set<expressID> }
+let selectedMeshes = new Set();
+let originalMaterials = new Map(); // mesh -> material(s), meshes highlighted by material swap
 let onSelectCallback = null;
 
-// Debounce for hover
-let hoverTimeout = null;
+// Box / lasso selection
+let selectionMode = 'click';
+let region = null;                 // Drag in progress: { points: [x, y][], append }
+let regionOverlay = null;          // SVG polygon drawn over the canvas
+
+// Hover pre-highlight
+const HOVER_DELAY = 60;            // ms between hover picks
+let hoverEnabled = true;
+let hoverTimeout = null;           // Throttle timer: one pick per HOVER_DELAY
+let hoverEvent = null;             // Latest pointer event while the timer runs
+let hovered = null;                // { mesh, model, itemID, tinted, material } under the pointer
+let hoverColor = null;
+let hoverMaterial = null;
+let hoverTooltip = null;
+
+// Properties panel
+let collapsedSets = new Set();     // Names of the Psets / Qtos folded by the user
 
 /**
  * Initialize the selection system
  * @param {Object} viewer - Viewer instance from initViewer
- * @param {Function} onSelect - Callback when an element is selected
+ * @param {Function} onSelect - Callback with the properties of the selection (null when empty)
  */
 export function initSelection(viewer, onSelect) {
     const { world, container } = viewer;
@@ -47,6 +82,14 @@ export function initSelection(viewer, onSelect) {
         polygonOffset: true,
         polygonOffsetFactor: -1,
     });
+    highlightColor = highlightMaterial.color.clone();
+
+    // Hover: a paler tint of the selection colour
+    hoverColor = new THREE.Color(0x9af4ff);
+    hoverMaterial = highlightMaterial.clone();
+    hoverMaterial.color.copy(hoverColor);
+    hoverMaterial.emissiveIntensity = 0.15;
+    hoverMaterial.opacity = 0.7;
 
     // Track mouse press to distinguish click vs drag (orbit)
     let mouseDownPos = null;
@@ -57,8 +100,23 @@ export function initSelection(viewer, onSelect) {
     canvas.addEventListener('pointerdown', (e) => {
         mouseDownPos = { x: e.clientX, y: e.clientY };
         mouseDownTime = performance.now();
+
+        // Box / lasso: a left drag draws the region instead of orbiting.
+        // Disabling camera-controls cancels the drag it has just started.
+        if (selectionMode !== 'click' && e.button === 0 && !isAligning()) {
+            region = { points: [[e.clientX, e.clientY]], append: isAppendEvent(e) };
+            world.camera.controls.enabled = false;
+            canvas.setPointerCapture(e.pointerId);
+        }
     });
 
+    canvas.addEventListener('pointermove', (e) => {
+        if (region) updateRegion(e, container);
+        scheduleHover(e, viewer);
+    });
+
+    canvas.addEventListener('pointerleave', () => endHover(viewer));
+
     canvas.addEventListener('pointerup', (event) => {
         if (!mouseDownPos) return;
 
@@ -69,6 +127,16 @@ export function initSelection(viewer, onSelect) {
 
         mouseDownPos = null;
 
+        if (region) {
+            const polygon = getRegionPolygon();
+            const { append } = region;
+            endRegion(world);
+            if (dist >= 5 && polygon) {
+                selectInRegion(viewer, polygon, append);
+                return;
+            }
+        }
+
         // Only treat as a click if the mouse didn't move much and wasn't held long
         // (to avoid triggering selection during orbit/pan)
         if (dist < 5 && elapsed < 400) {
@@ -76,6 +144,10 @@ export function initSelection(viewer, onSelect) {
         }
     });
 
+    canvas.addEventListener('pointercancel', () => {
+        if (region) endRegion(world);
+    });
+
     // Double-click to deselect
     canvas.addEventListener('dblclick', () => {
         clearSelection(viewer);
@@ -117,9 +189,10 @@ function isGridOrHelper(obj) {
 }
 
 /**
- * Handle click events on the 3D scene
+ * Raycast the scene under the pointer
+ * @returns {{ hit: Object, mesh: THREE.Mesh, model: THREE.Object3D|null, itemID: number|null }|null}
  */
-function handleClick(event, viewer) {
+function pickElement(event, viewer) {
     const { world, container } = viewer;
 
     // Use the renderer's DOM element (canvas) for accurate coordinates
@@ -144,157 +217,906 @@ function handleClick(event, viewer) {
         }
     });
 
-    const intersects = raycaster.intersectObjects(meshes, false);
-
-    if (intersects.length > 0) {
-        // Find first model mesh hit (skip any remaining grid-like objects)
-        let hit = null;
-        let mesh = null;
-        for (const inters of intersects) {
-            if (!isGridOrHelper(inters.object)) {
-                hit = inters;
-                mesh = inters.object;
-                break;
-            }
+    // Find first model mesh hit (skip any remaining grid-like objects)
+    const hit = raycaster.intersectObjects(meshes, false).find(inters => !isGridOrHelper(inters.object));
+    if (!hit) return null;
+
+    // Fragments: the hit instance tells which IFC item is under the pointer
+    const mesh = hit.object;
+    const model = getModelForObject(viewer, mesh)?.model || null;
+    const itemID = mesh.fragment && Array.isArray(model?.items) && hit.instanceId !== undefined
+        ? mesh.fragment.getItemID(hit.instanceId)
+        : null;
+
+    return { hit, mesh, model, itemID };
+}
+
+/**
+ * Handle click events on the 3D scene
+ */
+function handleClick(event, viewer) {
+    const picked = pickElement(event, viewer);
+    if (!picked) return;
+    const { hit, mesh, model, itemID } = picked;
+
+    // Read properties before tinting, so colours are the model's own
+    clearHover();
+    const props = extractProperties(mesh, itemID, hit, viewer);
+
+    // Ctrl / Shift toggle the element, a plain click replaces the selection
+    const append = isAppendEvent(event);
+    let selected = true;
+    if (itemID !== null) {
+        if (append && selectedItems.get(model.uuid)?.ids.has(itemID)) {
+            removeItems(model, [itemID]);
+            selected = false;
+        } else {
+            if (!append) clearHighlight();
+            addItems(model, [itemID]);
         }
-        if (!hit || !mesh) return;
+    } else if (append && selectedMeshes.has(mesh)) {
+        removeMesh(mesh);
+        selected = false;
+    } else {
+        if (!append) clearHighlight();
+        addMesh(mesh);
+    }
+
+    requestRender(viewer);
+    // A single element keeps the clicked point in its properties
+    notifySelection(viewer, selected && getSelectionCount() === 1 ? props : undefined);
+}
+
+function isAppendEvent(event) {
+    return event.ctrlKey || event.metaKey || event.shiftKey;
+}
+
+// ============================================
+// Selection set & highlighting
+// ============================================
 
-        // Find the parent fragment group
-        const fragmentGroup = findFragmentGroup(mesh);
+/**
+ * Add IFC items of a model to the selection and tint them
+ */
+function addItems(model, ids) {
+    clearHover();
+    let entry = selectedItems.get(model.uuid);
+    if (!entry) {
+        entry = { model, ids: new Set() };
+        selectedItems.set(model.uuid, entry);
+    }
 
-        // Highlight the selected mesh
-        highlightElement(mesh, viewer);
+    const added = new Set();
+    for (const id of ids) {
+        if (entry.ids.has(id)) continue;
+        entry.ids.add(id);
+        added.add(id);
+    }
+    tintItems(model, added);
+}
 
-        // Extract properties
-        const props = extractProperties(mesh, fragmentGroup, hit, viewer);
+function removeItems(model, ids) {
+    clearHover();
+    const entry = selectedItems.get(model.uuid);
+    if (!entry) return;
 
-        if (onSelectCallback) {
-            onSelectCallback(props);
+    const removed = new Set();
+    for (const id of ids) {
+        if (entry.ids.delete(id)) removed.add(id);
+    }
+    if (entry.ids.size === 0) selectedItems.delete(model.uuid);
+
+    for (const fragment of model.items) {
+        if (!fragment.mesh) continue; // Disposed with its model
+        const own = intersectIds(fragment.ids, removed);
+        if (own.length === 0) continue;
+
+        if (fragment.mesh.instanceColor) {
+            fragment.resetColor(own);
+        } else if (intersectIds(fragment.ids, entry.ids).length === 0) {
+            restoreMaterial(fragment.mesh);
         }
     }
 }
 
+function addMesh(mesh) {
+    clearHover();
+    if (selectedMeshes.has(mesh)) return;
+    selectedMeshes.add(mesh);
+    swapMaterial(mesh);
+}
+
+function removeMesh(mesh) {
+    clearHover();
+    if (!selectedMeshes.delete(mesh)) return;
+    restoreMaterial(mesh);
+}
+
 /**
- * Walk up the scene hierarchy to find a FragmentsGroup parent
+ * Tint items in every fragment they are split across
  */
-function findFragmentGroup(mesh) {
-    let current = mesh;
-    while (current) {
-        // FragmentsGroup from @thatopen/fragments has specific markers
-        if (current.isGroup && (current.ifcMetadata || current.items || current.uuid)) {
-            // Check if it looks like a fragments group
-            if (current.children?.length > 0 && current.children.some(c => c.isMesh)) {
-                return current;
-            }
+function tintItems(model, ids) {
+    if (ids.size === 0) return;
+
+    for (const fragment of model.items) {
+        if (!fragment.mesh) continue;
+        const own = intersectIds(fragment.ids, ids);
+        if (own.length === 0) continue;
+
+        if (fragment.mesh.instanceColor) {
+            fragment.setColor(highlightColor, own);
+        } else {
+            // No instance colours to tint: the whole fragment is highlighted
+            swapMaterial(fragment.mesh);
         }
-        current = current.parent;
     }
-    return null;
+}
+
+function swapMaterial(mesh) {
+    if (originalMaterials.has(mesh)) return;
+
+    originalMaterials.set(mesh, mesh.material);
+    mesh.material = Array.isArray(mesh.material)
+        ? mesh.material.map(() => highlightMaterial)
+        : highlightMaterial;
+}
+
+function restoreMaterial(mesh) {
+    if (!originalMaterials.has(mesh)) return;
+    mesh.material = originalMaterials.get(mesh);
+    originalMaterials.delete(mesh);
 }
 
 /**
- * Highlight the selected element
+ * IDs present in both sets, iterating the smaller one
  */
-function highlightElement(mesh, viewer) {
-    // Clear previous highlight
-    clearHighlight();
-
-    // Store original material(s)
-    if (Array.isArray(mesh.material)) {
-        originalMaterials.set(mesh.uuid, mesh.material.map(m => m));
-        mesh.material = mesh.material.map(() => highlightMaterial);
-    } else {
-        originalMaterials.set(mesh.uuid, mesh.material);
-        mesh.material = highlightMaterial;
+function intersectIds(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    const result = [];
+    for (const id of small) {
+        if (large.has(id)) result.push(id);
     }
-
-    selectedMesh = mesh;
+    return result;
 }
 
 /**
- * Clear highlighting from previously selected mesh
+ * Clear highlighting and empty the selection
  */
 function clearHighlight() {
-    if (selectedMesh && originalMaterials.has(selectedMesh.uuid)) {
-        selectedMesh.material = originalMaterials.get(selectedMesh.uuid);
-        originalMaterials.delete(selectedMesh.uuid);
+    removeHighlight();
+    selectedItems.clear();
+    selectedMeshes.clear();
+}
+
+/**
+ * Restore the model colours / materials, keeping the selection state
+ */
+function removeHighlight() {
+    clearHover();
+    for (const { model, ids } of selectedItems.values()) {
+        for (const fragment of model.items) {
+            if (!fragment.mesh?.instanceColor) continue;
+            const own = intersectIds(fragment.ids, ids);
+            if (own.length > 0) fragment.resetColor(own);
+        }
     }
-    selectedMesh = null;
+    for (const mesh of [...originalMaterials.keys()]) restoreMaterial(mesh);
+}
+
+function applyHighlight() {
+    for (const { model, ids } of selectedItems.values()) tintItems(model, ids);
+    for (const mesh of selectedMeshes) swapMaterial(mesh);
+}
+
+/**
+ * Tell the app the selection changed
+ * @param {Object} [props] - Properties already extracted for a single element
+ */
+function notifySelection(viewer, props) {
+    updateSelectionBar();
+    if (onSelectCallback) onSelectCallback(props || getSelectionProperties(viewer));
 }
 
+function updateSelectionBar() {
+    const bar = document.getElementById('selection-bar');
+    const countEl = document.getElementById('selection-count');
+    const count = getSelectionCount();
+
+    if (bar) bar.hidden = count === 0;
+    if (countEl) countEl.textContent = `${count.toLocaleString()} ${count === 1 ? 'elemento' : 'elementos'}`;
+}
+
+// ============================================
+// Public API
+// ============================================
+
 /**
  * Clear selection entirely
  */
 export function clearSelection(viewer) {
     clearHighlight();
+    updateSelectionBar();
+    requestRender(viewer);
+}
+
+/**
+ * Drop selected elements whose model is no longer loaded
+ * @param {Object} viewer - Viewer instance
+ * @returns {boolean} Whether the selection changed
+ */
+export function dropStaleSelection(viewer) {
+    let changed = false;
+
+    for (const [id, entry] of selectedItems) {
+        if (viewer.models.has(id)) continue;
+        // Fragments are already disposed: nothing to restore
+        selectedItems.delete(id);
+        changed = true;
+    }
+    for (const mesh of selectedMeshes) {
+        if (getModelForObject(viewer, mesh)) continue;
+        selectedMeshes.delete(mesh);
+        originalMaterials.delete(mesh);
+        changed = true;
+    }
+    for (const mesh of originalMaterials.keys()) {
+        if (!mesh.parent) originalMaterials.delete(mesh);
+    }
+    if (hovered && !getModelForObject(viewer, hovered.mesh)) endHover(viewer);
+
+    if (changed) updateSelectionBar();
+    return changed;
 }
 
 /**
- * Map IFC type code to human-readable name
- * Common type codes from web-ifc
- */
-const IFC_TYPE_MAP = {
-    // Building elements
-    3588315303: 'IfcWall',
-    1529196076: 'IfcSlab',
-    843113511: 'IfcColumn',
-    753842376: 'IfcBeam',
-    395920057: 'IfcDoor',
-    3304561284: 'IfcWindow',
-    2262370178: 'IfcRailing',
-    331165859: 'IfcStairFlight',
-    338393293: 'IfcStair',
-    1687234759: 'IfcPlate',
-    1281925730: 'IfcCovering',
-    2979338954: 'IfcBuildingElementProxy',
-    // Spatial
-    4031249490: 'IfcSite',
-    4146886087: 'IfcBuilding',
-    3124254112: 'IfcBuildingStorey',
-    3856911033: 'IfcSpace',
-    // MEP
-    1051757585: 'IfcFurnishingElement',
-    263784265: 'IfcFurniture',
-    900683007: 'IfcFooting',
-    2391383451: 'IfcCurtainWall',
-    1073191201: 'IfcMember',
-    // Other common
-    2188021234: 'IfcFlowTerminal',
-    3512223829: 'IfcWallStandardCase',
-    1095909175: 'IfcProduct',
-    180925521: 'IfcSIUnit',
-    2624227202: 'IfcLocalPlacement',
-    1040185647: 'IfcMaterialLayerSetUsage',
-    3303938423: 'IfcMaterialLayerSet',
-    248100487: 'IfcMaterialLayer',
-    1959218052: 'IfcCartesianPoint',
-    3113134337: 'IfcShapeRepresentation',
-};
-
-function getIfcTypeName(typeCode) {
-    return IFC_TYPE_MAP[typeCode] || null;
-}
-
-/**
- * Extract properties from a selected mesh/fragment
- */
-function extractProperties(mesh, fragmentGroup, hit, viewer) {
-    const { fragmentsManager } = viewer;
+ * Select IFC items, e.g. from a search or the host page
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @param {Object} [options] - { append: add to the current selection }
+ * @returns {number} Selected element count
+ */
+export function selectItems(viewer, items, { append = false } = {}) {
+    if (!append) clearHighlight();
+
+    for (const [modelId, ids] of items) {
+        const entry = getModel(viewer, modelId);
+        if (entry && Array.isArray(entry.model.items)) addItems(entry.model, new Set(ids));
+    }
 
+    requestRender(viewer);
+    notifySelection(viewer);
+    return getSelectionCount();
+}
+
+/**
+ * Add every visible element of the selected IFC classes
+ * @param {Object} viewer - Viewer instance
+ * @returns {number} Selected element count
+ */
+export function selectSameType(viewer) {
+    const types = new Set();
+    for (const { model, ids } of selectedItems.values()) {
+        const properties = model.getLocalProperties?.();
+        if (!properties) continue;
+        for (const id of ids) {
+            if (properties[id]) types.add(properties[id].type);
+        }
+    }
+    if (types.size === 0) return getSelectionCount();
+
+    const items = new Map();
+    for (const entry of getModels(viewer)) {
+        if (!entry.visible || !Array.isArray(entry.model.items)) continue;
+        const properties = entry.model.getLocalProperties?.();
+        if (!properties) continue;
+
+        const ids = [...getVisibleItemIDs(entry.model)].filter(id => types.has(properties[id]?.type));
+        if (ids.length > 0) items.set(entry.id, ids);
+    }
+
+    return selectItems(viewer, items, { append: true });
+}
+
+/**
+ * Select every visible element that is not selected, and deselect the rest
+ * @param {Object} viewer - Viewer instance
+ * @returns {number} Selected element count
+ */
+export function invertSelection(viewer) {
+    const items = new Map();
+    const meshes = [];
+
+    for (const entry of getModels(viewer)) {
+        if (!entry.visible) continue;
+
+        if (Array.isArray(entry.model.items)) {
+            const current = selectedItems.get(entry.id)?.ids;
+            const ids = [...getVisibleItemIDs(entry.model)].filter(id => !current?.has(id));
+            if (ids.length > 0) items.set(entry.id, ids);
+        } else {
+            entry.model.traverse((child) => {
+                if (child.isMesh && !selectedMeshes.has(child) && isObjectShown(child)) meshes.push(child);
+            });
+        }
+    }
+
+    clearHighlight();
+    meshes.forEach(addMesh);
+    return selectItems(viewer, items, { append: true });
+}
+
+/**
+ * Number of selected elements (IFC items and plain meshes)
+ */
+export function getSelectionCount() {
+    let count = selectedMeshes.size;
+    for (const { ids } of selectedItems.values()) count += ids.size;
+    return count;
+}
+
+/**
+ * Plain meshes currently selected (glTF, OBJ, STL)
+ * @returns {THREE.Mesh[]}
+ */
+export function getSelectedMeshes() {
+    return [...selectedMeshes];
+}
+
+/**
+ * IFC items currently selected
+ * @returns {Map<string, Set<number>>} Model id -> expressIDs
+ */
+export function getSelectedItems() {
+    const items = new Map();
+    for (const [id, { ids }] of selectedItems) items.set(id, new Set(ids));
+    return items;
+}
+
+/**
+ * Identity of the selected IFC elements, e.g. for the host page
+ * @param {Object} [options] - { limit: maximum elements listed }
+ * @returns {{ modelId: string, expressID: number, globalId: string|null,
+ *             ifcClass: string|null, name: string|null }[]}
+ */
+export function getSelectedElements({ limit = Infinity } = {}) {
+    const elements = [];
+    for (const [modelId, { model, ids }] of selectedItems) {
+        const properties = model.getLocalProperties?.() || null;
+        for (const expressID of ids) {
+            if (elements.length >= limit) return elements;
+            const attrs = properties?.[expressID];
+            elements.push({
+                modelId,
+                expressID,
+                globalId: val(attrs?.GlobalId) ?? null,
+                ifcClass: attrs ? getIfcTypeName(attrs.type) : null,
+                name: val(attrs?.Name) ?? null,
+            });
+        }
+    }
+    return elements;
+}
+
+/**
+ * Run a synchronous task with the model's own colours and materials
+ * (e.g. exporting), then restore the highlight
+ * @param {Function} task
+ * @returns {*} The task's result
+ */
+export function withoutHighlight(task) {
+    removeHighlight();
+    try {
+        return task();
+    } finally {
+        applyHighlight();
+    }
+}
+
+/**
+ * Switch how a left drag on the canvas behaves
+ * @param {string} mode - 'click' (orbit) | 'box' | 'lasso'
+ * @returns {string} The mode now in use
+ */
+export function setSelectionMode(mode) {
+    if (SELECTION_MODES.includes(mode)) selectionMode = mode;
+    return selectionMode;
+}
+
+export function getSelectionMode() {
+    return selectionMode;
+}
+
+// ============================================
+// Hover pre-highlight
+// ============================================
+
+/**
+ * Turn the hover highlight and tooltip on / off (e.g. on heavy models,
+ * where a raycast per pointer move is noticeable)
+ * @param {Object} viewer - Viewer instance
+ * @param {boolean} enabled
+ * @returns {boolean} Whether hover is now enabled
+ */
+export function setHoverEnabled(viewer, enabled) {
+    hoverEnabled = Boolean(enabled);
+    if (!hoverEnabled) endHover(viewer);
+    return hoverEnabled;
+}
+
+export function isHoverEnabled() {
+    return hoverEnabled;
+}
+
+/**
+ * Throttle hover picks: the first move starts a timer and the pick runs
+ * with the latest pointer position when it fires
+ */
+function scheduleHover(event, viewer) {
+    hoverEvent = event;
+    if (hoverTimeout) return;
+
+    hoverTimeout = setTimeout(() => {
+        hoverTimeout = null;
+        updateHover(hoverEvent, viewer);
+    }, HOVER_DELAY);
+}
+
+function updateHover(event, viewer) {
+    // No hover while orbiting / dragging, on touch, or while other tools own the pointer
+    const idle = hoverEnabled
+        && event.buttons === 0
+        && event.pointerType !== 'touch'
+        && !region
+        && !isAligning()
+        && !viewer.world.camera.controls.active;
+    const picked = idle ? pickElement(event, viewer) : null;
+
+    if (!picked) {
+        endHover(viewer);
+        return;
+    }
+
+    const same = hovered && (picked.itemID !== null
+        ? hovered.model === picked.model && hovered.itemID === picked.itemID
+        : hovered.mesh === picked.mesh);
+    if (!same) {
+        clearHover();
+        applyHover(picked);
+        showTooltip(viewer, picked);
+        requestRender(viewer);
+    }
+    moveTooltip(event, viewer.container);
+}
+
+/**
+ * Clear the hover highlight and hide the tooltip
+ */
+function endHover(viewer) {
+    clearTimeout(hoverTimeout);
+    hoverTimeout = null;
+    if (clearHover()) requestRender(viewer);
+    if (hoverTooltip) hoverTooltip.style.display = 'none';
+}
+
+/**
+ * Tint the element under the pointer, unless it is already selected
+ */
+function applyHover({ mesh, model, itemID }) {
+    hovered = { mesh, model, itemID, tinted: false, material: null };
+
+    if (itemID !== null) {
+        if (selectedItems.get(model.uuid)?.ids.has(itemID)) return;
+        for (const fragment of model.items) {
+            // Fragments without instance colours would light up whole: not worth it on hover
+            if (!fragment.mesh?.instanceColor || !fragment.ids.has(itemID)) continue;
+            fragment.setColor(hoverColor, [itemID]);
+            hovered.tinted = true;
+        }
+    } else if (!originalMaterials.has(mesh)) {
+        hovered.material = mesh.material;
+        mesh.material = Array.isArray(mesh.material)
+            ? mesh.material.map(() => hoverMaterial)
+            : hoverMaterial;
+    }
+}
+
+/**
+ * Restore the hovered element's colours
+ * @returns {boolean} Whether something was hovered
+ */
+function clearHover() {
+    if (!hovered) return false;
+    const { mesh, model, itemID, tinted, material } = hovered;
+    hovered = null;
+
+    if (tinted) {
+        for (const fragment of model.items) {
+            if (fragment.mesh?.instanceColor && fragment.ids.has(itemID)) fragment.resetColor([itemID]);
+        }
+    } else if (material) {
+        mesh.material = material;
+    }
+    return true;
+}
+
+/**
+ * Tooltip content: IFC class, name and storey, or mesh and model names
+ */
+function showTooltip(viewer, { mesh, model, itemID }) {
+    if (!hoverTooltip) {
+        hoverTooltip = document.createElement('div');
+        hoverTooltip.className = 'hover-tooltip';
+        viewer.container.appendChild(hoverTooltip);
+    }
+
+    let title, name, detail;
+    if (itemID !== null) {
+        const item = model.getLocalProperties?.()?.[itemID];
+        title = (item && getIfcTypeName(item.type)) || 'Elemento IFC';
+        name = val(item?.Name) || `ID ${itemID}`;
+        detail = getItemStorey(viewer, model, itemID)?.name;
+    } else {
+        title = mesh.name || 'Malla';
+        detail = getModelForObject(viewer, mesh)?.name;
+    }
+
+    hoverTooltip.innerHTML = `
+        <div class="hover-tooltip-class">${escapeHtml(title)}</div>
+        ${name ? `<div class="hover-tooltip-name">${escapeHtml(name)}</div>` : ''}
+        ${detail ? `<div class="hover-tooltip-detail"><i class="fas fa-layer-group"></i> ${escapeHtml(detail)}</div>` : ''}
+    `;
+    hoverTooltip.style.display = '';
+}
+
+/**
+ * Place the tooltip next to the pointer, flipping it near the edges
+ */
+function moveTooltip(event, container) {
+    if (!hoverTooltip || hoverTooltip.style.display === 'none') return;
+
+    const rect = container.getBoundingClientRect();
+    const offset = 14;
+    let x = event.clientX - rect.left + offset;
+    let y = event.clientY - rect.top + offset;
+    if (x + hoverTooltip.offsetWidth > rect.width) x -= hoverTooltip.offsetWidth + offset * 2;
+    if (y + hoverTooltip.offsetHeight > rect.height) y -= hoverTooltip.offsetHeight + offset * 2;
+
+    hoverTooltip.style.transform = `translate(${Math.max(0, x)}px, ${Math.max(0, y)}px)`;
+}
+
+// ============================================
+// Box / lasso selection
+// ============================================
+
+function updateRegion(event, container) {
+    const { points } = region;
+    const point = [event.clientX, event.clientY];
+
+    if (selectionMode === 'box') {
+        points[1] = point;
+    } else {
+        // Lasso: skip points closer than a few pixels
+        const [lx, ly] = points[points.length - 1];
+        if (Math.hypot(point[0] - lx, point[1] - ly) < 4) return;
+        points.push(point);
+    }
+
+    drawRegion(container);
+}
+
+/**
+ * Region outline in client coordinates, or null if it is degenerate
+ */
+function getRegionPolygon() {
+    const { points } = region;
+    if (selectionMode === 'box') {
+        if (points.length < 2) return null;
+        const [[x0, y0], [x1, y1]] = points;
+        return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    }
+    return points.length >= 3 ? points : null;
+}
+
+function drawRegion(container) {
+    if (!regionOverlay) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.classList.add('selection-region');
+        svg.appendChild(document.createElementNS(SVG_NS, 'polygon'));
+        container.appendChild(svg);
+        regionOverlay = svg;
+    }
+
+    const polygon = getRegionPolygon();
+    const rect = container.getBoundingClientRect();
+    regionOverlay.firstChild.setAttribute('points', (polygon || [])
+        .map(([x, y]) => `${x - rect.left},${y - rect.top}`)
+        .join(' '));
+    regionOverlay.style.display = polygon ? '' : 'none';
+}
+
+function endRegion(world) {
+    region = null;
+    world.camera.controls.enabled = true;
+    if (regionOverlay) regionOverlay.style.display = 'none';
+}
+
+/**
+ * Select the elements whose centre falls inside a screen polygon.
+ * Elements cut away by the clipping planes or behind the camera are skipped.
+ */
+function selectInRegion(viewer, polygon, append) {
+    const { world } = viewer;
+    const camera = world.camera.three;
+    const rect = world.renderer.three.domElement.getBoundingClientRect();
+    const planes = getActiveClipPlanes();
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    const projected = new THREE.Vector3();
+
+    const isInside = (point) => {
+        if (planes.some(plane => plane.distanceToPoint(point) < 0)) return false;
+        projected.copy(point).applyMatrix4(viewProjection);
+        if (projected.z < -1 || projected.z > 1) return false;
+        const x = rect.left + (projected.x + 1) / 2 * rect.width;
+        const y = rect.top + (1 - projected.y) / 2 * rect.height;
+        return isPointInPolygon(x, y, polygon);
+    };
+
+    const items = new Map();
+    const meshes = [];
+    const center = new THREE.Vector3();
+    const matrix = new THREE.Matrix4();
+
+    for (const entry of getModels(viewer)) {
+        if (!entry.visible) continue;
+        entry.model.updateMatrixWorld(true);
+
+        if (Array.isArray(entry.model.items)) {
+            const found = new Set();
+            for (const fragment of entry.model.items) {
+                const { mesh } = fragment;
+                if (!mesh || !isObjectShown(mesh)) continue;
+                if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+                const localCenter = mesh.geometry.boundingBox.getCenter(new THREE.Vector3());
+
+                // Hidden items are moved past mesh.count by Fragment.setVisibility
+                for (let i = 0; i < mesh.count; i++) {
+                    const itemID = fragment.getItemID(i);
+                    if (found.has(itemID)) continue;
+                    mesh.getMatrixAt(i, matrix);
+                    center.copy(localCenter).applyMatrix4(matrix).applyMatrix4(mesh.matrixWorld);
+                    if (isInside(center)) found.add(itemID);
+                }
+            }
+            if (found.size > 0) items.set(entry.id, found);
+        } else {
+            entry.model.traverse((child) => {
+                if (!child.isMesh || !isObjectShown(child)) return;
+                if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+                child.geometry.boundingBox.getCenter(center).applyMatrix4(child.matrixWorld);
+                if (isInside(center)) meshes.push(child);
+            });
+        }
+    }
+
+    if (!append) clearHighlight();
+    meshes.forEach(addMesh);
+    const count = selectItems(viewer, items, { append: true });
+    console.log(`[Selection] ${selectionMode === 'box' ? 'Box' : 'Lasso'}: ${count} elementos`);
+}
+
+/**
+ * Even-odd rule point-in-polygon test
+ */
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Item IDs of a fragments model that are currently shown
+ */
+function getVisibleItemIDs(model) {
+    const ids = new Set();
+    for (const fragment of model.items) {
+        if (!fragment.mesh || !isObjectShown(fragment.mesh)) continue;
+        for (const id of fragment.ids) {
+            if (!fragment.hiddenItems.has(id)) ids.add(id);
+        }
+    }
+    return ids;
+}
+
+// ============================================
+// Properties
+// ============================================
+
+// Keys to skip (internal/technical)
+const SKIP_IFC_KEYS = new Set([
+    'expressID', 'type', 'LengthExponent', 'MassExponent', 'TimeExponent',
+    'ElectricCurrentExponent', 'ThermodynamicTemperatureExponent',
+    'AmountOfSubstanceExponent', 'LuminousIntensityExponent',
+    'ParameterTakesPrecedence', 'Sizeable', 'Exponent',
+    'Dimensions', 'UnitType', 'Prefix', 'ConversionFactor',
+    'ValueComponent', 'UnitComponent', 'OwnerHistory',
+    'RepresentationContexts', 'UnitsInContext',
+]);
+
+// Abstract roots left out of the class hierarchy shown for an element
+const GENERIC_IFC_ANCESTORS = new Set(['IfcElement', 'IfcProduct', 'IfcObject', 'IfcObjectDefinition', 'IfcRoot']);
+
+/**
+ * Properties of the current selection: the element's own properties when
+ * one element is selected, a summary otherwise
+ * @param {Object} viewer - Viewer instance
+ * @returns {Object|null} Properties object for renderProperties, null when empty
+ */
+export function getSelectionProperties(viewer) {
+    const count = getSelectionCount();
+    if (count === 0) return null;
+    if (count > 1) return summarizeSelection(viewer);
+
+    // Read with the model's own colours, not the highlight
+    return withoutHighlight(() => {
+        const [mesh] = selectedMeshes;
+        if (mesh) return extractProperties(mesh, null, null, viewer);
+
+        const [{ model, ids }] = selectedItems.values();
+        const [itemID] = ids;
+        const fragment = model.items.find(f => f.mesh && f.ids.has(itemID));
+        return fragment ? extractProperties(fragment.mesh, itemID, null, viewer) : null;
+    });
+}
+
+/**
+ * Multi-selection summary: element count per IFC class and the attribute
+ * values shared by every selected element
+ */
+function summarizeSelection(viewer) {
+    const props = { general: {}, classes: {}, common: {} };
+    const classes = new Map();
+    const models = new Set();
+    let common = null;
+
+    const collect = (className, attributes) => {
+        classes.set(className, (classes.get(className) || 0) + 1);
+        if (common === null) {
+            common = { ...attributes };
+            return;
+        }
+        for (const key of Object.keys(common)) {
+            if (attributes[key] !== common[key]) delete common[key];
+        }
+    };
+
+    for (const { model, ids } of selectedItems.values()) {
+        models.add(model.uuid);
+        const properties = model.getLocalProperties?.() || null;
+        for (const id of ids) {
+            const itemProps = properties?.[id];
+            collect(
+                (itemProps && getIfcTypeName(itemProps.type)) || 'Sin clase',
+                itemProps ? readIfcAttributes(itemProps, model) : {}
+            );
+        }
+    }
+
+    for (const mesh of selectedMeshes) {
+        const entry = getModelForObject(viewer, mesh);
+        if (entry) models.add(entry.id);
+        const attributes = {};
+        for (const [key, value] of Object.entries(mesh.userData || {})) {
+            if (value === null || value === undefined) continue;
+            attributes[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+        collect(entry ? `Malla ${entry.format.toUpperCase()}` : 'Malla', attributes);
+    }
+
+    props.general['Elementos'] = getSelectionCount().toLocaleString();
+    props.general['Modelos'] = models.size.toLocaleString();
+
+    [...classes.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([className, count]) => {
+            props.classes[className] = count.toLocaleString();
+        });
+
+    Object.assign(props.common, common || {});
+    if (Object.keys(props.common).length === 0) delete props.common;
+
+    return props;
+}
+
+/**
+ * Direct attributes of an IFC item as display strings. Measures
+ * (OverallHeight, Elevation...) are converted to the display units.
+ * @param {Object} itemProps - Entry of getLocalProperties()
+ * @param {THREE.Object3D} model - FragmentsGroup holding the item
+ * @returns {Object} Attribute name -> value
+ */
+function readIfcAttributes(itemProps, model) {
+    const attributes = {};
+
+    for (const [key, val] of Object.entries(itemProps)) {
+        if (SKIP_IFC_KEYS.has(key)) continue;
+
+        let displayVal = null;
+        if (val === null || val === undefined) continue;
+
+        if (typeof val === 'object' && val !== null) {
+            if (val.value !== undefined) {
+                displayVal = val.value;
+            } else if (val.type !== undefined && val.Name?.value) {
+                displayVal = val.Name.value;
+            }
+        } else {
+            displayVal = val;
+        }
+
+        const unit = typeof displayVal === 'number' ? getAttributeUnit(model, key, val) : null;
+        if (unit?.unitType) {
+            attributes[key] = formatMeasure(displayVal, unit);
+        } else if (displayVal !== null && displayVal !== undefined && displayVal !== '') {
+            attributes[key] = String(displayVal);
+        }
+    }
+
+    return attributes;
+}
+
+/**
+ * First instance of an item in a fragment mesh (undefined if none)
+ */
+function firstInstance(mesh, itemID) {
+    if (!mesh.fragment || itemID === null) return undefined;
+    const instances = mesh.fragment.getInstancesIDs(itemID);
+    return instances ? instances.values().next().value : undefined;
+}
+
+/**
+ * Extract properties from a selected mesh or fragment item
+ * @param {THREE.Mesh} mesh - Hit mesh
+ * @param {number|null} itemID - Hit IFC item (expressID), null for plain meshes
+ * @param {Object|null} hit - Raycaster intersection (null when not picked, e.g. box selection)
+ * @param {Object} viewer - Viewer instance
+ */
+function extractProperties(mesh, itemID, hit, viewer) {
     const props = {
         general: {},
         geometry: {},
         material: {},
         ifc: {},
-        position: {}
+        ifcMaterials: [],  // { title, kind, origin, values, layers?, direction? }
+        propertySets: [],  // { name, kind: 'pset'|'qto', origin: 'instance'|'type', values }
+        metadata: {},
+        position: {},
+        georef: {}
     };
 
+    const modelEntry = getModelForObject(viewer, mesh);
+    const group = modelEntry?.model;
+    const fragments = itemID !== null && Array.isArray(group?.items)
+        ? group.items.filter(fragment => fragment.mesh && fragment.ids.has(itemID))
+        : [];
+
     // ---- General Info ----
     props.general['Nombre'] = mesh.name || '(sin nombre)';
     props.general['ID'] = mesh.uuid.substring(0, 8);
     props.general['Tipo'] = mesh.type || 'Mesh';
 
-    if (mesh.geometry) {
+    if (fragments.length > 0) {
+        // An IFC element: its instances across all fragments
+        props.general['ID'] = String(itemID);
+        props.general['Tipo'] = 'Elemento IFC';
+        props.general['Fragmentos'] = fragments.length.toLocaleString();
+        describeItemGeometry(fragments, itemID, props.geometry);
+    } else if (mesh.geometry) {
         const geo = mesh.geometry;
         const vertexCount = geo.attributes?.position?.count || 0;
         const indexCount = geo.index?.count || 0;
@@ -308,31 +1130,84 @@ function extractProperties(mesh, fragmentGroup, hit, viewer) {
         if (geo.boundingBox) {
             const size = new THREE.Vector3();
             geo.boundingBox.getSize(size);
-            props.geometry['Ancho (X)'] = size.x.toFixed(3) + ' m';
-            props.geometry['Alto (Y)'] = size.y.toFixed(3) + ' m';
-            props.geometry['Profundidad (Z)'] = size.z.toFixed(3) + ' m';
+            props.geometry['Ancho (X)'] = formatLength(size.x);
+            props.geometry['Alto (Y)'] = formatLength(size.y);
+            props.geometry['Profundidad (Z)'] = formatLength(size.z);
+        }
+    }
+
+    // ---- Node metadata (glTF / OBJ / STL) ----
+    // Mesh models carry their information in the node hierarchy: names and
+    // glTF extras, which GLTFLoader stores in userData
+    if (modelEntry && !modelEntry.model.items) {
+        const path = [];
+        let node = mesh;
+        while (node && node !== modelEntry.model) {
+            if (node.name) path.unshift(node.name);
+            for (const [key, value] of Object.entries(node.userData || {})) {
+                if (key in props.metadata || value === null || value === undefined) continue;
+                props.metadata[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }
+            node = node.parent;
         }
+        props.general['Modelo'] = modelEntry.name;
+        props.general['Formato'] = modelEntry.format.toUpperCase();
+        if (path.length > 1) props.general['Jerarquía'] = path.join(' › ');
     }
 
     // ---- Position ----
-    if (hit.point) {
-        props.position['X'] = hit.point.x.toFixed(3);
-        props.position['Y'] = hit.point.y.toFixed(3);
-        props.position['Z'] = hit.point.z.toFixed(3);
+    // Scene space is rebased for far-away models: show the model's own
+    // project coordinates (and map coordinates when georeferenced) instead
+    if (hit?.point) {
+        if (modelEntry) {
+            Object.assign(props.position, describeCoordinates(modelEntry, hit.point));
+        } else {
+            const point = sceneToWorld(viewer, hit.point);
+            props.position['X'] = formatLength(point.x);
+            props.position['Y'] = formatLength(point.y);
+            props.position['Z'] = formatLength(point.z);
+        }
     }
 
-    if (hit.faceIndex !== undefined) {
+    if (hit?.faceIndex !== undefined) {
         props.position['Cara'] = hit.faceIndex.toLocaleString();
     }
 
-    props.position['Distancia'] = hit.distance.toFixed(2) + ' m';
+    if (hit) props.position['Distancia'] = formatLength(hit.distance);
+
+    // ---- Georeference ----
+    const georef = getGeoreference(modelEntry);
+    if (georef?.crs) {
+        props.georef['Sistema (CRS)'] = georef.crs.name || '—';
+        if (georef.crs.datum) props.georef['Datum'] = georef.crs.datum;
+        if (georef.crs.zone) props.georef['Zona'] = georef.crs.zone;
+    }
+    if (georef?.site) {
+        const { latitude, longitude, elevation } = georef.site;
+        if (latitude !== null) props.georef['Latitud'] = formatNumber(latitude, { decimals: 6 }) + '°';
+        if (longitude !== null) props.georef['Longitud'] = formatNumber(longitude, { decimals: 6 }) + '°';
+        // RefElevation is in project length units
+        props.georef['Elevación'] = formatLength(elevation * georef.lengthUnit);
+    }
+    if (viewer.origin) {
+        const { x, y, z } = viewer.origin;
+        props.georef['Origen de escena'] = [x, y, z].map(value => formatLength(value)).join(', ');
+    }
 
     // ---- Material Info ----
     const mat = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
     if (mat && mat !== highlightMaterial) {
         props.material['Tipo Material'] = mat.type || 'Unknown';
         if (mat.color) {
-            props.material['Color'] = '#' + mat.color.getHexString();
+            const color = mat.color.clone();
+            // IFC styles live in the instance colours (materials are white)
+            const instanceId = hit?.instanceId ?? firstInstance(mesh, itemID);
+            if (mesh.instanceColor && instanceId !== undefined) {
+                const instanceColor = new THREE.Color();
+                mesh.getColorAt(instanceId, instanceColor);
+                color.multiply(instanceColor);
+            }
+            props.material['Color'] = '#' + color.getHexString();
         }
         if (mat.opacity !== undefined && mat.opacity < 1) {
             props.material['Opacidad'] = (mat.opacity * 100).toFixed(0) + '%';
@@ -343,136 +1218,50 @@ function extractProperties(mesh, fragmentGroup, hit, viewer) {
     }
 
     // ---- IFC Properties ----
-    // Useful IFC attributes to display
-    const USEFUL_IFC_KEYS = new Set([
-        'Name', 'Description', 'ObjectType', 'Tag', 'GlobalId',
-        'LongName', 'PredefinedType', 'OverallHeight', 'OverallWidth',
-        'NumberOfRiser', 'NumberOfTreads', 'RiserHeight', 'TreadLength',
-        'NominalValue', 'Area', 'Volume', 'GrossArea', 'NetArea',
-        'GrossSideArea', 'NetSideArea', 'GrossVolume', 'NetVolume',
-        'Width', 'Height', 'Depth', 'Length', 'Perimeter',
-        'TotalThickness', 'NominalDiameter', 'CrossSectionArea',
-        'FireRating', 'ThermalTransmittance', 'LoadBearing',
-        'IsExternal', 'Reference', 'Status', 'Phase',
-    ]);
-
-    // Keys to skip (internal/technical)
-    const SKIP_IFC_KEYS = new Set([
-        'expressID', 'type', 'LengthExponent', 'MassExponent', 'TimeExponent',
-        'ElectricCurrentExponent', 'ThermodynamicTemperatureExponent',
-        'AmountOfSubstanceExponent', 'LuminousIntensityExponent',
-        'ParameterTakesPrecedence', 'Sizeable', 'Exponent',
-        'Dimensions', 'UnitType', 'Prefix', 'ConversionFactor',
-        'ValueComponent', 'UnitComponent', 'OwnerHistory',
-        'RepresentationContexts', 'UnitsInContext',
-    ]);
+    if (group && Array.isArray(group.items)) {
+        // Get group-level info
+        if (group.ifcMetadata?.name) props.ifc['Nombre IFC'] = group.ifcMetadata.name;
+        if (getModelSchema(group)) props.ifc['Schema'] = getModelSchema(group);
+
+        if (itemID !== null) {
+            props.ifc['expressID'] = itemID;
+
+            try {
+                const itemProps = group.getLocalProperties?.()?.[itemID];
+                const ifcType = itemProps ? getIfcTypeName(itemProps.type) : null;
+                if (itemProps) {
+                    Object.assign(props.ifc, readIfcAttributes(itemProps, group));
+
+                    if (itemProps.Name?.value) props.general['Nombre'] = String(itemProps.Name.value);
+
+                    // IFC class and its ancestors in the model's schema
+                    if (ifcType) {
+                        props.ifc['Categoría IFC'] = ifcType;
+                        const ancestors = getIfcClassHierarchy(itemProps.type, getModelSchema(group))
+                            .filter(name => !GENERIC_IFC_ANCESTORS.has(name));
+                        if (ancestors.length > 0) props.ifc['Jerarquía'] = [ifcType, ...ancestors].join(' → ');
+                    }
+                }
 
-    try {
-        if (fragmentsManager && fragmentsManager.groups) {
-            fragmentsManager.groups.forEach((group) => {
-                // Check if mesh belongs to this group
-                let belongsToGroup = false;
-                group.traverse((child) => {
-                    if (child === mesh) belongsToGroup = true;
-                });
-
-                if (belongsToGroup) {
-                    // Get group-level info
-                    if (group.ifcMetadata?.name) props.ifc['Nombre IFC'] = group.ifcMetadata.name;
-                    if (group.ifcMetadata?.schema) props.ifc['Schema'] = group.ifcMetadata.schema;
-
-                    // Try to get properties from group data
-                    if (group.getLocalProperties) {
-                        try {
-                            const allProps = group.getLocalProperties();
-                            if (!allProps) return;
-
-                            // Find the expressID for this mesh
-                            // Fragments store items with expressIDs
-                            let expressID = null;
-
-                            // Method 1: direct property on mesh
-                            if (mesh.expressID !== undefined) {
-                                expressID = mesh.expressID;
-                            }
-
-                            // Method 2: check fragment items
-                            if (!expressID && group.items) {
-                                for (const [fragID, ids] of group.items) {
-                                    if (ids && ids.size > 0) {
-                                        // For now, try to find a matching fragment
-                                        for (const frag of group.children) {
-                                            if (frag === mesh && ids.size > 0) {
-                                                expressID = [...ids][0];
-                                                break;
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-
-                            // Method 3: find which fragment this mesh is, and get its expressIDs
-                            if (!expressID) {
-                                // Each child mesh in a FragmentsGroup is a "Fragment"
-                                // that can contain multiple IFC elements
-                                const fragIndex = group.children.indexOf(mesh);
-                                if (fragIndex >= 0 && group.items) {
-                                    const itemEntries = [...group.items.entries()];
-                                    if (fragIndex < itemEntries.length) {
-                                        const [, ids] = itemEntries[fragIndex];
-                                        if (ids && ids.size > 0) {
-                                            expressID = [...ids][0];
-                                        }
-                                    }
-                                }
-                            }
-
-                            if (expressID) {
-                                props.ifc['expressID'] = expressID;
-
-                                // Get the element properties
-                                const itemProps = allProps[expressID];
-                                if (itemProps) {
-                                    // Extract useful IFC attributes
-                                    for (const [key, val] of Object.entries(itemProps)) {
-                                        if (SKIP_IFC_KEYS.has(key)) continue;
-
-                                        let displayVal = null;
-                                        if (val === null || val === undefined) continue;
-
-                                        if (typeof val === 'object' && val !== null) {
-                                            if (val.value !== undefined) {
-                                                displayVal = val.value;
-                                            } else if (val.type !== undefined && val.Name?.value) {
-                                                displayVal = val.Name.value;
-                                            }
-                                        } else {
-                                            displayVal = val;
-                                        }
-
-                                        if (displayVal !== null && displayVal !== undefined && displayVal !== '') {
-                                            props.ifc[key] = String(displayVal);
-                                        }
-                                    }
-                                }
-
-                                // Try to determine IFC type from the type code
-                                if (itemProps?.type) {
-                                    const ifcType = getIfcTypeName(itemProps.type);
-                                    if (ifcType) {
-                                        props.ifc['Categoría IFC'] = ifcType;
-                                    }
-                                }
-                            }
-                        } catch (e) {
-                            console.warn('[Selection] Error reading fragment properties:', e);
-                        }
+                // Materials, layer sets... (IfcRelAssociatesMaterial)
+                for (const material of getItemMaterials(viewer, group, itemID)) {
+                    props.ifcMaterials.push(describeMaterial(material, ifcType));
+                }
+
+                // Psets / Qtos of the element and of its type object
+                for (const set of getItemPropertySets(viewer, group, itemID)) {
+                    const values = {};
+                    for (const property of set.values) {
+                        values[property.name] = property.bounds
+                            ? property.bounds.map(bound => bound === null ? '…' : formatPropertyValue(bound, property)).join(' – ')
+                            : formatPropertyValue(property.value, property);
                     }
+                    props.propertySets.push({ name: set.name, kind: set.kind, origin: set.origin, values });
                 }
-            });
+            } catch (e) {
+                console.warn('[Selection] Error reading fragment properties:', e);
+            }
         }
-    } catch (e) {
-        console.warn('[Selection] Error reading fragment data:', e);
     }
 
     // Clean up empty sections
@@ -485,6 +1274,105 @@ function extractProperties(mesh, fragmentGroup, hit, viewer) {
     return props;
 }
 
+// Classes whose layer sets stack vertically when no usage gives the direction
+const HORIZONTAL_LAYERED_TYPES = new Set(['IfcSlab', 'IfcSlabStandardCase', 'IfcRoof', 'IfcCovering']);
+
+/**
+ * Display rows of an IFC material definition for the properties panel
+ */
+function describeMaterial(material, ifcType) {
+    const entry = { title: material.name, kind: material.kind, origin: material.origin, values: {} };
+    const { values } = entry;
+
+    switch (material.kind) {
+        case 'material':
+            values['Material'] = material.name;
+            if (material.category) values['Categoría'] = material.category;
+            break;
+        case 'list':
+            material.materials.forEach((name, i) => { values[`Material ${i + 1}`] = name; });
+            break;
+        case 'layers': {
+            const length = { unit: material.unit, unitType: 'LENGTHUNIT', scale: material.scale };
+            values['Espesor total'] = formatPropertyValue(material.thickness, length);
+            if (material.offset) values['Desfase'] = formatPropertyValue(material.offset, length);
+            entry.direction = material.direction || (HORIZONTAL_LAYERED_TYPES.has(ifcType) ? 'AXIS3' : 'AXIS2');
+            entry.layers = material.layers.map(layer => ({
+                name: layer.name,
+                material: layer.material,
+                thickness: layer.thickness,
+                label: formatPropertyValue(layer.thickness, length) + (layer.ventilated ? ' (ventilada)' : ''),
+            }));
+            break;
+        }
+        case 'profiles':
+            material.profiles.forEach((profile, i) => {
+                values[profile.name || `Perfil ${i + 1}`] = [profile.material, profile.profile].filter(Boolean).join(' · ') || '—';
+            });
+            break;
+        case 'constituents':
+            material.constituents.forEach((constituent, i) => {
+                const fraction = constituent.fraction !== null ? `${formatNumber(constituent.fraction * 100, { digits: 4 })} %` : null;
+                values[constituent.name || constituent.category || `Constituyente ${i + 1}`] =
+                    [constituent.material, fraction].filter(Boolean).join(' · ') || '—';
+            });
+            break;
+    }
+    return entry;
+}
+
+/**
+ * Display text of a Pset / Qto value with its unit, converted to the
+ * display units when it is a length, area, volume or angle
+ * @param {*} value
+ * @param {Object} unit - { unit, unitType, scale } as read by ifc.js
+ */
+function formatPropertyValue(value, unit) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+    if (typeof value === 'number') return formatMeasure(value, unit);
+    return unit.unit ? `${value} ${unit.unit}` : String(value);
+}
+
+/**
+ * Geometry stats and world-space size of one IFC item: all its instances
+ * in every fragment it is split across
+ */
+function describeItemGeometry(fragments, itemID, target) {
+    const box = new THREE.Box3();
+    const instanceBox = new THREE.Box3();
+    const matrix = new THREE.Matrix4();
+    let vertices = 0;
+    let triangles = 0;
+
+    for (const fragment of fragments) {
+        const { mesh } = fragment;
+        const geo = mesh.geometry;
+        if (!geo.boundingBox) geo.computeBoundingBox();
+
+        const instances = fragment.getInstancesIDs(itemID) || [];
+        for (const instance of instances) {
+            mesh.getMatrixAt(instance, matrix);
+            matrix.premultiply(mesh.matrixWorld);
+            box.union(instanceBox.copy(geo.boundingBox).applyMatrix4(matrix));
+
+            const vertexCount = geo.attributes?.position?.count || 0;
+            vertices += vertexCount;
+            triangles += Math.floor((geo.index?.count || vertexCount) / 3);
+        }
+    }
+
+    target['Vértices'] = vertices.toLocaleString();
+    target['Triángulos'] = triangles.toLocaleString();
+
+    if (!box.isEmpty()) {
+        const size = box.getSize(new THREE.Vector3());
+        target['Ancho (X)'] = formatLength(size.x);
+        target['Alto (Y)'] = formatLength(size.y);
+        target['Profundidad (Z)'] = formatLength(size.z);
+    }
+}
+
 /**
  * Render properties to the panel
  * @param {Object|null} props - Properties object or null to clear
@@ -508,37 +1396,115 @@ export function renderProperties(props) {
         ifc: { label: 'IFC', icon: 'fas fa-building' },
         geometry: { label: 'Geometría', icon: 'fas fa-shapes' },
         position: { label: 'Punto de intersección', icon: 'fas fa-crosshairs' },
-        material: { label: 'Material', icon: 'fas fa-palette' },
+        material: { label: 'Apariencia', icon: 'fas fa-palette' },
+        georef: { label: 'Georreferenciación', icon: 'fas fa-globe-europe' },
+        metadata: { label: 'Metadatos', icon: 'fas fa-tags' },
+        classes: { label: 'Clases IFC', icon: 'fas fa-list' },
+        common: { label: 'Valores comunes', icon: 'fas fa-equals' },
     };
 
     let html = '';
 
     for (const [sectionKey, sectionData] of Object.entries(props)) {
+        if (sectionKey === 'propertySets') {
+            html += sectionData.map(renderPropertySet).join('');
+            continue;
+        }
+        if (sectionKey === 'ifcMaterials') {
+            html += sectionData.map(renderMaterial).join('');
+            continue;
+        }
+
         const meta = sectionNames[sectionKey] || { label: sectionKey, icon: 'fas fa-tag' };
         const entries = Object.entries(sectionData);
         if (entries.length === 0) continue;
 
         html += `<div class="prop-group">`;
         html += `<div class="prop-group-title"><i class="${meta.icon}" style="margin-right: 6px;"></i>${meta.label}</div>`;
+        html += entries.map(([key, value]) => renderPropertyRow(key, value)).join('');
+        html += `</div>`;
+    }
 
-        for (const [key, value] of entries) {
-            // Special rendering for color values
-            let displayValue = String(value);
-            if (key === 'Color' && displayValue.startsWith('#')) {
-                displayValue = `<span style="display: inline-flex; align-items: center; gap: 6px;">
-                    <span style="width: 12px; height: 12px; border-radius: 2px; background: ${displayValue}; border: 1px solid rgba(255,255,255,0.2); display: inline-block;"></span>
-                    ${displayValue}
-                </span>`;
-            }
+    content.innerHTML = html;
 
-            html += `<div class="prop-item">`;
-            html += `<span class="prop-key">${key}</span>`;
-            html += `<span class="prop-val">${displayValue}</span>`;
-            html += `</div>`;
-        }
+    // Remember which Psets / Qtos were folded, across selections
+    content.querySelectorAll('details.prop-set').forEach((details) => {
+        details.addEventListener('toggle', () => {
+            if (details.open) collapsedSets.delete(details.dataset.set);
+            else collapsedSets.add(details.dataset.set);
+        });
+    });
+}
 
+/**
+ * A Pset / Qto as a collapsible group, marked with where it comes from
+ */
+function renderPropertySet(set) {
+    const icon = set.kind === 'qto' ? 'fas fa-ruler-combined' : 'fas fa-list-ul';
+    const origin = set.origin === 'type'
+        ? '<span class="prop-set-origin type" title="Heredado del tipo">Tipo</span>'
+        : '<span class="prop-set-origin" title="Definido en el elemento">Instancia</span>';
+    const rows = Object.entries(set.values).map(([key, value]) => renderPropertyRow(key, value)).join('');
+
+    return `
+        <details class="prop-group prop-set" data-set="${escapeHtml(set.name)}" ${collapsedSets.has(set.name) ? '' : 'open'}>
+            <summary class="prop-group-title"><i class="${icon}" style="margin-right: 6px;"></i>${escapeHtml(set.name)}${origin}</summary>
+            ${rows || '<div class="prop-item"><span class="prop-key">(vacío)</span></div>'}
+        </details>
+    `;
+}
+
+/**
+ * An IFC material definition; layer sets get a build-up diagram
+ */
+function renderMaterial(entry) {
+    const icons = { layers: 'fas fa-bars', profiles: 'fas fa-grip-lines-vertical', constituents: 'fas fa-chart-pie' };
+    const origin = entry.origin === 'type'
+        ? '<span class="prop-set-origin type" title="Heredado del tipo">Tipo</span>'
+        : '';
+
+    let html = `<div class="prop-group">`;
+    html += `<div class="prop-group-title prop-material-title"><i class="${icons[entry.kind] || 'fas fa-swatchbook'}" style="margin-right: 6px;"></i>Material IFC: ${escapeHtml(entry.title)}${origin}</div>`;
+    html += Object.entries(entry.values).map(([key, value]) => renderPropertyRow(key, value)).join('');
+
+    if (entry.layers?.length) {
+        // Slabs and roofs build up from the top, walls from the reference line outwards
+        const vertical = entry.direction === 'AXIS3';
+        html += `<div class="layer-diagram${vertical ? ' vertical' : ''}">`;
+        html += entry.layers.map(layer => `<span class="layer-band" style="flex-grow: ${layer.thickness}; background: ${layerColor(layer.material || layer.name)};" title="${escapeHtml(`${layer.name} · ${layer.label}`)}"></span>`).join('');
         html += `</div>`;
+
+        html += entry.layers.map((layer, i) => `
+            <div class="prop-item">
+                <span class="prop-key"><span class="layer-swatch" style="background: ${layerColor(layer.material || layer.name)};"></span>${i + 1}. ${escapeHtml(layer.name)}</span>
+                <span class="prop-val">${escapeHtml(layer.label)}</span>
+            </div>
+        `).join('');
     }
 
-    content.innerHTML = html;
+    html += `</div>`;
+    return html;
+}
+
+/**
+ * Stable colour for a material name, so equal materials match across layers
+ */
+function layerColor(name) {
+    let hash = 0;
+    for (const char of String(name)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return `hsl(${Math.abs(hash) % 360}, 35%, 55%)`;
+}
+
+function renderPropertyRow(key, value) {
+    // Special rendering for color values
+    // Values come from the model file (IFC attributes, glTF extras)
+    let displayValue = escapeHtml(value);
+    if (key === 'Color' && displayValue.startsWith('#')) {
+        displayValue = `<span style="display: inline-flex; align-items: center; gap: 6px;">
+            <span style="width: 12px; height: 12px; border-radius: 2px; background: ${displayValue}; border: 1px solid rgba(255,255,255,0.2); display: inline-block;"></span>
+            ${displayValue}
+        </span>`;
+    }
+
+    return `<div class="prop-item"><span class="prop-key">${escapeHtml(key)}</span><span class="prop-val">${displayValue}</span></div>`;
 }
@@ -0,0 +1,40 @@
+/**
+ * Bitform 3D Viewer — Browser Storage
+ *
+ * Small JSON values kept in localStorage (display units, saved queries).
+ * Storage may be blocked (sandboxed iframe, private browsing) or hold
+ * corrupt data: reads then fall back and writes are skipped, so the
+ * values only last for the session.
+ */
+
+/**
+ * Read a stored value
+ * @param {string} key - localStorage key
+ * @param {*} fallback - Returned when nothing valid is stored
+ * @returns {*} The parsed JSON value
+ */
+export function readStored(key, fallback) {
+    try {
+        const text = localStorage.getItem(key);
+        return text === null ? fallback : JSON.parse(text);
+    } catch (e) {
+        console.warn(`[Storage] Could not read "${key}":`, e.message);
+        return fallback;
+    }
+}
+
+/**
+ * Store a value as JSON
+ * @param {string} key - localStorage key
+ * @param {*} value
+ * @returns {boolean} Whether it was stored
+ */
+export function writeStored(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        console.warn(`[Storage] Could not store "${key}":`, e.message);
+        return false;
+    }
+}
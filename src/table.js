@@ -0,0 +1,383 @@
+/**
+ * Bitform 3D Viewer — Property Tables
+ *
+ * Turns IFC elements into rows (GlobalId, class, storey, attributes and
+ * Pset / Qto values) for CSV, XLSX or JSON, or for the host page to write
+ * straight into a spreadsheet. Columns are keyed by name:
+ *
+ *   'GlobalId', 'Class', 'Storey', 'Model', 'ExpressID'   element info
+ *   'Name', 'ObjectType', 'Tag'...                         IFC attributes
+ *   'Pset_WallCommon.FireRating', 'Qto_WallBaseQuantities.Length'
+ *
+ * Pset / Qto values keep their unit: in the column header ("Length (mm)")
+ * or next to each value ("4200 mm").
+ */
+
+import * as WEBIFC from 'web-ifc';
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { getModels, getModel } from './viewer.js';
+import { getSelectedItems } from './selection.js';
+import { findElementsByGlobalId } from './query.js';
+import { indexModelRelations, getIfcTypeName, getItemStorey, getItemPropertySets, val } from './ifc.js';
+import { downloadBlob } from './ui.js';
+
+// ============================================
+// State
+// ============================================
+const INFO_COLUMNS = {
+    GlobalId: 'GlobalId',
+    Class: 'Clase',
+    Storey: 'Planta',
+    Model: 'Modelo',
+    ExpressID: 'ExpressID',
+};
+// Attributes offered in the column picker; any other can be asked by name
+const ATTRIBUTE_COLUMNS = ['Name', 'Description', 'ObjectType', 'Tag', 'PredefinedType', 'LongName'];
+export const DEFAULT_COLUMNS = ['GlobalId', 'Class', 'Name', 'Storey'];
+
+const FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+    xlsx: { extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'json', type: 'application/json' },
+};
+export const TABLE_FORMATS = Object.keys(FORMATS);
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * IFC elements to tabulate
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} [options]
+ * @param {string} [options.scope] - 'selection' (default) or 'all'
+ * @param {string[]} [options.models] - With 'all': only these model ids
+ * @param {string[]} [options.globalIds] - Elements by GlobalId (overrides the scope)
+ * @returns {Map<string, Set<number>>} Model id -> expressIDs
+ */
+export function resolveTableItems(viewer, { scope = 'selection', models = null, globalIds = null } = {}) {
+    if (globalIds) return findElementsByGlobalId(viewer, globalIds, { models });
+    if (scope === 'selection') return getSelectedItems();
+    if (scope !== 'all') throw new Error(`Ámbito no válido: ${scope}`);
+
+    const items = new Map();
+    for (const { id: modelId, model } of getModels(viewer)) {
+        if (models && !models.includes(modelId)) continue;
+        if (!model.getLocalProperties?.() || !Array.isArray(model.items)) continue;
+
+        const ids = new Set();
+        for (const fragment of model.items) {
+            for (const id of fragment.ids) ids.add(id);
+        }
+        if (ids.size > 0) items.set(modelId, ids);
+    }
+    return items;
+}
+
+/**
+ * Columns available for some elements: element info, the usual attributes
+ * and every Pset / Qto property they have
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - From resolveTableItems
+ * @returns {Promise<Object[]>} { key, label, group: 'info'|'attribute'|'pset'|'qto', set?, unit }
+ */
+export async function getTableColumns(viewer, items) {
+    const columns = [
+        ...Object.entries(INFO_COLUMNS).map(([key, label]) => ({ key, label, group: 'info', unit: null })),
+        ...ATTRIBUTE_COLUMNS.map(key => ({ key, label: key, group: 'attribute', unit: null })),
+    ];
+
+    const properties = new Map();   // key -> column
+    for (const element of await readElements(viewer, items)) {
+        for (const [key, { set, kind, unit }] of element.values) {
+            if (!properties.has(key)) {
+                properties.set(key, { key, label: key, group: kind, set, units: new Set() });
+            }
+            if (unit) properties.get(key).units.add(unit);
+        }
+    }
+
+    const sorted = [...properties.values()].sort((a, b) => {
+        if (a.group !== b.group) return a.group === 'pset' ? -1 : 1;
+        return a.key.localeCompare(b.key);
+    });
+    for (const { units, ...column } of sorted) {
+        columns.push({ ...column, unit: units.size === 1 ? [...units][0] : null });
+    }
+    return columns;
+}
+
+/**
+ * Build the table
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - From resolveTableItems
+ * @param {Object} [options]
+ * @param {string[]} [options.columns] - Column keys; defaults to DEFAULT_COLUMNS + every Pset / Qto
+ * @param {string} [options.units] - 'header' (default) or 'value'
+ * @returns {Promise<{ columns: Object[], header: string[], rows: Array[] }>}
+ *          columns: { key, label, unit }; rows: one array of cells per element
+ */
+export async function getPropertyTable(viewer, items, { columns = null, units = 'header' } = {}) {
+    const elements = await readElements(viewer, items);
+
+    let keys = columns?.length ? columns.map(String) : null;
+    if (!keys) {
+        const found = new Set();
+        for (const element of elements) {
+            for (const key of element.values.keys()) found.add(key);
+        }
+        keys = [...DEFAULT_COLUMNS, ...[...found].sort((a, b) => a.localeCompare(b))];
+    }
+
+    const tableColumns = keys.map((key) => {
+        // The unit goes in the header only when every element agrees on it
+        const unitSet = new Set();
+        for (const element of elements) {
+            const unit = element.values.get(key)?.unit;
+            if (unit) unitSet.add(unit);
+        }
+        const unit = unitSet.size === 1 ? [...unitSet][0] : null;
+        const mixed = unitSet.size > 1;
+        const label = INFO_COLUMNS[key] || key;
+
+        return {
+            key,
+            label: units === 'header' && unit ? `${label} (${unit})` : label,
+            unit,
+            withUnit: units === 'value' || mixed,
+        };
+    });
+
+    const rows = elements.map(element => tableColumns.map(column => readCell(element, column)));
+
+    console.log(`[Table] ${rows.length} filas, ${tableColumns.length} columnas`);
+    return {
+        columns: tableColumns.map(({ key, label, unit }) => ({ key, label, unit })),
+        header: tableColumns.map(column => column.label),
+        rows,
+    };
+}
+
+/**
+ * Serialize a table
+ * @param {Object} table - From getPropertyTable
+ * @param {string} format - 'csv' | 'xlsx' | 'json'
+ * @returns {Blob}
+ */
+export function tableToBlob(table, format) {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Formato no válido: ${format}`);
+
+    switch (format) {
+        case 'csv':
+            // BOM so Excel reads the accents
+            return new Blob(['\ufeff' + tableToCsv(table)], { type: spec.type });
+        case 'xlsx':
+            return new Blob([tableToXlsx(table)], { type: spec.type });
+        default:
+            return new Blob([JSON.stringify(tableToObjects(table), null, 2)], { type: spec.type });
+    }
+}
+
+/**
+ * Build a table and download it
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} options - resolveTableItems and getPropertyTable options, plus
+ *                           { format: 'csv'|'xlsx'|'json', filename? (without extension) }
+ * @returns {Promise<number>} Rows exported
+ */
+export async function downloadPropertyTable(viewer, { format = 'csv', filename = 'propiedades', ...options } = {}) {
+    if (!FORMATS[format]) throw new Error(`Formato no válido: ${format}`);
+
+    const items = resolveTableItems(viewer, options);
+    const table = await getPropertyTable(viewer, items, options);
+    if (table.rows.length === 0) throw new Error('No hay elementos IFC que exportar');
+
+    downloadBlob(tableToBlob(table, format), `${filename}.${FORMATS[format].extension}`);
+    return table.rows.length;
+}
+
+// ============================================
+// Rows
+// ============================================
+
+/**
+ * Element info and Pset / Qto values ("Pset.Property" -> { value, unit }).
+ * Instance values win over the ones from the type.
+ */
+async function readElements(viewer, items) {
+    const elements = [];
+
+    for (const [modelId, ids] of items) {
+        const entry = getModel(viewer, modelId);
+        const properties = entry?.model.getLocalProperties?.();
+        if (!properties) continue;
+
+        await indexModelRelations(viewer, entry.model);
+
+        for (const expressID of ids) {
+            const entity = properties[expressID];
+            if (!entity) continue;
+
+            const values = new Map();
+            for (const set of getItemPropertySets(viewer, entry.model, expressID)) {
+                for (const { name, value, unit } of set.values) {
+                    const key = `${set.name}.${name}`;
+                    if (!values.has(key)) values.set(key, { set: set.name, kind: set.kind, value, unit });
+                }
+            }
+
+            elements.push({
+                entry,
+                expressID,
+                entity,
+                type: getIfcTypeName(entity.type),
+                storey: getItemStorey(viewer, entry.model, expressID),
+                values,
+            });
+        }
+    }
+    return elements;
+}
+
+function readCell(element, { key, withUnit }) {
+    switch (key) {
+        case 'GlobalId':
+            return val(element.entity.GlobalId) ?? null;
+        case 'Class':
+            return element.type;
+        case 'Storey':
+            return element.storey?.name ?? null;
+        case 'Model':
+            return element.entry.name;
+        case 'ExpressID':
+            return element.expressID;
+        default:
+            break;
+    }
+
+    if (element.values.has(key)) {
+        const { value, unit } = element.values.get(key);
+        const clean = typeof value === 'number' ? trimNumber(value) : value ?? null;
+        return withUnit && unit && clean !== null ? `${clean} ${unit}` : clean;
+    }
+
+    // Direct attribute, skipping references to other entities
+    const attribute = Object.keys(element.entity).find(name => name.toLowerCase() === key.toLowerCase());
+    const raw = attribute ? element.entity[attribute] : undefined;
+    if (raw === null || raw === undefined || raw?.type === WEBIFC.REF) return null;
+    const value = val(raw);
+    return typeof value === 'object' ? null : value;
+}
+
+// ============================================
+// Formats
+// ============================================
+
+function tableToCsv({ header, rows }) {
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * One object per element, keyed by column label
+ */
+function tableToObjects({ header, rows }) {
+    return rows.map(row => Object.fromEntries(header.map((label, i) => [label, row[i]])));
+}
+
+/**
+ * Minimal XLSX workbook (one sheet, inline strings, bold frozen header):
+ * typed cells so numbers stay numbers in Excel / Sheets
+ */
+function tableToXlsx({ header, rows }) {
+    const xmlRows = [header, ...rows].map((row, r) => {
+        const cells = row.map((value, c) => xlsxCell(`${columnName(c)}${r + 1}`, value, r === 0));
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+    const lastCell = `${columnName(Math.max(0, header.length - 1))}${rows.length + 1}`;
+
+    const files = {
+        '[Content_Types].xml': xml(`<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`),
+        '_rels/.rels': xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`),
+        'xl/workbook.xml': xml(`<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="Propiedades" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`),
+        'xl/_rels/workbook.xml.rels': xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`),
+        'xl/styles.xml': xml(`<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`),
+        'xl/worksheets/sheet1.xml': xml(`<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<dimension ref="A1:${lastCell}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData>${xmlRows.join('')}</sheetData>
+</worksheet>`),
+    };
+
+    return zipSync(Object.fromEntries(Object.entries(files).map(([name, text]) => [name, strToU8(text)])));
+}
+
+function xlsxCell(ref, value, bold) {
+    const style = bold ? ' s="1"' : '';
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// ============================================
+// Utility
+// ============================================
+
+/**
+ * Spreadsheet column letters: 0 -> A, 26 -> AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function xml(body) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function csvCell(value) {
+    if (value === true) return 'Sí';
+    if (value === false) return 'No';
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Drop floating point noise: 2.4999999999998 -> 2.5
+ */
+function trimNumber(value) {
+    return Number.isFinite(value) ? parseFloat(value.toPrecision(12)) : value;
+}
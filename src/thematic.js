@@ -0,0 +1,402 @@
+/**
+ * Bitform 3D Viewer — Thematic Views
+ *
+ * Colours IFC elements by the value of a field (class, storey, attribute or
+ * Pset property), by values pushed by the host page, or with the host's own
+ * { GlobalId: colour } map. Categories get a palette and numbers a gradient.
+ * The legend over the viewport isolates a value on click.
+ */
+
+import * as THREE from 'three';
+import { getModels } from './viewer.js';
+import { getElementValues } from './query.js';
+import { paintItems, resetItemColors } from './colors.js';
+import { isolateItems, showAllItems } from './visibility.js';
+import { val } from './ifc.js';
+import { formatMeasure, formatNumber, onUnitsChange } from './units.js';
+import { escapeHtml } from './ui.js';
+
+// ============================================
+// State
+// ============================================
+const PALETTE = [
+    '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+    '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac',
+];
+const GRADIENT = ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'];
+const GRADIENT_STEPS = 32;          // Distinct colours painted for numeric values
+const NUMERIC_BINS = 5;             // Legend ranges for numeric values
+const LEGEND_LIMIT = 40;            // Legend rows; every category is painted anyway
+const MISSING_COLOR = '#d4d4d8';
+const MISSING_LABEL = 'Sin valor';
+
+const FIELD_LABELS = { class: 'Clase IFC', storey: 'Planta' };
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+let viewerRef = null;
+let onVisibilityCallback = null;
+// Current view: { title, kind: 'categorical'|'numeric'|'colors', entries, min, max, unit }
+// with entries { label, color, count, items: Map<model id, Set<expressID>> }; numeric
+// bins have a range [from, to] instead of a label, formatted in the display units
+let theme = null;
+let isolatedEntry = null;           // Legend row isolated in the viewport
+
+/**
+ * Initialize the thematic views and their legend
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Function} onVisibilityChange - Called after a legend value is isolated
+ */
+export function initThematic(viewer, onVisibilityChange) {
+    viewerRef = viewer;
+    onVisibilityCallback = onVisibilityChange;
+
+    const legend = document.getElementById('color-legend');
+    if (!legend) return;
+
+    // Event delegation: the legend is re-rendered for every view
+    legend.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        if (btn.dataset.action === 'close') {
+            clearThematic(viewerRef);
+        } else if (btn.dataset.action === 'isolate') {
+            toggleIsolation(Number(btn.dataset.entry));
+        }
+    });
+
+    // Numeric legends follow the display units
+    onUnitsChange(() => renderLegend());
+
+    console.log('[Thematic] Initialized');
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Colour every IFC element by one field
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} spec - { field: 'class'|'storey'|'attribute'|'property', name?, pset? }
+ * @returns {Promise<Object>} The legend (see getThematicLegend)
+ */
+export async function colorByProperty(viewer, spec) {
+    const unit = {};
+    const values = await getElementValues(viewer, spec, { unit });
+    const title = FIELD_LABELS[spec.field] || (spec.pset ? `${spec.pset}.${spec.name}` : spec.name);
+    return applyTheme(viewer, title, values, unit);
+}
+
+/**
+ * Colour elements by values supplied by the host page
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} values - { GlobalId: value }; numbers get a gradient
+ * @param {Object} [options] - { title }
+ * @returns {Object} The legend
+ */
+export function colorByValues(viewer, values, { title = 'Valores' } = {}) {
+    const byGlobalId = new Map(Object.entries(values || {}));
+    const itemValues = new Map();
+
+    // Elements the host says nothing about are shown as "Sin valor"
+    forEachGlobalId(viewer, (modelId, expressID, globalId) => {
+        if (!itemValues.has(modelId)) itemValues.set(modelId, new Map());
+        itemValues.get(modelId).set(expressID, byGlobalId.get(globalId) ?? null);
+    });
+    return applyTheme(viewer, title, itemValues);
+}
+
+/**
+ * Paint elements with the host's own colours; the rest keep theirs
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} colors - { GlobalId: CSS colour }
+ * @param {Object} [options] - { title, labels: { colour: legend label } }
+ * @returns {Object} The legend
+ */
+export function colorByGlobalId(viewer, colors, { title = 'Colores', labels = {} } = {}) {
+    const byGlobalId = new Map(Object.entries(colors || {}));
+    const groups = new Map();       // CSS colour -> entry
+
+    forEachGlobalId(viewer, (modelId, expressID, globalId) => {
+        const color = byGlobalId.get(globalId);
+        if (!color) return;
+        if (!groups.has(color)) groups.set(color, { label: labels[color] || color, color, items: new Map(), count: 0 });
+        addItem(groups.get(color), modelId, expressID);
+    });
+
+    const entries = [...groups.values()].sort((a, b) => collator.compare(a.label, b.label));
+    return showTheme(viewer, { title, kind: 'colors', entries });
+}
+
+/**
+ * Back to the model colours and hide the legend
+ * @param {Object} viewer - Viewer instance
+ */
+export function clearThematic(viewer) {
+    resetItemColors(viewer);
+    if (isolatedEntry !== null) {
+        showAllItems(viewer);
+        if (onVisibilityCallback) onVisibilityCallback();
+    }
+    theme = null;
+    isolatedEntry = null;
+    renderLegend();
+}
+
+/**
+ * Legend of the current view, without the element sets
+ * @returns {Object|null} { title, kind, min, max, entries: [{ label, color, count }] }
+ */
+export function getThematicLegend() {
+    if (!theme) return null;
+    return {
+        title: theme.title,
+        kind: theme.kind,
+        min: theme.min ?? null,
+        max: theme.max ?? null,
+        entries: theme.entries.map(entry => ({ label: entryLabel(entry), color: entry.color, count: entry.count })),
+    };
+}
+
+// ============================================
+// Themes
+// ============================================
+
+/**
+ * Group element values into legend entries: a palette for categories, a
+ * gradient for numbers
+ */
+function applyTheme(viewer, title, values, unit = {}) {
+    const groups = new Map();       // value -> { value, items, count }
+    const missing = { label: MISSING_LABEL, color: MISSING_COLOR, items: new Map(), count: 0, missing: true };
+    let numeric = true;
+
+    for (const [modelId, ids] of values) {
+        for (const [expressID, value] of ids) {
+            if (value === null || value === undefined || value === '') {
+                addItem(missing, modelId, expressID);
+                continue;
+            }
+            if (typeof value !== 'number') numeric = false;
+            const key = typeof value === 'number' ? value : formatValue(value);
+            if (!groups.has(key)) groups.set(key, { value, items: new Map(), count: 0 });
+            addItem(groups.get(key), modelId, expressID);
+        }
+    }
+
+    const view = numeric && groups.size > 0
+        ? numericTheme(title, [...groups.values()], unit)
+        : categoricalTheme(title, [...groups.values()]);
+    if (missing.count > 0) view.entries.push(missing);
+    return showTheme(viewer, view);
+}
+
+function categoricalTheme(title, groups) {
+    groups.sort((a, b) => collator.compare(formatValue(a.value), formatValue(b.value)));
+    const entries = groups.map((group, i) => ({
+        label: formatValue(group.value),
+        color: paletteColor(i),
+        items: group.items,
+        count: group.count,
+    }));
+    return { title, kind: 'categorical', entries };
+}
+
+/**
+ * Numbers are painted along the gradient; the legend splits the range in bins
+ */
+function numericTheme(title, groups, unit) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const { value } of groups) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    const span = max - min || 1;
+
+    const steps = [];               // Painting: one entry per gradient step
+    const bins = [];                // Legend
+    for (let i = 0; i < NUMERIC_BINS; i++) {
+        const from = min + (span * i) / NUMERIC_BINS;
+        const to = min + (span * (i + 1)) / NUMERIC_BINS;
+        bins.push({
+            range: [from, to],
+            color: gradientColor((i + 0.5) / NUMERIC_BINS),
+            items: new Map(),
+            count: 0,
+        });
+    }
+
+    for (const group of groups) {
+        const t = (group.value - min) / span;
+        const step = Math.round(t * (GRADIENT_STEPS - 1));
+        if (!steps[step]) steps[step] = { color: gradientColor(step / (GRADIENT_STEPS - 1)), items: new Map() };
+        const bin = bins[Math.min(NUMERIC_BINS - 1, Math.floor(t * NUMERIC_BINS))];
+
+        for (const [modelId, ids] of group.items) {
+            for (const id of ids) {
+                addItem(steps[step], modelId, id);
+                addItem(bin, modelId, id);
+            }
+        }
+    }
+
+    return { title, kind: 'numeric', entries: bins, steps: steps.filter(Boolean), min, max, unit };
+}
+
+/**
+ * Paint a view (replacing the previous one) and show its legend
+ */
+function showTheme(viewer, view) {
+    if (isolatedEntry !== null) {
+        showAllItems(viewer);
+        if (onVisibilityCallback) onVisibilityCallback();
+    }
+    resetItemColors(viewer);
+
+    // Numeric views paint the gradient steps (and "Sin valor"), not the bins
+    const paintEntries = view.steps
+        ? [...view.steps, ...view.entries.filter(entry => entry.missing)]
+        : view.entries;
+
+    // One THREE.Color per entry: items sharing it are painted together
+    const colors = new Map();
+    for (const entry of paintEntries) {
+        const color = new THREE.Color(entry.color);
+        for (const [modelId, ids] of entry.items) {
+            if (!colors.has(modelId)) colors.set(modelId, new Map());
+            const itemColors = colors.get(modelId);
+            for (const id of ids) itemColors.set(id, color);
+        }
+    }
+    const painted = paintItems(viewer, colors);
+
+    theme = view;
+    isolatedEntry = null;
+    renderLegend();
+    console.log(`[Thematic] ${view.title}: ${view.entries.length} valores, ${painted} elementos`);
+    return getThematicLegend();
+}
+
+function toggleIsolation(index) {
+    const entry = theme?.entries[index];
+    if (!entry || entry.count === 0) return;
+
+    if (isolatedEntry === index) {
+        showAllItems(viewerRef);
+        isolatedEntry = null;
+    } else {
+        isolateItems(viewerRef, entry.items);
+        isolatedEntry = index;
+    }
+    if (onVisibilityCallback) onVisibilityCallback();
+    renderLegend();
+}
+
+// ============================================
+// Legend
+// ============================================
+
+function renderLegend() {
+    const legend = document.getElementById('color-legend');
+    if (!legend) return;
+
+    legend.classList.toggle('hidden', !theme);
+    if (!theme) {
+        legend.innerHTML = '';
+        return;
+    }
+
+    const rows = theme.entries.slice(0, LEGEND_LIMIT).map((entry, i) => `
+        <button class="legend-row ${isolatedEntry === i ? 'active' : ''} ${entry.count === 0 ? 'empty' : ''}"
+            data-action="isolate" data-entry="${i}" title="${isolatedEntry === i ? 'Mostrar todo' : 'Aislar'}">
+            <span class="legend-swatch" style="background: ${entry.color}"></span>
+            <span class="legend-label">${escapeHtml(entryLabel(entry))}</span>
+            <span class="legend-count">${entry.count.toLocaleString()}</span>
+        </button>
+    `).join('');
+    const more = theme.entries.length - LEGEND_LIMIT;
+
+    const gradient = theme.kind === 'numeric' ? `
+        <div class="legend-gradient" style="background: linear-gradient(to right, ${GRADIENT.join(', ')})"></div>
+        <div class="legend-range">
+            <span>${formatLegendNumber(theme.min, theme.unit)}</span>
+            <span>${formatLegendNumber(theme.max, theme.unit)}</span>
+        </div>
+    ` : '';
+
+    legend.innerHTML = `
+        <div class="legend-header">
+            <span class="legend-title">${escapeHtml(theme.title)}</span>
+            <button class="legend-close" data-action="close" title="Quitar colores">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        ${gradient}
+        <div class="legend-rows">${rows}</div>
+        ${more > 0 ? `<p class="legend-more">… y ${more.toLocaleString()} valores más</p>` : ''}
+    `;
+}
+
+// ============================================
+// Utility
+// ============================================
+function addItem(entry, modelId, expressID) {
+    if (!entry.items.has(modelId)) entry.items.set(modelId, new Set());
+    entry.items.get(modelId).add(expressID);
+    entry.count++;
+}
+
+/**
+ * Visit the IFC elements with geometry that have a GlobalId
+ */
+function forEachGlobalId(viewer, visit) {
+    for (const { id: modelId, model } of getModels(viewer)) {
+        const properties = model.getLocalProperties?.();
+        if (!properties || !Array.isArray(model.items)) continue;
+
+        const seen = new Set();
+        for (const fragment of model.items) {
+            for (const id of fragment.ids) {
+                if (seen.has(id)) continue;
+                seen.add(id);
+                const globalId = val(properties[id]?.GlobalId);
+                if (globalId) visit(modelId, id, globalId);
+            }
+        }
+    }
+}
+
+function paletteColor(index) {
+    if (index < PALETTE.length) return PALETTE[index];
+    // Beyond the palette: hues spread by the golden angle
+    return `#${new THREE.Color().setHSL((index * 0.618034) % 1, 0.55, 0.55).getHexString()}`;
+}
+
+function gradientColor(t) {
+    const position = Math.min(1, Math.max(0, t)) * (GRADIENT.length - 1);
+    const i = Math.min(GRADIENT.length - 2, Math.floor(position));
+    const color = new THREE.Color(GRADIENT[i]).lerp(new THREE.Color(GRADIENT[i + 1]), position - i);
+    return `#${color.getHexString()}`;
+}
+
+function formatValue(value) {
+    if (value === true) return 'Sí';
+    if (value === false) return 'No';
+    return String(value);
+}
+
+function entryLabel(entry) {
+    if (!entry.range) return entry.label;
+    return entry.range.map(value => formatLegendNumber(value, theme?.unit)).join(' – ');
+}
+
+/**
+ * Legend number with its unit; plain numbers keep four significant digits
+ */
+function formatLegendNumber(value, unit) {
+    if (unit?.unit || unit?.unitType) return formatMeasure(value, unit);
+    return formatNumber(value, { digits: 4 });
+}
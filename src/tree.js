@@ -0,0 +1,502 @@
+/**
+ * Bitform 3D Viewer — Spatial Tree
+ *
+ * Model browser built from the IFC spatial structure: Project → Site →
+ * Building → Storey → Space, with the contained elements grouped by class.
+ * Rows can be hidden, isolated, selected and framed. Only the rows in view
+ * are in the DOM, so models with 100k elements stay responsive.
+ */
+
+import { getModels, fitItems } from './viewer.js';
+import { indexModelRelations, getSpatialStructure } from './ifc.js';
+import { selectItems, getSelectedItems } from './selection.js';
+import { setItemsVisible, isolateItems, showAllItems, getHiddenItemIDs } from './visibility.js';
+import { escapeHtml } from './ui.js';
+
+// ============================================
+// State
+// ============================================
+const ROW_HEIGHT = 26;              // px, must match .tree-row in style.css
+const OVERSCAN = 10;                // Rows rendered above and below the viewport
+const INDENT = 14;                  // px per depth level
+
+// Spatial entities expanded when the tree is first built (storeys stay folded)
+const EXPANDED_TYPES = new Set(['IfcProject', 'IfcSite', 'IfcBuilding', 'IfcFacility', 'IfcBridge', 'IfcRoad', 'IfcRailway', 'IfcMarineFacility']);
+
+const TYPE_ICONS = {
+    IfcProject: 'fas fa-folder-open',
+    IfcSite: 'fas fa-map-marker-alt',
+    IfcBuilding: 'fas fa-building',
+    IfcBuildingStorey: 'fas fa-layer-group',
+    IfcSpace: 'fas fa-vector-square',
+};
+const KIND_ICONS = {
+    model: 'fas fa-file',
+    spatial: 'fas fa-cubes',
+    class: 'fas fa-shapes',
+    element: 'fas fa-cube',
+    group: 'fas fa-question-circle',
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+let viewerRef = null;
+let trees = new Map();              // model id -> root node
+let building = new Map();           // model id -> Promise while its tree is built
+let geometryIds = new Map();        // model id -> Set of expressIDs with geometry
+let nodesByItem = new Map();        // model id -> Map<expressID, node>
+let rows = [];                      // Nodes on display (expanded branches), in order
+let selected = new Map();           // Copy of the selection: model id -> Set<expressID>
+let activeNode = null;              // Node revealed from the 3D selection
+let isolatedNode = null;
+let visibilityVersion = 0;          // Bumped on every visibility change (node states are cached per version)
+let hiddenIds = new Map();          // model id -> { version, ids }
+let renderPending = false;
+
+/**
+ * Initialize the spatial tree panel
+ * @param {Object} viewer - Viewer instance from initViewer
+ */
+export function initTree(viewer) {
+    viewerRef = viewer;
+
+    const content = document.getElementById('tree-content');
+    if (!content) return;
+
+    // Event delegation: rows are re-created while scrolling
+    content.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-index]');
+        const node = row ? rows[Number(row.dataset.index)] : null;
+        if (!node) return;
+
+        const action = e.target.closest('[data-action]')?.dataset.action || 'select';
+        handleAction(action, node, e);
+    });
+    content.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
+
+    document.getElementById('btn-tree-show-all')?.addEventListener('click', () => {
+        showAllItems(viewerRef);
+        updateTreeVisibility();
+    });
+
+    render();
+    console.log('[Tree] Initialized');
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Sync the tree with the loaded models: drop unloaded ones and, while the
+ * panel is open, build the trees still missing
+ * @returns {Promise<void>}
+ */
+export async function refreshTree() {
+    if (!viewerRef) return;
+
+    const models = getModels(viewerRef);
+    const ids = new Set(models.map(entry => entry.id));
+    for (const id of [...trees.keys()]) {
+        if (ids.has(id)) continue;
+        trees.delete(id);
+        geometryIds.delete(id);
+        nodesByItem.delete(id);
+        hiddenIds.delete(id);
+    }
+    if (activeNode && !trees.has(activeNode.modelId)) activeNode = null;
+    if (isolatedNode && !trees.has(isolatedNode.modelId)) isolatedNode = null;
+
+    flatten();
+    render();
+
+    if (!isTreeOpen()) return;
+    const missing = models.filter(entry => !trees.has(entry.id));
+    if (missing.length === 0) return;
+
+    await Promise.all(missing.map(buildTree));
+    flatten();
+    revealSelection();
+}
+
+/**
+ * Highlight the selected elements; a single one is unfolded and scrolled into view
+ */
+export function revealSelection() {
+    selected = getSelectedItems();
+
+    let count = 0;
+    let item = null;
+    for (const [modelId, ids] of selected) {
+        count += ids.size;
+        if (ids.size > 0) item = [modelId, ids.values().next().value];
+    }
+
+    const node = count === 1 ? nodesByItem.get(item[0])?.get(item[1]) : null;
+    if (node) {
+        activeNode = node;
+        let unfolded = false;
+        for (let parent = node.parent; parent; parent = parent.parent) {
+            if (parent.expanded) continue;
+            parent.expanded = true;
+            unfolded = true;
+        }
+        if (unfolded) flatten();
+        scrollToNode(node);
+    } else if (count !== 1) {
+        activeNode = null;
+    }
+
+    scheduleRender();
+}
+
+/**
+ * Redraw the visibility toggles after elements were hidden or shown elsewhere
+ */
+export function updateTreeVisibility() {
+    isolatedNode = null;
+    visibilityVersion++;
+    scheduleRender();
+}
+
+// ============================================
+// Actions
+// ============================================
+
+function handleAction(action, node, event) {
+    const items = new Map([[node.modelId, getNodeItems(node)]]);
+
+    switch (action) {
+        case 'expand':
+            node.expanded = !node.expanded;
+            flatten();
+            break;
+
+        case 'visibility':
+            // A partly hidden branch is hidden whole first
+            setItemsVisible(viewerRef, items, getVisibility(node) === 'hidden');
+            isolatedNode = null;
+            visibilityVersion++;
+            break;
+
+        case 'isolate':
+            if (isolatedNode === node) {
+                showAllItems(viewerRef);
+                isolatedNode = null;
+            } else {
+                isolateItems(viewerRef, items);
+                isolatedNode = node;
+            }
+            visibilityVersion++;
+            break;
+
+        case 'select':
+            if (items.get(node.modelId).size === 0) return;
+            activeNode = node;
+            selectItems(viewerRef, items, { append: event.ctrlKey || event.metaKey || event.shiftKey });
+            fitItems(viewerRef, items);
+            break;
+
+        default:
+            return;
+    }
+
+    render();
+}
+
+// ============================================
+// Building
+// ============================================
+
+function isTreeOpen() {
+    return document.getElementById('tree-panel')?.classList.contains('panel-open') ?? false;
+}
+
+/**
+ * Build a model's tree once, even if asked again while it is being built
+ */
+function buildTree(entry) {
+    if (!building.has(entry.id)) {
+        renderLoading(true);
+        const task = createModelTree(entry)
+            .then((root) => {
+                // The model may have been unloaded in the meantime
+                if (root && viewerRef.models.has(entry.id)) trees.set(entry.id, root);
+            })
+            .catch((err) => {
+                console.warn(`[Tree] Could not build the tree of ${entry.name}:`, err);
+            })
+            .finally(() => {
+                building.delete(entry.id);
+                if (building.size === 0) renderLoading(false);
+            });
+        building.set(entry.id, task);
+    }
+    return building.get(entry.id);
+}
+
+async function createModelTree(entry) {
+    const { model } = entry;
+    // glTF / OBJ / STL have no spatial structure
+    if (!Array.isArray(model.items) || !model.hasProperties) return null;
+
+    await indexModelRelations(viewerRef, model);
+    const { projects, unplaced } = getSpatialStructure(viewerRef, model);
+
+    const geometry = new Set();
+    for (const fragment of model.items) {
+        for (const id of fragment.ids) geometry.add(id);
+    }
+    geometryIds.set(entry.id, geometry);
+
+    const ctx = { modelId: entry.id, lookup: new Map() };
+    const root = createNode(ctx, null, { kind: 'model', label: entry.name });
+    root.expanded = true;
+
+    for (const project of projects) addSpatial(ctx, project, root);
+    if (unplaced.length > 0) {
+        const group = createNode(ctx, root, { kind: 'group', label: 'Sin ubicación espacial' });
+        addElements(ctx, unplaced, group);
+    }
+
+    nodesByItem.set(entry.id, ctx.lookup);
+    console.log(`[Tree] Built: ${entry.name} (${ctx.lookup.size.toLocaleString()} nodos)`);
+    return root;
+}
+
+function createNode(ctx, parent, { kind, label, type = null, expressID = null }) {
+    const node = {
+        kind,
+        label,
+        type,
+        expressID,
+        modelId: ctx.modelId,
+        parent,
+        depth: parent ? parent.depth + 1 : 0,
+        children: [],
+        expanded: false,
+        items: null,          // Lazy: expressIDs with geometry in the branch
+        visibility: null,     // Cached { version, state }
+    };
+    if (parent) parent.children.push(node);
+    if (expressID !== null) ctx.lookup.set(expressID, node);
+    return node;
+}
+
+function addSpatial(ctx, spatial, parent) {
+    const node = createNode(ctx, parent, {
+        kind: 'spatial',
+        label: spatial.name || spatial.type,
+        type: spatial.type,
+        expressID: spatial.expressID,
+    });
+    node.expanded = EXPANDED_TYPES.has(spatial.type);
+
+    // Storeys bottom-up by elevation, anything else by name
+    const children = [...spatial.children].sort((a, b) =>
+        (a.elevation ?? 0) - (b.elevation ?? 0) || collator.compare(a.name || '', b.name || ''));
+    for (const child of children) addSpatial(ctx, child, node);
+
+    addElements(ctx, spatial.elements, node);
+}
+
+/**
+ * Elements grouped by IFC class, classes and elements sorted by name
+ */
+function addElements(ctx, elements, parent) {
+    const byClass = new Map();
+    for (const element of elements) {
+        if (!byClass.has(element.type)) byClass.set(element.type, []);
+        byClass.get(element.type).push(element);
+    }
+
+    for (const type of [...byClass.keys()].sort(collator.compare)) {
+        const group = createNode(ctx, parent, { kind: 'class', label: type, type });
+        const members = byClass.get(type).sort((a, b) => collator.compare(a.name || '', b.name || ''));
+        for (const element of members) addElement(ctx, element, group);
+    }
+}
+
+function addElement(ctx, element, parent) {
+    const node = createNode(ctx, parent, {
+        kind: 'element',
+        label: element.name || element.type,
+        type: element.type,
+        expressID: element.expressID,
+    });
+    // Parts of an aggregate (curtain wall plates, stair flights...) stay in order
+    for (const part of element.parts) addElement(ctx, part, node);
+}
+
+/**
+ * expressIDs with geometry in a node's branch
+ * @returns {Set<number>}
+ */
+function getNodeItems(node) {
+    const geometry = geometryIds.get(node.modelId) || new Set();
+
+    // Leaves are most of the tree: not worth caching a set for each
+    if (node.children.length === 0) {
+        return new Set(node.expressID !== null && geometry.has(node.expressID) ? [node.expressID] : []);
+    }
+
+    if (!node.items) {
+        const items = new Set();
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current.expressID !== null && geometry.has(current.expressID)) items.add(current.expressID);
+            for (const child of current.children) stack.push(child);
+        }
+        node.items = items;
+    }
+    return node.items;
+}
+
+/**
+ * 'visible' | 'hidden' | 'partial', or 'none' for branches without geometry
+ */
+function getVisibility(node) {
+    if (node.visibility?.version === visibilityVersion) return node.visibility.state;
+
+    const items = getNodeItems(node);
+    let state = 'none';
+    if (items.size > 0) {
+        const hidden = getHidden(node.modelId);
+        let count = 0;
+        if (hidden.size > 0) {
+            for (const id of items) {
+                if (hidden.has(id)) count++;
+            }
+        }
+        state = count === 0 ? 'visible' : count === items.size ? 'hidden' : 'partial';
+    }
+
+    node.visibility = { version: visibilityVersion, state };
+    return state;
+}
+
+function getHidden(modelId) {
+    const cached = hiddenIds.get(modelId);
+    if (cached?.version === visibilityVersion) return cached.ids;
+
+    const ids = getHiddenItemIDs(viewerRef.models.get(modelId)?.model);
+    hiddenIds.set(modelId, { version: visibilityVersion, ids });
+    return ids;
+}
+
+// ============================================
+// Rendering (virtualised)
+// ============================================
+
+/**
+ * Nodes of the expanded branches, in display order
+ */
+function flatten() {
+    rows = [];
+    const roots = getModels(viewerRef).map(entry => trees.get(entry.id)).filter(Boolean);
+    const stack = roots.reverse();
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        rows.push(node);
+        if (!node.expanded) continue;
+        for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+    }
+}
+
+function scheduleRender() {
+    if (renderPending) return;
+    renderPending = true;
+    requestAnimationFrame(render);
+}
+
+function render() {
+    renderPending = false;
+    const content = document.getElementById('tree-content');
+    if (!content) return;
+
+    if (rows.length === 0) {
+        const message = building.size > 0
+            ? 'Leyendo la estructura del modelo...'
+            : 'Carga un modelo IFC para ver su estructura';
+        content.innerHTML = `
+            <div class="empty-panel">
+                <i class="fas fa-sitemap"></i>
+                <p>${message}</p>
+            </div>
+        `;
+        return;
+    }
+
+    let spacer = content.querySelector('.tree-spacer');
+    if (!spacer) {
+        content.innerHTML = '<div class="tree-spacer"></div>';
+        spacer = content.firstElementChild;
+    }
+    spacer.style.height = `${rows.length * ROW_HEIGHT}px`;
+
+    const first = Math.max(0, Math.floor(content.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((content.scrollTop + content.clientHeight) / ROW_HEIGHT) + OVERSCAN);
+
+    let html = '';
+    for (let i = first; i < last; i++) html += renderRow(rows[i], i);
+    spacer.innerHTML = html;
+}
+
+function renderRow(node, index) {
+    const visibility = getVisibility(node);
+    const isSelected = node.expressID !== null && selected.get(node.modelId)?.has(node.expressID);
+    const count = node.kind === 'class' ? node.children.length
+        : node.kind === 'element' ? null
+        : getNodeItems(node).size;
+
+    const classes = ['tree-row'];
+    if (isSelected) classes.push('selected');
+    if (node === activeNode) classes.push('active');
+    if (visibility === 'hidden') classes.push('tree-hidden');
+
+    const title = node.expressID !== null ? `${node.type} · #${node.expressID}` : node.label;
+    const icon = TYPE_ICONS[node.type] || KIND_ICONS[node.kind];
+
+    const caret = node.children.length > 0
+        ? `<button class="tree-caret" data-action="expand"><i class="fas fa-caret-${node.expanded ? 'down' : 'right'}"></i></button>`
+        : '<span class="tree-caret"></span>';
+
+    const toggles = visibility === 'none' ? '' : `
+        <button class="tree-btn ${visibility === 'partial' ? 'partial' : ''}" data-action="visibility" title="${visibility === 'hidden' ? 'Mostrar' : 'Ocultar'}">
+            <i class="fas ${visibility === 'hidden' ? 'fa-eye-slash' : 'fa-eye'}"></i>
+        </button>
+        <button class="tree-btn ${isolatedNode === node ? 'active' : ''}" data-action="isolate" title="${isolatedNode === node ? 'Mostrar todo' : 'Aislar'}">
+            <i class="fas fa-bullseye"></i>
+        </button>`;
+
+    return `
+        <div class="${classes.join(' ')}" data-index="${index}" style="top: ${index * ROW_HEIGHT}px; padding-left: ${6 + node.depth * INDENT}px;" title="${escapeHtml(title)}">
+            ${caret}
+            <i class="tree-icon ${icon}"></i>
+            <span class="tree-label">${escapeHtml(node.label)}</span>
+            ${count !== null ? `<span class="tree-count">${count.toLocaleString()}</span>` : ''}
+            ${toggles}
+        </div>`;
+}
+
+function renderLoading(loading) {
+    document.getElementById('tree-panel')?.classList.toggle('tree-loading', loading);
+    if (rows.length === 0) render();
+}
+
+/**
+ * Scroll just enough to bring a node's row into view
+ */
+function scrollToNode(node) {
+    const content = document.getElementById('tree-content');
+    const index = rows.indexOf(node);
+    if (!content || index < 0) return;
+
+    const top = index * ROW_HEIGHT;
+    if (top < content.scrollTop || top + ROW_HEIGHT > content.scrollTop + content.clientHeight) {
+        content.scrollTop = Math.max(0, top - content.clientHeight / 2);
+    }
+}
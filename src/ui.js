@@ -27,6 +27,8 @@ export function setLoadingProgress(percent) {
     if (bar) bar.style.width = `${Math.min(100, Math.max(0, percent))}%`;
 }
 
+let hideTimeout = null;
+
 /**
  * Hide the loading screen with a fade animation
  */
@@ -35,11 +37,66 @@ export function hideLoadingScreen() {
     if (!screen) return;
 
     screen.classList.add('fade-out');
-    setTimeout(() => {
+    clearTimeout(hideTimeout);
+    hideTimeout = setTimeout(() => {
         screen.style.display = 'none';
+        hideTimeout = null;
     }, 600);
 }
 
+/**
+ * Show the loading screen again (e.g. for a model loaded after boot)
+ */
+export function showLoadingScreen() {
+    const screen = document.getElementById('loading-screen');
+    if (!screen) return;
+
+    clearTimeout(hideTimeout);
+    hideTimeout = null;
+    screen.style.display = '';
+    screen.classList.remove('fade-out');
+}
+
+/**
+ * Show or hide the cancel button on the loading screen
+ * @param {Function|null} onCancel - Click handler, or null to hide the button
+ */
+export function setLoadingCancelable(onCancel) {
+    const btn = document.getElementById('btn-cancel-load');
+    if (!btn) return;
+
+    btn.onclick = onCancel ? () => onCancel() : null;
+    btn.classList.toggle('hidden', !onCancel);
+}
+
+/**
+ * Format a byte count for display (e.g. "12.4 MB")
+ * @param {number} bytes
+ */
+export function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+/**
+ * Save a Blob as a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ============================================
 // Toast Notifications
 // ============================================
@@ -70,3 +127,20 @@ export function showToast(message, duration = 3000) {
         toastTimeout = null;
     }, duration);
 }
+
+// ============================================
+// HTML
+// ============================================
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} str - Converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,248 @@
+/**
+ * Bitform 3D Viewer — Display Units
+ *
+ * Formats the numbers the viewer shows. Lengths, areas, volumes and angles
+ * come in SI (scene geometry is in metres; IFC measures are converted with
+ * the scale of their unit, see getUnitScale in ifc.js) and are shown in the
+ * unit system the user picks: metres, millimetres or feet and inches, with
+ * a configurable number of decimals. The choice is saved in the browser.
+ */
+
+import { readStored, writeStored } from './storage.js';
+
+// ============================================
+// Constants
+// ============================================
+
+/** Display unit systems: unit of each measure and default decimals */
+export const UNIT_SYSTEMS = {
+    m: { label: 'Metros', length: 'm', area: 'm²', volume: 'm³', precision: 3 },
+    mm: { label: 'Milímetros', length: 'mm', area: 'm²', volume: 'm³', precision: 0 },
+    'ft-in': { label: 'Pies y pulgadas', length: 'ft-in', area: 'ft²', volume: 'ft³', precision: 2 },
+};
+
+export const MAX_PRECISION = 6;
+
+// SI units per display unit
+const UNIT_SCALES = { m: 1, mm: 0.001, 'm²': 1, 'm³': 1, 'ft²': 0.09290304, 'ft³': 0.028316846592 };
+const INCH = 0.0254;
+
+// Measures converted to the display system, by IFC unit type
+const MEASURE_KINDS = {
+    LENGTHUNIT: 'length',
+    AREAUNIT: 'area',
+    VOLUMEUNIT: 'volume',
+    PLANEANGLEUNIT: 'angle',
+};
+
+// Areas, volumes and angles keep at least this many decimals: the millimetre
+// system shows areas in m², where no decimals would hide most of the value
+const MIN_MEASURE_DECIMALS = 2;
+
+const STORAGE_KEY = 'bitform-viewer:units';
+
+// ============================================
+// State
+// ============================================
+let settings = null;    // { system, precision } — precision null: the system's default
+const listeners = new Set();
+
+// ============================================
+// Settings
+// ============================================
+
+/**
+ * Current display units
+ * @returns {{ system: 'm'|'mm'|'ft-in', precision: number }}
+ */
+export function getUnitSettings() {
+    const { system, precision } = loadSettings();
+    return { system, precision: precision ?? UNIT_SYSTEMS[system].precision };
+}
+
+/**
+ * Change the display units. Changing the system without a precision goes
+ * back to that system's default decimals.
+ * @param {Object} changes
+ * @param {'m'|'mm'|'ft-in'} [changes.system]
+ * @param {number|null} [changes.precision] - Decimals (0-6), null for the system's default
+ * @param {Object} [options]
+ * @param {boolean} [options.save=true] - Remember the choice in this browser
+ * @returns {{ system: string, precision: number }} The settings applied
+ */
+export function setUnitSettings({ system, precision } = {}, { save = true } = {}) {
+    const current = loadSettings();
+    if (system !== undefined && !UNIT_SYSTEMS[system]) {
+        throw new Error(`Sistema de unidades desconocido: ${system}`);
+    }
+
+    const next = { ...current };
+    if (system !== undefined && system !== current.system) {
+        next.system = system;
+        next.precision = null;
+    }
+    if (precision !== undefined) {
+        const decimals = precision === null ? null : Math.round(Number(precision));
+        if (decimals !== null && !Number.isFinite(decimals)) {
+            throw new Error(`Precisión no válida: ${precision}`);
+        }
+        next.precision = decimals === null ? null : Math.min(Math.max(decimals, 0), MAX_PRECISION);
+    }
+
+    settings = next;
+    if (save) storeSettings();
+    const applied = getUnitSettings();
+    for (const listener of listeners) listener(applied);
+    return applied;
+}
+
+/**
+ * Call back whenever the display units change (to re-render readouts)
+ * @param {Function} callback - Receives the settings from getUnitSettings
+ * @returns {Function} Unsubscribe
+ */
+export function onUnitsChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+/**
+ * Length in the display system, e.g. '2.450 m', '2450 mm', "8' 0.46\""
+ * @param {number} metres
+ * @param {Object} [options]
+ * @param {number} [options.decimals] - Overrides the configured precision
+ * @returns {string}
+ */
+export function formatLength(metres, { decimals } = {}) {
+    const { system, precision } = getUnitSettings();
+    const places = decimals ?? precision;
+    const unit = UNIT_SYSTEMS[system].length;
+
+    if (unit === 'ft-in') return formatFeetInches(metres, places);
+    return `${toFixed(metres / UNIT_SCALES[unit], places)} ${unit}`;
+}
+
+/**
+ * Area in the display system
+ * @param {number} squareMetres
+ * @returns {string}
+ */
+export function formatArea(squareMetres) {
+    const unit = UNIT_SYSTEMS[getUnitSettings().system].area;
+    return `${toFixed(squareMetres / UNIT_SCALES[unit], measureDecimals())} ${unit}`;
+}
+
+/**
+ * Volume in the display system
+ * @param {number} cubicMetres
+ * @returns {string}
+ */
+export function formatVolume(cubicMetres) {
+    const unit = UNIT_SYSTEMS[getUnitSettings().system].volume;
+    return `${toFixed(cubicMetres / UNIT_SCALES[unit], measureDecimals())} ${unit}`;
+}
+
+/**
+ * Plane angle in degrees, whatever the system
+ * @param {number} radians
+ * @returns {string}
+ */
+export function formatAngle(radians) {
+    return `${toFixed(radians * 180 / Math.PI, measureDecimals())}°`;
+}
+
+/**
+ * Value of an IFC measure. Lengths, areas, volumes and angles whose unit
+ * scale is known are converted to the display system; anything else keeps
+ * its own unit.
+ * @param {number} value - In the measure's unit
+ * @param {Object} [unit] - As read by ifc.js
+ * @param {string|null} [unit.unit] - Symbol, e.g. 'mm'
+ * @param {string|null} [unit.unitType] - IFC unit type, e.g. 'LENGTHUNIT'
+ * @param {number|null} [unit.scale] - SI units per unit, e.g. 0.001
+ * @returns {string}
+ */
+export function formatMeasure(value, { unit = null, unitType = null, scale = null } = {}) {
+    if (!Number.isFinite(value)) return String(value);
+
+    if (scale) {
+        switch (MEASURE_KINDS[unitType]) {
+            case 'length': return formatLength(value * scale);
+            case 'area': return formatArea(value * scale);
+            case 'volume': return formatVolume(value * scale);
+            case 'angle': return formatAngle(value * scale);
+        }
+    }
+
+    const text = formatNumber(value);
+    return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * Whether formatMeasure converts values in this unit to the display system
+ * @param {Object} [unit] - { unitType, scale } as read by ifc.js
+ * @returns {boolean}
+ */
+export function isConvertibleUnit(unit) {
+    return Boolean(unit?.scale && MEASURE_KINDS[unit.unitType]);
+}
+
+/**
+ * Plain number without floating point noise: 2.4999999998 -> '2.5'
+ * @param {number} value
+ * @param {Object} [options]
+ * @param {number} [options.decimals] - Fixed decimals instead of significant digits
+ * @param {number} [options.digits=6] - Significant digits
+ * @returns {string}
+ */
+export function formatNumber(value, { decimals, digits = 6 } = {}) {
+    if (!Number.isFinite(value)) return String(value);
+    if (decimals !== undefined) return toFixed(value, decimals);
+    return String(parseFloat(value.toPrecision(digits)));
+}
+
+// ============================================
+// Utility
+// ============================================
+
+/**
+ * Feet and inches, rounding the inches: 1.6 m -> 5' 2.99"
+ */
+function formatFeetInches(metres, decimals) {
+    const factor = 10 ** decimals;
+    const total = Math.round(Math.abs(metres) / INCH * factor) / factor;
+    // Split after rounding, so 11.999" shows as 1' 0" and not 0' 12"
+    const feet = Math.floor(total / 12);
+    const inches = total - feet * 12;
+    const sign = metres < 0 && total > 0 ? '-' : '';
+    return `${sign}${feet}' ${inches.toFixed(decimals)}"`;
+}
+
+function measureDecimals() {
+    return Math.max(getUnitSettings().precision, MIN_MEASURE_DECIMALS);
+}
+
+// toFixed without "-0.000"
+function toFixed(value, decimals) {
+    const text = value.toFixed(decimals);
+    return Number(text) === 0 ? text.replace('-', '') : text;
+}
+
+function loadSettings() {
+    if (!settings) {
+        const stored = readStored(STORAGE_KEY, {}) || {};
+        settings = { system: UNIT_SYSTEMS[stored.system] ? stored.system : 'm', precision: null };
+        if (Number.isInteger(stored.precision)) {
+            settings.precision = Math.min(Math.max(stored.precision, 0), MAX_PRECISION);
+        }
+    }
+    return settings;
+}
+
+function storeSettings() {
+    writeStored(STORAGE_KEY, settings);
+}
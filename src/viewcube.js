@@ -0,0 +1,203 @@
+/**
+ * Bitform 3D Viewer — View Cube
+ *
+ * Small navigation gizmo in the viewport corner. It is rendered with its own
+ * tiny WebGL renderer, follows the main camera rotation, and animates the
+ * camera to the clicked face, edge or corner.
+ */
+
+import * as THREE from 'three';
+import { setStandardView } from './viewer.js';
+
+// ============================================
+// State
+// ============================================
+const SIZE = 110;           // CSS pixels
+const FACE = 0.7;           // Face center size (cube spans -0.5..0.5)
+const BEVEL = 0.15;         // Edge / corner thickness
+
+// Face labels by outward direction (scene is Y-up, front = +Z)
+const FACE_LABELS = {
+    '1,0,0': 'DER',
+    '-1,0,0': 'IZQ',
+    '0,1,0': 'SUP',
+    '0,-1,0': 'INF',
+    '0,0,1': 'FRENTE',
+    '0,0,-1': 'ATRÁS',
+};
+
+const COLOR_BASE = 0x27272a;
+const COLOR_EDGE = 0x1e1e22;
+const COLOR_HOVER = 0x00e5ff;
+
+let viewerRef = null;
+let renderer = null;
+let scene = null;
+let camera = null;
+let parts = [];
+let hovered = null;
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+/**
+ * Initialize the view cube inside its container
+ * @param {Object} viewer - Viewer instance from initViewer
+ */
+export function initViewCube(viewer) {
+    const container = document.getElementById('view-cube');
+    if (!container) return;
+
+    viewerRef = viewer;
+
+    renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setSize(SIZE, SIZE);
+    container.appendChild(renderer.domElement);
+
+    scene = new THREE.Scene();
+    camera = new THREE.OrthographicCamera(-0.95, 0.95, 0.95, -0.95, 0.1, 10);
+
+    buildCube();
+
+    // Follow the main camera: camera-controls fires 'update' on every change,
+    // including animated transitions
+    viewer.world.camera.controls.addEventListener('update', renderViewCube);
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerleave', () => setHovered(null));
+    canvas.addEventListener('click', onClick);
+
+    renderViewCube();
+    console.log('[ViewCube] Initialized');
+}
+
+/**
+ * Build the 26 pickable pieces: 6 faces, 12 edges, 8 corners
+ */
+function buildCube() {
+    const offset = FACE / 2 + BEVEL / 2;
+
+    for (let x = -1; x <= 1; x++) {
+        for (let y = -1; y <= 1; y++) {
+            for (let z = -1; z <= 1; z++) {
+                if (x === 0 && y === 0 && z === 0) continue;
+
+                const size = [x, y, z].map(c => (c === 0 ? FACE : BEVEL));
+                const geometry = new THREE.BoxGeometry(...size);
+                const isFace = Math.abs(x) + Math.abs(y) + Math.abs(z) === 1;
+
+                const mesh = new THREE.Mesh(geometry, isFace ? faceMaterials(x, y, z) : plainMaterial(COLOR_EDGE));
+                mesh.position.set(x * offset, y * offset, z * offset);
+                mesh.userData.direction = new THREE.Vector3(x, y, z);
+
+                scene.add(mesh);
+                parts.push(mesh);
+            }
+        }
+    }
+
+    // Outline
+    const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+        new THREE.LineBasicMaterial({ color: 0x52525b })
+    );
+    scene.add(outline);
+}
+
+/**
+ * Materials for a face piece: label on the outward side only.
+ * BoxGeometry groups are ordered +X, -X, +Y, -Y, +Z, -Z.
+ */
+function faceMaterials(x, y, z) {
+    const sides = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+    return sides.map(([sx, sy, sz]) => {
+        if (sx === x && sy === y && sz === z) {
+            return new THREE.MeshBasicMaterial({ map: labelTexture(FACE_LABELS[`${x},${y},${z}`]), color: 0xffffff });
+        }
+        return plainMaterial(COLOR_BASE);
+    });
+}
+
+function plainMaterial(color) {
+    return new THREE.MeshBasicMaterial({ color });
+}
+
+function labelTexture(text) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#27272a';
+    ctx.fillRect(0, 0, 128, 128);
+    ctx.fillStyle = '#fafafa';
+    ctx.font = `600 ${text.length > 4 ? 24 : 30}px Inter, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 64, 64);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Match the gizmo orientation to the main camera and redraw
+ */
+export function renderViewCube() {
+    if (!renderer || !viewerRef) return;
+
+    const mainCamera = viewerRef.world.camera.three;
+    camera.quaternion.copy(mainCamera.quaternion);
+    camera.position.set(0, 0, 3).applyQuaternion(mainCamera.quaternion);
+    camera.updateMatrixWorld();
+
+    renderer.render(scene, camera);
+}
+
+// ============================================
+// Interaction
+// ============================================
+function pick(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(parts, false)[0];
+    return hit ? hit.object : null;
+}
+
+function onPointerMove(event) {
+    setHovered(pick(event));
+}
+
+function onClick(event) {
+    const part = pick(event);
+    if (!part) return;
+    setStandardView(viewerRef, part.userData.direction, true);
+}
+
+function setHovered(part) {
+    if (part === hovered) return;
+
+    for (const mesh of [hovered, part]) {
+        if (!mesh) continue;
+        const mats = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        const active = mesh === part;
+        mats.forEach((mat) => {
+            // Labelled sides keep their texture, tint only
+            if (mat.map) mat.color.set(active ? COLOR_HOVER : 0xffffff);
+            else mat.color.set(active ? COLOR_HOVER : (mesh.userData.direction.manhattanLength() === 1 ? COLOR_BASE : COLOR_EDGE));
+        });
+    }
+
+    hovered = part;
+    renderer.domElement.style.cursor = part ? 'pointer' : '';
+    renderViewCube();
+}
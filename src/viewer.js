@@ -7,13 +7,21 @@
 
 import * as THREE from 'three';
 import * as OBC from '@thatopen/components';
+import { resolveModelData } from './formats.js';
+import { getModelCacheKey, getCachedModel, putCachedModel } from './cache.js';
+import { computeRebaseOrigin } from './georef.js';
+import { MESH_FORMATS, parseMeshModel } from './loaders.js';
+import { initRenderLoop, requestRender, disposeRenderLoop } from './rendering.js';
+import { indexModelRelations } from './ifc.js';
 
 /**
  * Initialize the That Open Company viewer
  * @param {HTMLElement} container - DOM element for the viewer
+ * @param {Object} [options]
+ * @param {string} [options.renderMode='demand'] - 'demand' | 'continuous' (see rendering.js)
  * @returns {Object} Viewer instance with all references
  */
-export async function initViewer(container) {
+export async function initViewer(container, options = {}) {
     const components = new OBC.Components();
     const worlds = components.get(OBC.Worlds);
     const world = worlds.create();
@@ -21,7 +29,10 @@ export async function initViewer(container) {
     // Setup scene
     world.scene = new OBC.SimpleScene(components);
     world.renderer = new OBC.SimpleRenderer(components, container);
-    world.camera = new OBC.SimpleCamera(components);
+    // OrthoPerspectiveCamera: a SimpleCamera that can switch projection
+    world.camera = new OBC.OrthoPerspectiveCamera(components);
+    // Keep the apparent zoom when going back from orthographic to perspective
+    world.camera.projection.matchOrthoDistanceEnabled = true;
 
     components.init();
 
@@ -67,70 +78,135 @@ export async function initViewer(container) {
         fragmentsManager,
         ifcLoader,
         container,
+        models: new Map(), // Model registry: id -> entry (see registerModel)
+        origin: null,      // Shared scene origin for far-away models (see registerModel)
         _resizeObserver: resizeObserver
     };
+    initRenderLoop(viewer, options.renderMode);
     window.__viewer = viewer;
     return viewer;
 }
 
 /**
- * Load a .frag model from a URL
+ * Load a model (.frag, .ifc, .glb/.gltf, .obj, .stl) from a URL
  * @param {Object} viewer - Viewer instance from initViewer
- * @param {string} url - URL of the .frag file
+ * @param {string} url - URL of the model file
  * @param {string} name - Display name for the model
+ * @param {Object} [options]
+ * @param {string} [options.format] - A value of MODEL_FORMATS (formats.js) to skip content sniffing
+ * @param {string} [options.version] - Explicit model version for the cache key
+ * @param {boolean} [options.cache] - Set to false to bypass the IndexedDB cache
+ * @param {AbortSignal} [options.signal] - Aborts the download
+ * @param {Function} [options.onProgress] - Called with { phase: 'cache' | 'download' | 'process', loaded, total }
  */
-export async function loadModelFromUrl(viewer, url, name = 'Model') {
-    const { fragmentsManager, world } = viewer;
+export async function loadModelFromUrl(viewer, url, name = 'Model', options = {}) {
+    const { signal, onProgress } = options;
 
-    // Fetch the file
-    const response = await fetch(url);
+    // Cached copy first (keyed by URL + version / ETag / Last-Modified)
+    const cacheKey = options.cache === false
+        ? null
+        : await getModelCacheKey(url, { version: options.version, signal });
+    let buffer = await getCachedModel(cacheKey);
+
+    if (buffer) {
+        onProgress?.({ phase: 'cache', loaded: buffer.length, total: buffer.length });
+    } else {
+        buffer = await downloadModel(url, { signal, onProgress });
+        // Not awaited: storing must not delay the model appearing
+        putCachedModel(cacheKey, url, buffer);
+    }
+
+    // The download can no longer be cancelled past this point
+    onProgress?.({ phase: 'process', loaded: buffer.length, total: buffer.length });
+
+    // Detect the format from the payload: Drive, signed and blob: URLs have no extension
+    const { format, data } = await resolveModelData(buffer, {
+        format: options.format,
+        fileName: url,
+    });
+
+    return await loadModelData(viewer, data, format, { name, url });
+}
+
+/**
+ * Download a file as a stream, reporting bytes received
+ * @param {string} url - File URL
+ * @param {Object} [options] - { signal, onProgress }
+ * @returns {Promise<Uint8Array>}
+ */
+async function downloadModel(url, { signal, onProgress } = {}) {
+    const response = await fetch(url, { signal });
     if (!response.ok) {
         throw new Error(`HTTP ${response.status}: No se pudo descargar el modelo`);
     }
 
-    const buffer = await response.arrayBuffer();
-    const data = new Uint8Array(buffer);
+    // 0 when the server does not send it (chunked transfer)
+    const total = parseInt(response.headers.get('Content-Length') || '0', 10) || 0;
+
+    if (!response.body) {
+        const buffer = new Uint8Array(await response.arrayBuffer());
+        onProgress?.({ phase: 'download', loaded: buffer.length, total: buffer.length });
+        return buffer;
+    }
 
-    // Detect file type from URL
-    const ext = url.split('?')[0].split('.').pop().toLowerCase();
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
 
-    let model;
-    if (ext === 'ifc') {
-        // Use IFC Loader
-        model = await loadModelFromIfc(viewer, data);
-    } else {
-        // Default: use FragmentsManager for .frag files
-        model = fragmentsManager.load(data);
-        addModelToScene(viewer, model);
-        fitToModel(viewer, model);
-        updateModelInfo(viewer, model);
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress?.({ phase: 'download', loaded, total });
     }
 
-    return model;
+    const data = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return data;
 }
 
 /**
- * Load a .frag file from a local File object
+ * Load a model (.frag, .ifc, .glb/.gltf, .obj, .stl) from a local File object
  * @param {Object} viewer - Viewer instance from initViewer
  * @param {File} file - The File object
+ * @param {Object} [options] - { format: a value of MODEL_FORMATS to skip content sniffing }
  */
-export async function loadModelFromFile(viewer, file) {
-    const ext = file.name.split('.').pop().toLowerCase();
+export async function loadModelFromFile(viewer, file, options = {}) {
+    const buffer = await file.arrayBuffer();
+
+    const { format, data } = await resolveModelData(new Uint8Array(buffer), {
+        format: options.format,
+        fileName: file.name,
+    });
+
+    return await loadModelData(viewer, data, format, { name: file.name });
+}
 
-    if (ext === 'ifc') {
-        return await loadModelFromIfc(viewer, file);
+/**
+ * Dispatch already-resolved bytes to the loader for their format
+ */
+async function loadModelData(viewer, data, format, source) {
+    if (format === 'ifc') {
+        // Use IFC Loader
+        return await loadModelFromIfc(viewer, data, source);
     }
 
-    // Default: treat as .frag
-    const buffer = await file.arrayBuffer();
-    const data = new Uint8Array(buffer);
+    if (MESH_FORMATS.includes(format)) {
+        return await loadMeshModel(viewer, data, format, source);
+    }
 
-    const { fragmentsManager } = viewer;
-    const model = fragmentsManager.load(data);
+    // Default: use FragmentsManager for .frag files
+    const model = viewer.fragmentsManager.load(data);
 
     addModelToScene(viewer, model);
+    registerModel(viewer, model, { ...source, format: 'frag' });
     fitToModel(viewer, model);
-    updateModelInfo(viewer, model);
+    updateModelInfo(viewer);
 
     return model;
 }
@@ -139,34 +215,62 @@ export async function loadModelFromFile(viewer, file) {
  * Load an IFC file using the IfcLoader component
  * @param {Object} viewer - Viewer instance from initViewer
  * @param {File|Uint8Array} fileOrBuffer - The File object or Uint8Array of the IFC data
+ * @param {Object} [source] - Registry info: { name, url }
  */
-export async function loadModelFromIfc(viewer, fileOrBuffer) {
+export async function loadModelFromIfc(viewer, fileOrBuffer, source = {}) {
     const { ifcLoader, world } = viewer;
 
     if (!ifcLoader) {
         throw new Error('IfcLoader no disponible en esta versión');
     }
 
-    let buffer;
+    let data;
     if (fileOrBuffer instanceof File) {
-        buffer = await fileOrBuffer.arrayBuffer();
+        data = new Uint8Array(await fileOrBuffer.arrayBuffer());
+    } else if (ArrayBuffer.isView(fileOrBuffer)) {
+        // May be a view into a larger buffer (a stored zip entry): keep its offset and length
+        data = new Uint8Array(fileOrBuffer.buffer, fileOrBuffer.byteOffset, fileOrBuffer.byteLength);
     } else {
-        buffer = fileOrBuffer.buffer || fileOrBuffer;
+        data = new Uint8Array(fileOrBuffer);
     }
 
-    const data = new Uint8Array(buffer);
     const model = await ifcLoader.load(data);
 
     if (model) {
         world.scene.three.add(model);
         console.log('[Viewer] IFC Model added. Children:', model.children.length);
+        registerModel(viewer, model, {
+            name: source.name || (fileOrBuffer instanceof File ? fileOrBuffer.name : 'Modelo IFC'),
+            url: source.url,
+            format: 'ifc',
+        });
         fitToModel(viewer, model);
-        updateModelInfo(viewer, model);
+        updateModelInfo(viewer);
     }
 
     return model;
 }
 
+/**
+ * Load a glTF / GLB, OBJ or STL file as a plain three.js group
+ * @param {Object} viewer - Viewer instance from initViewer
+ * @param {Uint8Array} data - File bytes
+ * @param {string} format - One of MESH_FORMATS (loaders.js)
+ * @param {Object} [source] - Registry info: { name, url }
+ */
+async function loadMeshModel(viewer, data, format, source = {}) {
+    const model = await parseMeshModel(data, format, source);
+
+    viewer.world.scene.three.add(model);
+    console.log(`[Viewer] ${format.toUpperCase()} model added. Children:`, model.children.length);
+
+    registerModel(viewer, model, { ...source, format });
+    fitToModel(viewer, model);
+    updateModelInfo(viewer);
+
+    return model;
+}
+
 /**
  * Add a loaded fragment model to the 3D scene
  */
@@ -191,21 +295,319 @@ function addModelToScene(viewer, model) {
     }
 }
 
+// ============================================
+// Model Registry
+// ============================================
+
 /**
- * Fit the camera to a specific model's bounding box
+ * Register a loaded model so it can be listed, hidden and unloaded
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} model - The loaded model (usually a FragmentsGroup)
+ * @param {Object} source - { name, url, format }
+ * @returns {Object} The registry entry
  */
-function fitToModel(viewer, model) {
-    const { world } = viewer;
+function registerModel(viewer, model, source = {}) {
+    if (!model) return null;
+
+    // Large coordinates: the first far-away model fixes a shared origin and
+    // every model is shifted by it, so federated models stay aligned
+    let bbox = new THREE.Box3().setFromObject(model);
+    if (!viewer.origin) {
+        viewer.origin = computeRebaseOrigin(bbox);
+        if (viewer.origin) {
+            const { x, y, z } = viewer.origin;
+            console.log(`[Viewer] Scene origin rebased to (${x}, ${y}, ${z})`);
+        }
+    }
 
-    if (!model) return;
+    const offset = viewer.origin ? viewer.origin.clone().negate() : new THREE.Vector3();
+    if (viewer.origin) {
+        model.position.add(offset);
+        model.updateMatrixWorld(true);
+        bbox = new THREE.Box3().setFromObject(model);
+    }
 
-    // Calculate bounding box
-    const bbox = new THREE.Box3().setFromObject(model);
-    if (bbox.isEmpty()) {
-        console.warn('[Viewer] Model bounding box is empty');
-        return;
+    const entry = {
+        id: model.uuid,
+        name: source.name || 'Modelo',
+        url: source.url || null,
+        format: source.format || 'frag',
+        model,
+        offset,            // Translation applied by rebasing (scene = native + offset)
+        baseMatrix: model.matrix.clone(), // Transform before any user placement
+        placement: { ...DEFAULT_PLACEMENT },
+        boundingBox: bbox,
+        elementCount: countModelElements(model),
+        fragmentCount: model.items?.length || 0,
+        visible: true,
+    };
+
+    viewer.models.set(entry.id, entry);
+    requestRender(viewer);
+    console.log(`[Viewer] Model registered: ${entry.name} (${entry.elementCount} elementos)`);
+
+    // Containment, property sets... are looked up through the relations index
+    indexModelRelations(viewer, model).catch((err) => {
+        console.warn(`[Viewer] Could not index IFC relations of ${entry.name}:`, err);
+    });
+    return entry;
+}
+
+/**
+ * Count unique items (IFC elements) inside a model
+ */
+function countModelElements(model) {
+    // FragmentsGroup: each fragment holds a set of item IDs, an element
+    // may be split across several fragments so count unique IDs
+    if (Array.isArray(model.items) && model.items.length > 0) {
+        const ids = new Set();
+        for (const fragment of model.items) {
+            if (fragment.ids) fragment.ids.forEach((id) => ids.add(id));
+        }
+        if (ids.size > 0) return ids.size;
     }
 
+    // Fallback: count meshes
+    let meshes = 0;
+    model.traverse((child) => {
+        if (child.isMesh) meshes++;
+    });
+    return meshes;
+}
+
+/**
+ * List all registered models
+ * @param {Object} viewer - Viewer instance
+ * @returns {Object[]} Registry entries in load order
+ */
+export function getModels(viewer) {
+    if (!viewer?.models) return [];
+    return [...viewer.models.values()];
+}
+
+/**
+ * Get a registered model entry by id
+ * @param {Object} viewer - Viewer instance
+ * @param {string} id - Model id
+ */
+export function getModel(viewer, id) {
+    return viewer?.models?.get(id) || null;
+}
+
+/**
+ * Find the registry entry that owns a scene object (e.g. a picked mesh)
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Object3D} object - Any object inside a model
+ * @returns {Object|null} Registry entry
+ */
+export function getModelForObject(viewer, object) {
+    let current = object;
+    while (current) {
+        const entry = viewer?.models?.get(current.uuid);
+        if (entry) return entry;
+        current = current.parent;
+    }
+    return null;
+}
+
+/**
+ * Visible in the viewer: the object and all its ancestors
+ * @param {THREE.Object3D} object - Any scene object
+ * @returns {boolean}
+ */
+export function isObjectShown(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Convert a scene point back to the coordinates it had before rebasing
+ * @param {Object} viewer - Viewer instance
+ * @param {THREE.Vector3} point - Point in scene space
+ * @returns {THREE.Vector3} New vector
+ */
+export function sceneToWorld(viewer, point) {
+    const world = point.clone();
+    if (viewer?.origin) world.add(viewer.origin);
+    return world;
+}
+
+/**
+ * Remove a model from the scene and release its resources
+ * @param {Object} viewer - Viewer instance
+ * @param {string} id - Model id
+ * @returns {boolean} Whether a model was removed
+ */
+export function unloadModel(viewer, id) {
+    const entry = getModel(viewer, id);
+    if (!entry) return false;
+
+    const { world, fragmentsManager } = viewer;
+    const { model } = entry;
+
+    world.scene.three.remove(model);
+
+    if (fragmentsManager.groups.has(model.uuid)) {
+        // Disposes the fragments, their geometries and materials
+        fragmentsManager.disposeGroup(model);
+    } else {
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.geometry?.dispose();
+                const mats = Array.isArray(child.material) ? child.material : [child.material];
+                mats.forEach(mat => mat?.dispose());
+            }
+        });
+    }
+
+    viewer.models.delete(id);
+    // Next model starts from scratch
+    if (viewer.models.size === 0) viewer.origin = null;
+
+    requestRender(viewer);
+    updateModelInfo(viewer);
+    console.log(`[Viewer] Model unloaded: ${entry.name}`);
+    return true;
+}
+
+/**
+ * Show or hide a whole model
+ * @param {Object} viewer - Viewer instance
+ * @param {string} id - Model id
+ * @param {boolean} visible - Visibility state
+ */
+export function setModelVisible(viewer, id, visible) {
+    const entry = getModel(viewer, id);
+    if (!entry) return;
+
+    entry.visible = visible;
+    entry.model.visible = visible;
+    requestRender(viewer);
+    updateModelInfo(viewer);
+}
+
+/**
+ * Bounding box of the registered models
+ * @param {Object} viewer - Viewer instance
+ * @param {Object} [options] - { visibleOnly: only include visible models, ids: restrict to these model ids }
+ * @returns {THREE.Box3} Union of the model boxes (empty if nothing matches)
+ */
+export function getModelsBoundingBox(viewer, { visibleOnly = true, ids = null } = {}) {
+    const globalBox = new THREE.Box3();
+
+    for (const entry of getModels(viewer)) {
+        if (visibleOnly && !entry.visible) continue;
+        if (ids && !ids.includes(entry.id)) continue;
+        if (!entry.boundingBox.isEmpty()) {
+            globalBox.union(entry.boundingBox);
+        }
+    }
+
+    return globalBox;
+}
+
+// ============================================
+// Model Placement
+// ============================================
+
+/**
+ * Identity placement. Axes follow the IFC convention used in the
+ * properties panel: x east, y north, z up (metres); rotation in degrees
+ * about the vertical axis; uniform scale.
+ */
+export const DEFAULT_PLACEMENT = Object.freeze({ x: 0, y: 0, z: 0, rotation: 0, scale: 1 });
+
+/**
+ * Normalize a placement from a message, query param or JSON file
+ * @param {Object|Array|string} value - { x, y, z, rotation, scale }, [x, y, z, rotation, scale] or "x,y,z,rotation,scale"
+ * @returns {Object|null} Complete placement, or null when invalid
+ */
+export function normalizePlacement(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let source = value;
+    if (typeof source === 'string') source = source.split(',');
+    if (Array.isArray(source)) {
+        const [x, y, z, rotation, scale] = source.map(v => parseFloat(v));
+        source = { x, y, z, rotation, scale };
+    }
+    if (typeof source !== 'object') return null;
+
+    const placement = {};
+    for (const key of Object.keys(DEFAULT_PLACEMENT)) {
+        const n = parseFloat(source[key]);
+        placement[key] = Number.isFinite(n) ? n : DEFAULT_PLACEMENT[key];
+    }
+    if (placement.scale <= 0) placement.scale = 1;
+
+    return placement;
+}
+
+/**
+ * Current placement of a model
+ * @param {Object} viewer - Viewer instance
+ * @param {string} id - Model id
+ * @returns {Object|null} { x, y, z, rotation, scale }
+ */
+export function getModelPlacement(viewer, id) {
+    const entry = getModel(viewer, id);
+    return entry ? { ...entry.placement } : null;
+}
+
+/**
+ * Move, rotate and scale a model relative to where it was loaded.
+ * The bounding box in the registry is recomputed, so fit and clipping
+ * follow the new position.
+ * @param {Object} viewer - Viewer instance
+ * @param {string} id - Model id
+ * @param {Object} placement - Partial or complete placement (see normalizePlacement)
+ * @returns {Object|null} The updated registry entry
+ */
+export function setModelPlacement(viewer, id, placement) {
+    const entry = getModel(viewer, id);
+    if (!entry) return null;
+
+    const next = normalizePlacement({ ...entry.placement, ...placement });
+    if (!next) return entry;
+
+    const { model } = entry;
+    const matrix = placementToMatrix(next).multiply(entry.baseMatrix);
+    matrix.decompose(model.position, model.quaternion, model.scale);
+    model.updateMatrixWorld(true);
+
+    entry.placement = next;
+    entry.boundingBox = new THREE.Box3().setFromObject(model);
+    requestRender(viewer);
+    return entry;
+}
+
+/**
+ * Scene-space matrix for a placement (pivot: scene origin)
+ * @param {Object} placement - Complete placement
+ * @returns {THREE.Matrix4}
+ */
+export function placementToMatrix({ x, y, z, rotation, scale }) {
+    // IFC axes (x east, y north, z up) -> scene axes (x, z up, -y)
+    const position = new THREE.Vector3(x, z, -y);
+    const quaternion = new THREE.Quaternion().setFromAxisAngle(
+        new THREE.Vector3(0, 1, 0),
+        THREE.MathUtils.degToRad(rotation)
+    );
+    return new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(scale, scale, scale));
+}
+
+// ============================================
+// Camera Fit
+// ============================================
+
+/**
+ * Move the camera to frame a bounding box
+ */
+function fitToBox(viewer, bbox) {
+    const { world } = viewer;
+
     const center = bbox.getCenter(new THREE.Vector3());
     const size = bbox.getSize(new THREE.Vector3());
     const maxDim = Math.max(size.x, size.y, size.z);
@@ -220,74 +622,265 @@ function fitToModel(viewer, model) {
         center.z,
         true // animate
     );
+
+    if (getProjection(viewer) === 'Orthographic') {
+        fitOrthoZoom(viewer, size.length() / 2, distance * 0.7 * Math.sqrt(3));
+    }
 }
 
 /**
- * Fit camera to all loaded models
+ * In orthographic projection the camera distance does not change the framing:
+ * zoom so a sphere of the given radius fills the view, and push the far plane
+ * so nothing behind the target gets cut.
  * @param {Object} viewer - Viewer instance
+ * @param {number} radius - Radius of the content to frame
+ * @param {number} cameraDistance - Distance from the camera to the content center
  */
-export function fitModel(viewer) {
-    if (!viewer) return;
-    const { world, fragmentsManager } = viewer;
+export function fitOrthoZoom(viewer, radius, cameraDistance) {
+    const camera = viewer.world.camera;
+    const ortho = camera.threeOrtho;
+    if (!ortho || radius <= 0) return;
 
-    // Create a global bounding box from all fragment groups
-    const globalBox = new THREE.Box3();
-    let hasContent = false;
+    ortho.far = Math.max(ortho.far, cameraDistance + radius * 2);
+    ortho.updateProjectionMatrix();
+
+    const viewSize = Math.min(ortho.right - ortho.left, ortho.top - ortho.bottom);
+    camera.controls.zoomTo(viewSize / (radius * 2.2), true);
+}
+
+/**
+ * Fit the camera to a specific model's bounding box
+ */
+function fitToModel(viewer, model) {
+    if (!model) return;
 
-    fragmentsManager.groups.forEach((group) => {
-        const box = new THREE.Box3().setFromObject(group);
-        if (!box.isEmpty()) {
-            globalBox.union(box);
-            hasContent = true;
+    // Calculate bounding box
+    const bbox = new THREE.Box3().setFromObject(model);
+    if (bbox.isEmpty()) {
+        console.warn('[Viewer] Model bounding box is empty');
+        return;
+    }
+
+    fitToBox(viewer, bbox);
+}
+
+/**
+ * Bounding box of IFC items, over their instances in every fragment
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @returns {THREE.Box3} Empty when none of the items has geometry
+ */
+export function getItemsBoundingBox(viewer, items) {
+    const box = new THREE.Box3();
+    const instanceBox = new THREE.Box3();
+    const matrix = new THREE.Matrix4();
+
+    for (const [id, ids] of items) {
+        const model = viewer.models.get(id)?.model;
+        if (!Array.isArray(model?.items)) continue;
+        const wanted = ids instanceof Set ? ids : new Set(ids);
+
+        for (const fragment of model.items) {
+            const { mesh } = fragment;
+            if (!mesh) continue;
+            if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+            mesh.updateWorldMatrix(true, false);
+
+            for (const itemID of fragment.ids) {
+                if (!wanted.has(itemID)) continue;
+                for (const instance of fragment.getInstancesIDs(itemID) || []) {
+                    mesh.getMatrixAt(instance, matrix);
+                    matrix.premultiply(mesh.matrixWorld);
+                    box.union(instanceBox.copy(mesh.geometry.boundingBox).applyMatrix4(matrix));
+                }
+            }
         }
-    });
+    }
+    return box;
+}
+
+/**
+ * Frame IFC items, e.g. a storey or an element picked in the spatial tree
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @returns {boolean} Whether there was geometry to frame
+ */
+export function fitItems(viewer, items) {
+    const box = getItemsBoundingBox(viewer, items);
+    if (box.isEmpty()) return false;
+
+    // Small parts (a bolt, a handle) still get some room around them
+    const size = box.getSize(new THREE.Vector3());
+    if (Math.max(size.x, size.y, size.z) < 1) box.expandByScalar(0.5);
 
-    if (!hasContent) {
+    fitToBox(viewer, box);
+    return true;
+}
+
+/**
+ * Fit camera to all visible models, or to a single registered model
+ * @param {Object} viewer - Viewer instance
+ * @param {string} [id] - Optional model id to frame
+ */
+export function fitModel(viewer, id) {
+    if (!viewer) return;
+    const { world } = viewer;
+
+    const globalBox = getModelsBoundingBox(viewer, { ids: id ? [id] : null });
+
+    if (globalBox.isEmpty()) {
+        if (id) return;
         // Fallback: fit to entire scene
         const sceneBox = new THREE.Box3().setFromObject(world.scene.three);
         if (sceneBox.isEmpty()) return;
         globalBox.copy(sceneBox);
     }
 
-    const center = globalBox.getCenter(new THREE.Vector3());
-    const size = globalBox.getSize(new THREE.Vector3());
-    const maxDim = Math.max(size.x, size.y, size.z);
-    const distance = maxDim * 1.5;
+    fitToBox(viewer, globalBox);
+}
+
+// ============================================
+// Standard Views
+// ============================================
+
+/**
+ * View directions (from the target towards the camera), scene is Y-up.
+ * Faces, plus the eight isometric corners as 'iso-{front|back}-{left|right}-{top|bottom}'.
+ */
+export const STANDARD_VIEWS = {
+    front: [0, 0, 1],
+    back: [0, 0, -1],
+    right: [1, 0, 0],
+    left: [-1, 0, 0],
+    top: [0, 1, 0],
+    bottom: [0, -1, 0],
+    iso: [1, 1, 1],
+};
+for (const [fb, z] of [['front', 1], ['back', -1]]) {
+    for (const [lr, x] of [['left', -1], ['right', 1]]) {
+        for (const [tb, y] of [['top', 1], ['bottom', -1]]) {
+            STANDARD_VIEWS[`iso-${fb}-${lr}-${tb}`] = [x, y, z];
+        }
+    }
+}
+
+/**
+ * Look at the loaded models from a standard direction, framing their
+ * bounding box (the same box fitModel uses)
+ * @param {Object} viewer - Viewer instance
+ * @param {string|number[]|THREE.Vector3} view - A STANDARD_VIEWS key or a direction vector
+ * @param {boolean} [animate] - Animate the camera transition
+ * @returns {boolean} Whether the view was applied
+ */
+export function setStandardView(viewer, view, animate = true) {
+    if (!viewer) return false;
+    const { world } = viewer;
+
+    let direction = null;
+    if (view?.isVector3) direction = view.clone();
+    else if (Array.isArray(view)) direction = new THREE.Vector3(...view);
+    else if (STANDARD_VIEWS[view]) direction = new THREE.Vector3(...STANDARD_VIEWS[view]);
+    if (!direction || direction.lengthSq() === 0) return false;
+    direction.normalize();
+
+    // Straight up/down has no azimuth: nudge it so "front" stays at the bottom of the screen
+    if (Math.abs(direction.y) > 0.9999) {
+        direction.z = 1e-4;
+        direction.normalize();
+    }
+
+    const box = getModelsBoundingBox(viewer);
+    if (box.isEmpty()) {
+        const sceneBox = new THREE.Box3().setFromObject(world.scene.three);
+        if (sceneBox.isEmpty()) box.setFromCenterAndSize(new THREE.Vector3(), new THREE.Vector3(20, 20, 20));
+        else box.copy(sceneBox);
+    }
+
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = Math.max(box.getSize(new THREE.Vector3()).length() / 2, 0.5);
+
+    // Distance at which the bounding sphere fits the perspective field of view
+    const fov = world.camera.threePersp?.fov || 60;
+    const distance = radius / Math.sin(THREE.MathUtils.degToRad(fov / 2)) * 1.05;
+    const position = center.clone().addScaledVector(direction, distance);
 
     world.camera.controls.setLookAt(
-        center.x + distance * 0.7,
-        center.y + distance * 0.7,
-        center.z + distance * 0.7,
-        center.x,
-        center.y,
-        center.z,
-        true
+        position.x, position.y, position.z,
+        center.x, center.y, center.z,
+        animate
     );
+
+    if (getProjection(viewer) === 'Orthographic') {
+        fitOrthoZoom(viewer, radius, distance);
+    }
+
+    return true;
 }
 
+// ============================================
+// Projection
+// ============================================
+
 /**
- * Update the model info overlay with element/fragment counts
+ * Normalize a projection name from the UI, URL or postMessage
+ * @param {string} value - 'ortho', 'orthographic', 'persp', 'perspective' (any case)
+ * @returns {string|null} 'Perspective' | 'Orthographic' | null
  */
-function updateModelInfo(viewer, model) {
-    const { fragmentsManager } = viewer;
+export function normalizeProjection(value) {
+    const v = String(value || '').toLowerCase();
+    if (v.startsWith('ortho')) return 'Orthographic';
+    if (v.startsWith('persp')) return 'Perspective';
+    return null;
+}
 
+/**
+ * Current camera projection
+ * @param {Object} viewer - Viewer instance
+ * @returns {string} 'Perspective' | 'Orthographic'
+ */
+export function getProjection(viewer) {
+    return viewer?.world?.camera?.projection?.current || 'Perspective';
+}
+
+/**
+ * Switch the camera projection, keeping the target and apparent zoom
+ * @param {Object} viewer - Viewer instance
+ * @param {string} projection - Any value accepted by normalizeProjection
+ * @returns {Promise<string>} The projection now in use
+ */
+export async function setProjection(viewer, projection) {
+    const target = normalizeProjection(projection);
+    const manager = viewer?.world?.camera?.projection;
+    if (!target || !manager) return getProjection(viewer);
+
+    await manager.set(target);
+    requestRender(viewer);
+    console.log(`[Viewer] Projection: ${manager.current}`);
+    return manager.current;
+}
+
+/**
+ * Update the model info overlay with element/fragment counts
+ */
+function updateModelInfo(viewer) {
     const elementsEl = document.getElementById('info-elements');
     const fragmentsEl = document.getElementById('info-fragments');
+    const modelsEl = document.getElementById('info-models');
+
+    const visibleModels = getModels(viewer).filter(entry => entry.visible);
 
     if (elementsEl) {
-        let totalElements = 0;
-        fragmentsManager.groups.forEach((group) => {
-            if (group.items) {
-                totalElements += group.items.length;
-            }
-            // Also count children
-            totalElements += group.children?.length || 0;
-        });
+        const totalElements = visibleModels.reduce((sum, entry) => sum + entry.elementCount, 0);
         elementsEl.textContent = totalElements.toLocaleString();
     }
 
     if (fragmentsEl) {
-        fragmentsEl.textContent = fragmentsManager.groups.size.toLocaleString();
+        const totalFragments = visibleModels.reduce((sum, entry) => sum + entry.fragmentCount, 0);
+        fragmentsEl.textContent = totalFragments.toLocaleString();
+    }
+
+    if (modelsEl) {
+        modelsEl.textContent = `${visibleModels.length} / ${viewer.models.size}`;
     }
 }
 
@@ -298,5 +891,6 @@ export function disposeViewer(viewer) {
     if (!viewer) return;
 
     viewer._resizeObserver?.disconnect();
+    disposeRenderLoop(viewer);
     viewer.components?.dispose();
 }
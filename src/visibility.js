@@ -0,0 +1,383 @@
+/**
+ * Bitform 3D Viewer — Element Visibility
+ *
+ * Hides, shows, isolates and ghosts (X-ray) IFC elements. Fragment.setVisibility
+ * moves the hidden instances past mesh.count, so they are neither drawn, picked
+ * nor exported. Ghosted elements are hidden the same way and drawn again by a
+ * transparent, unpickable copy of their instances.
+ *
+ * Changes are kept as a log of operations that models loaded later replay:
+ * "ghost IfcWall" or an isolation also applies to them.
+ */
+
+import * as THREE from 'three';
+import { getModels, getModel } from './viewer.js';
+import { indexModelRelations, getIfcTypeName, getIfcClassHierarchy, getModelSchema, getItemStorey, val } from './ifc.js';
+import { requestRender } from './rendering.js';
+
+// ============================================
+// State
+// ============================================
+export const VISIBILITY_MODES = ['hide', 'show', 'isolate', 'ghost', 'unghost'];
+
+const GHOST_COLOR = 0x9aa4b2;
+const GHOST_OPACITY = 0.12;
+
+let ghostMaterial = null;
+const ghosted = new Map();          // model id -> Set<expressID> drawn as ghosts
+const ghostMeshes = new WeakMap();  // fragment -> THREE.InstancedMesh with its ghosted instances
+let operations = [];                // { mode, target } in order, replayed on models loaded later
+let knownModels = new Set();        // Model ids the log has been applied to
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Show or hide IFC items
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @param {boolean} visible
+ */
+export function setItemsVisible(viewer, items, visible) {
+    recordOperation(viewer, visible ? 'show' : 'hide', normalizeTarget({ items }));
+}
+
+/**
+ * Hide every IFC item except the given ones
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ */
+export function isolateItems(viewer, items) {
+    recordOperation(viewer, 'isolate', normalizeTarget({ items }));
+}
+
+/**
+ * Draw IFC items as transparent, unpickable ghosts (or back to normal)
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @param {boolean} [ghost=true]
+ */
+export function ghostItems(viewer, items, ghost = true) {
+    recordOperation(viewer, ghost ? 'ghost' : 'unghost', normalizeTarget({ items }));
+}
+
+/**
+ * Change the visibility of the elements matched by a target
+ * @param {Object} viewer - Viewer instance
+ * @param {string} mode - 'hide' | 'show' | 'isolate' | 'ghost' | 'unghost'
+ * @param {Object} target - Any of:
+ *   items: Map<model id, Iterable<expressID>>,
+ *   classes: IFC class names (subclasses included),
+ *   globalIds: IFC GlobalIds,
+ *   storeys: storey names or GlobalIds
+ * @returns {Promise<number>} Elements matched
+ */
+export async function applyVisibility(viewer, mode, target = {}) {
+    if (!VISIBILITY_MODES.includes(mode)) throw new Error(`Modo de visibilidad no válido: ${mode}`);
+
+    // Storeys are found through the spatial relations
+    if (target.storeys?.length) {
+        await Promise.all(getModels(viewer).map(entry => indexModelRelations(viewer, entry.model)));
+    }
+    return recordOperation(viewer, mode, normalizeTarget(target));
+}
+
+/**
+ * Show every IFC item again and drop the ghosts
+ * @param {Object} viewer - Viewer instance
+ */
+export function showAllItems(viewer) {
+    operations = [];
+    for (const entry of getModels(viewer)) {
+        if (!Array.isArray(entry.model.items)) continue;
+        for (const fragment of entry.model.items) {
+            if (fragment.mesh && fragment.hiddenItems.size > 0) fragment.setVisibility(true);
+        }
+        if (ghosted.delete(entry.id)) updateGhosts(entry);
+    }
+    requestRender(viewer);
+}
+
+/**
+ * Replay the visibility log on models loaded since the last call and
+ * forget the unloaded ones
+ * @param {Object} viewer - Viewer instance
+ * @returns {Promise<boolean>} Whether a new model was affected
+ */
+export async function refreshVisibility(viewer) {
+    const entries = getModels(viewer);
+    const ids = new Set(entries.map(entry => entry.id));
+    for (const id of [...knownModels]) {
+        if (ids.has(id)) continue;
+        knownModels.delete(id);
+        ghosted.delete(id);
+    }
+
+    const added = entries.filter(entry => !knownModels.has(entry.id));
+    for (const entry of added) knownModels.add(entry.id);
+    if (added.length === 0 || operations.length === 0) return false;
+
+    if (operations.some(({ target }) => target.storeys.length > 0)) {
+        await Promise.all(added.map(entry => indexModelRelations(viewer, entry.model)));
+    }
+
+    // Unloaded while indexing
+    const loaded = added.filter(entry => getModel(viewer, entry.id));
+    for (const { mode, target } of operations) applyMode(viewer, mode, target, loaded);
+    requestRender(viewer);
+    return loaded.length > 0;
+}
+
+/**
+ * IFC items hidden in any of the fragments they are split across (ghosts aside)
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @returns {Set<number>} expressIDs
+ */
+export function getHiddenItemIDs(model) {
+    const ghosts = ghosted.get(model?.uuid);
+    const hidden = new Set();
+    for (const fragment of model?.items || []) {
+        for (const id of fragment.hiddenItems || []) {
+            if (!ghosts?.has(id)) hidden.add(id);
+        }
+    }
+    return hidden;
+}
+
+/**
+ * IFC items drawn as ghosts
+ * @param {THREE.Object3D} model - FragmentsGroup
+ * @returns {Set<number>} expressIDs
+ */
+export function getGhostedItemIDs(model) {
+    return new Set(ghosted.get(model?.uuid) || []);
+}
+
+/**
+ * Target with the IFC classes or storeys of some items, to act on every
+ * element of the same class / storey
+ * @param {Object} viewer - Viewer instance
+ * @param {Map<string, Iterable<number>>} items - Model id -> expressIDs
+ * @param {'class'|'storey'} scope
+ * @returns {Object} { classes } or { storeys }, empty when nothing is known
+ */
+export function getItemsScope(viewer, items, scope) {
+    const names = new Set();
+    for (const [modelId, ids] of items) {
+        const model = getModel(viewer, modelId)?.model;
+        const properties = model?.getLocalProperties?.();
+        if (!properties) continue;
+
+        for (const id of ids) {
+            if (scope === 'class') {
+                const type = properties[id] && getIfcTypeName(properties[id].type);
+                if (type) names.add(type);
+            } else {
+                const storey = getItemStorey(viewer, model, id);
+                // By name: federated models (architecture, MEP) share the storey names
+                if (storey) names.add(storey.name);
+            }
+        }
+    }
+    return scope === 'class' ? { classes: [...names] } : { storeys: [...names] };
+}
+
+// ============================================
+// Operations
+// ============================================
+
+/**
+ * Apply an operation to every model and keep it for the ones loaded later
+ */
+function recordOperation(viewer, mode, target) {
+    // An isolation decides the state of every element: older operations are moot
+    if (mode === 'isolate') operations = [];
+    operations.push({ mode, target });
+
+    const entries = getModels(viewer);
+    for (const entry of entries) knownModels.add(entry.id);
+
+    const count = applyMode(viewer, mode, target, entries);
+    requestRender(viewer);
+    return count;
+}
+
+function applyMode(viewer, mode, target, entries) {
+    let count = 0;
+
+    for (const entry of entries) {
+        if (!Array.isArray(entry.model.items)) continue;
+        const ids = resolveTarget(viewer, entry, target);
+        count += ids.size;
+
+        switch (mode) {
+            case 'hide':
+                setItemsState(entry, ids, 'hidden');
+                break;
+            case 'show':
+                setItemsState(entry, ids, 'visible');
+                break;
+            case 'ghost':
+                setItemsState(entry, ids, 'ghost');
+                break;
+            case 'unghost': {
+                const ghosts = ghosted.get(entry.id) || new Set();
+                setItemsState(entry, new Set([...ids].filter(id => ghosts.has(id))), 'visible');
+                break;
+            }
+            case 'isolate': {
+                const rest = new Set();
+                for (const id of getGeometryIDs(entry.model)) {
+                    if (!ids.has(id)) rest.add(id);
+                }
+                setItemsState(entry, rest, 'hidden');
+                setItemsState(entry, ids, 'visible');
+                break;
+            }
+        }
+    }
+    return count;
+}
+
+/**
+ * expressIDs with geometry in a model that a target matches
+ */
+function resolveTarget(viewer, entry, { items, classes, globalIds, storeys }) {
+    const ids = new Set(items.get(entry.id) || []);
+    if (classes.length === 0 && globalIds.length === 0 && storeys.length === 0) return ids;
+
+    const { model } = entry;
+    const properties = model.getLocalProperties?.();
+    if (!properties) return ids;
+
+    const schema = getModelSchema(model);
+    const classNames = new Set(classes.map(name => name.toLowerCase()));
+    const storeyNames = new Set(storeys.map(name => String(name).toLowerCase()));
+    const globalIdSet = new Set(globalIds);
+    const classMatches = new Map();     // type code -> boolean
+
+    const matchesClass = (type) => {
+        if (!classMatches.has(type)) {
+            const names = [getIfcTypeName(type), ...getIfcClassHierarchy(type, schema)];
+            classMatches.set(type, names.some(name => name && classNames.has(name.toLowerCase())));
+        }
+        return classMatches.get(type);
+    };
+    const matchesStorey = (id) => {
+        const storey = getItemStorey(viewer, model, id);
+        if (!storey) return false;
+        return storeyNames.has(storey.name.toLowerCase())
+            || storeyNames.has(String(val(properties[storey.id]?.GlobalId)).toLowerCase());
+    };
+
+    for (const id of getGeometryIDs(model)) {
+        const entity = properties[id];
+        if (!entity || ids.has(id)) continue;
+        if ((globalIdSet.size > 0 && globalIdSet.has(val(entity.GlobalId)))
+            || (classNames.size > 0 && matchesClass(entity.type))
+            || (storeyNames.size > 0 && matchesStorey(id))) {
+            ids.add(id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Put items in one state: 'visible', 'hidden' or 'ghost'
+ */
+function setItemsState(entry, ids, state) {
+    if (ids.size === 0) return;
+
+    for (const fragment of entry.model.items) {
+        if (!fragment.mesh) continue;
+        const own = [...fragment.ids].filter(id => ids.has(id));
+        if (own.length > 0) fragment.setVisibility(state === 'visible', own);
+    }
+
+    const ghosts = ghosted.get(entry.id) || new Set();
+    const before = ghosts.size;
+    let changed = false;
+    for (const id of ids) {
+        if (state === 'ghost') ghosts.add(id);
+        else if (ghosts.delete(id)) changed = true;
+    }
+    changed = changed || ghosts.size !== before;
+
+    if (ghosts.size > 0) ghosted.set(entry.id, ghosts);
+    else ghosted.delete(entry.id);
+    if (changed) updateGhosts(entry);
+}
+
+/**
+ * Rebuild the ghost copies of a model's fragments
+ */
+function updateGhosts(entry) {
+    const ghosts = ghosted.get(entry.id);
+    const matrix = new THREE.Matrix4();
+
+    for (const fragment of entry.model.items) {
+        const previous = ghostMeshes.get(fragment);
+        if (previous) {
+            previous.removeFromParent();
+            previous.dispose();
+            ghostMeshes.delete(fragment);
+        }
+        if (!ghosts || !fragment.mesh) continue;
+
+        const instances = [];
+        for (const id of fragment.ids) {
+            if (!ghosts.has(id)) continue;
+            for (const instance of fragment.getInstancesIDs(id) || []) instances.push(instance);
+        }
+        if (instances.length === 0) continue;
+
+        // Child of the fragment mesh: follows its transform and visibility
+        const ghost = new THREE.InstancedMesh(fragment.mesh.geometry, getGhostMaterial(), instances.length);
+        instances.forEach((instance, i) => {
+            fragment.mesh.getMatrixAt(instance, matrix);
+            ghost.setMatrixAt(i, matrix);
+        });
+        ghost.name = 'ghost';
+        ghost.frustumCulled = false;
+        ghost.renderOrder = 1;          // After the opaque geometry
+        ghost.raycast = () => {};       // Never picked
+        fragment.mesh.add(ghost);
+        ghostMeshes.set(fragment, ghost);
+    }
+}
+
+function getGhostMaterial() {
+    if (!ghostMaterial) {
+        ghostMaterial = new THREE.MeshLambertMaterial({
+            color: GHOST_COLOR,
+            transparent: true,
+            opacity: GHOST_OPACITY,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+        });
+    }
+    return ghostMaterial;
+}
+
+// ============================================
+// Utility
+// ============================================
+function normalizeTarget({ items, classes, globalIds, storeys } = {}) {
+    const copy = new Map();
+    for (const [modelId, ids] of items || []) copy.set(modelId, new Set(ids));
+    return {
+        items: copy,
+        classes: (classes || []).map(String),
+        globalIds: (globalIds || []).map(String),
+        storeys: (storeys || []).map(String),
+    };
+}
+
+function getGeometryIDs(model) {
+    const ids = new Set();
+    for (const fragment of model.items) {
+        for (const id of fragment.ids) ids.add(id);
+    }
+    return ids;
+}